@@ -0,0 +1,759 @@
+// API Configuration
+const API_BASE_URL = window.location.origin;
+
+// Token is kept for this browser tab only
+const TOKEN_KEY = 'adminToken';
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Chart colours (matching style.css)
+const COLORS = {
+  success: '#718540',
+  failure: '#c0392b',
+  line: '#3b4521',
+  muted: '#b7b48f',
+  grid: 'rgba(59, 69, 33, 0.15)',
+  text: '#3b4521'
+};
+
+const DISEASE_COLORS = ['#718540', '#e67e22', '#c0392b', '#2980b9', '#8e44ad', '#16a085', '#d4ac0d', '#7f8c8d'];
+
+// Outbreak map background (Web Mercator tiles, loaded as images)
+const MAP_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_ATTRIBUTION = 'Map data © OpenStreetMap contributors';
+const TILE_SIZE = 256;
+const MAX_MAP_ZOOM = 15;
+
+// DOM elements
+const loginView = document.getElementById('loginView');
+const loginForm = document.getElementById('loginForm');
+const tokenInput = document.getElementById('tokenInput');
+const loginError = document.getElementById('loginError');
+const dashboardView = document.getElementById('dashboardView');
+const signedInAs = document.getElementById('signedInAs');
+const rangeSelect = document.getElementById('rangeSelect');
+const refreshBtn = document.getElementById('refreshBtn');
+const logoutBtn = document.getElementById('logoutBtn');
+const mapDiseaseSelect = document.getElementById('mapDiseaseSelect');
+const mapCellSelect = document.getElementById('mapCellSelect');
+
+let refreshTimer = null;
+let lastStats = null;
+let lastGeo = null;
+const tileCache = new Map(); // tile URL -> Image
+
+// ============= AUTHENTICATION =============
+
+async function adminFetch(path) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    headers: { 'Authorization': `Bearer ${sessionStorage.getItem(TOKEN_KEY)}` },
+    cache: 'no-store'
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+async function signIn(token) {
+  sessionStorage.setItem(TOKEN_KEY, token);
+
+  try {
+    const principal = await adminFetch('/api/admin/me');
+    signedInAs.textContent = `Signed in as ${principal.name} (${principal.role})`;
+    loginView.style.display = 'none';
+    dashboardView.style.display = 'block';
+    loginError.style.display = 'none';
+
+    await loadDashboard();
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(loadDashboard, REFRESH_INTERVAL_MS);
+
+  } catch (error) {
+    signOut(error.status === 401 ? 'Invalid admin token.' : error.message);
+  }
+}
+
+function signOut(message) {
+  sessionStorage.removeItem(TOKEN_KEY);
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  lastStats = null;
+  lastGeo = null;
+
+  dashboardView.style.display = 'none';
+  loginView.style.display = 'block';
+  tokenInput.value = '';
+
+  if (message) {
+    loginError.textContent = message;
+    loginError.style.display = 'block';
+  }
+}
+
+loginForm.addEventListener('submit', function(e) {
+  e.preventDefault();
+  const token = tokenInput.value.trim();
+  if (token) {
+    signIn(token);
+  }
+});
+
+logoutBtn.addEventListener('click', function() {
+  signOut();
+});
+
+refreshBtn.addEventListener('click', loadDashboard);
+rangeSelect.addEventListener('change', loadDashboard);
+mapDiseaseSelect.addEventListener('change', loadOutbreakMap);
+mapCellSelect.addEventListener('change', loadOutbreakMap);
+
+// Redraw at the new canvas size
+window.addEventListener('resize', function() {
+  if (lastStats) {
+    renderDashboard(lastStats);
+  }
+  if (lastGeo) {
+    renderOutbreakMap(lastGeo);
+  }
+});
+
+// ============= DATA =============
+
+async function loadDashboard() {
+  refreshBtn.disabled = true;
+
+  try {
+    const stats = await adminFetch(`/api/stats?hours=${encodeURIComponent(rangeSelect.value)}`);
+    lastStats = stats;
+    renderDashboard(stats);
+    await loadOutbreakMap();
+
+  } catch (error) {
+    console.error('Failed to load stats:', error);
+
+    if (error.status === 401 || error.status === 403) {
+      signOut('Your session is no longer authorized. Please sign in again.');
+    } else {
+      alert(`Failed to load stats: ${error.message}`);
+    }
+
+  } finally {
+    refreshBtn.disabled = false;
+  }
+}
+
+async function loadOutbreakMap() {
+  const params = new URLSearchParams({ hours: rangeSelect.value, cellSize: mapCellSelect.value });
+  if (mapDiseaseSelect.value) {
+    params.set('disease', mapDiseaseSelect.value);
+  }
+
+  try {
+    const geo = await adminFetch(`/api/detections/geo?${params}`);
+    lastGeo = geo;
+    renderOutbreakMap(geo);
+
+  } catch (error) {
+    console.error('Failed to load outbreak map:', error);
+    document.getElementById('mapNote').textContent = `Map unavailable: ${error.message}`;
+  }
+}
+
+// One entry per hour in the range, including hours without detections
+function fillHours(hourly, hours) {
+  const byHour = new Map(hourly.map(row => [row.hour, row]));
+  const lastHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const series = [];
+
+  for (let hour = lastHour - (hours - 1) * HOUR_MS; hour <= lastHour; hour += HOUR_MS) {
+    series.push(byHour.get(hour) || {
+      hour,
+      total: 0,
+      successful: 0,
+      failed: 0,
+      avg_processing_time: null
+    });
+  }
+
+  return series;
+}
+
+function hourLabel(hour, hours) {
+  const date = new Date(hour);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return hours > 24
+    ? `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`
+    : time;
+}
+
+function formatDisease(name) {
+  return (name || 'unknown')
+    .split(/[-_\s]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// ============= RENDERING =============
+
+function renderDashboard(stats) {
+  const hours = stats.hours || parseInt(rangeSelect.value);
+  const summary = stats.summary || {};
+  const series = fillHours(stats.hourly || [], hours);
+  const labels = series.map(row => hourLabel(row.hour, hours));
+
+  renderSummary(summary, stats.quota);
+
+  drawBarChart(document.getElementById('detectionsChart'), labels, [
+    { name: 'Successful', color: COLORS.success, values: series.map(row => row.successful) },
+    { name: 'Failed', color: COLORS.failure, values: series.map(row => row.failed) }
+  ]);
+
+  drawLineChart(document.getElementById('successChart'), labels, [
+    {
+      name: 'Success rate',
+      color: COLORS.success,
+      values: series.map(row => row.total > 0 ? (row.successful / row.total) * 100 : null)
+    }
+  ], { maxY: 100, format: value => `${Math.round(value)}%` });
+
+  drawLineChart(document.getElementById('processingChart'), labels, [
+    {
+      name: 'Avg. processing time',
+      color: COLORS.line,
+      values: series.map(row => row.avg_processing_time)
+    }
+  ], { format: value => `${(value / 1000).toFixed(1)}s` });
+
+  drawDiseaseChart(document.getElementById('diseaseChart'), stats.topDiseases || []);
+
+  renderQuota(stats.quota);
+  renderBudget(stats.quota && stats.quota.budget);
+  renderPipelineMode(stats.pipelineMode);
+  renderQuality(stats.quality || []);
+  renderErrors(stats.recentErrors || []);
+}
+
+function renderSummary(summary, quota) {
+  const total = summary.total_detections || 0;
+  const successRate = total > 0 ? ((summary.successful || 0) / total) * 100 : null;
+
+  document.getElementById('totalDetections').textContent = total;
+  document.getElementById('successRate').textContent = successRate === null ? '-' : `${successRate.toFixed(1)}%`;
+  document.getElementById('avgProcessing').textContent = summary.avg_processing_time
+    ? `${(summary.avg_processing_time / 1000).toFixed(2)}s`
+    : '-';
+  document.getElementById('uniqueUsers').textContent = summary.unique_users || 0;
+  document.getElementById('cacheHits').textContent = summary.successful
+    ? `${(((summary.cache_hits || 0) / summary.successful) * 100).toFixed(1)}%`
+    : '-';
+  document.getElementById('savedCalls').textContent = summary.saved_calls || 0;
+  document.getElementById('qualityRejected').textContent = total > 0
+    ? `${(((summary.quality_rejected || 0) / total) * 100).toFixed(1)}%`
+    : '-';
+
+  if (quota) {
+    const used = quota.byHour.reduce((sum, row) => sum + row.calls, 0);
+    document.getElementById('quotaUsed').textContent = `${used} / ${quota.limit}`;
+  }
+}
+
+// Uploads refused by the quality gate, per failed check
+function renderQuality(quality) {
+  const note = document.getElementById('qualityNote');
+
+  note.textContent = quality.length === 0
+    ? 'No uploads refused for image quality'
+    : `Refused for image quality: ${quality
+      .map(row => `${row.issue.replace(/_/g, ' ')} ${row.rejected} (${(row.rate * 100).toFixed(1)}%)`)
+      .join(', ')}`;
+}
+
+function renderErrors(errors) {
+  const body = document.getElementById('errorsBody');
+  body.innerHTML = '';
+
+  if (errors.length === 0) {
+    const row = body.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 3;
+    cell.className = 'empty';
+    cell.textContent = 'No errors recorded';
+    return;
+  }
+
+  errors.forEach(error => {
+    const row = body.insertRow();
+    row.insertCell().textContent = new Date(error.timestamp).toLocaleString();
+    row.insertCell().textContent = error.ip || '-';
+    row.insertCell().textContent = error.error_message || '-';
+  });
+}
+
+// Remaining calls through the UTC day, with the ideal pace and a projection at the current rate
+function renderQuota(quota) {
+  const canvas = document.getElementById('quotaChart');
+  const note = document.getElementById('quotaNote');
+
+  if (!quota) {
+    note.textContent = 'Quota data unavailable';
+    return;
+  }
+
+  const startOfDay = Date.parse(`${new Date().toISOString().split('T')[0]}T00:00:00Z`);
+  const currentHour = Math.floor((Date.now() - startOfDay) / HOUR_MS);
+  const callsByHour = new Map(quota.byHour.map(row => [Math.floor((row.hour - startOfDay) / HOUR_MS), row.calls]));
+
+  const labels = [];
+  const remaining = [];
+  const ideal = [];
+  const projected = [];
+  let used = 0;
+
+  // Point i is the start of hour i (UTC); point 24 is midnight
+  for (let i = 0; i <= 24; i++) {
+    labels.push(`${String(i).padStart(2, '0')}:00`);
+    ideal.push(quota.limit * (1 - i / 24));
+
+    if (i <= currentHour + 1) {
+      remaining.push(quota.limit - used);
+      used += callsByHour.get(i) || 0;
+    } else {
+      remaining.push(null);
+    }
+  }
+
+  const elapsedHours = Math.max((Date.now() - startOfDay) / HOUR_MS, 1 / 60);
+  const ratePerHour = used / elapsedHours;
+  const projectedTotal = Math.round(ratePerHour * 24);
+
+  for (let i = 0; i <= 24; i++) {
+    projected.push(i < currentHour + 1 ? null : quota.limit - used - ratePerHour * (i - elapsedHours));
+  }
+
+  drawLineChart(canvas, labels, [
+    { name: 'Ideal pace', color: COLORS.muted, values: ideal, dashed: true },
+    { name: 'Projected', color: COLORS.failure, values: projected, dashed: true },
+    { name: 'Remaining', color: COLORS.success, values: remaining }
+  ], { minY: Math.min(0, quota.limit - projectedTotal), maxY: quota.limit, format: value => Math.round(value) });
+
+  note.textContent = projectedTotal > quota.limit
+    ? `At the current rate the limit of ${quota.limit} calls is reached before midnight UTC (${projectedTotal} projected).`
+    : `${used} of ${quota.limit} calls used today, ${projectedTotal} projected by midnight UTC.`;
+}
+
+const BUDGET_LEVELS = {
+  normal: 'Normal - both models run for every image',
+  gated: 'Gated - the disease model runs only after the verifier accepts the image',
+  cache_only: 'Cache only - only previously analyzed images are answered',
+  reject: 'Rejecting - detections are refused until the budget resets'
+};
+
+// Degradation level and the month-end projection against MONTHLY_API_BUDGET
+function renderBudget(budget) {
+  const note = document.getElementById('budgetNote');
+
+  if (!budget) {
+    note.textContent = '';
+    return;
+  }
+
+  const { monthly } = budget;
+  const level = `Service level: ${BUDGET_LEVELS[budget.level] || budget.level}.`;
+  const month = monthly.budget
+    ? `${monthly.used} of ${monthly.budget} calls used in ${monthly.month}, ${monthly.projected} projected by month end (${Math.round(monthly.projectedRatio * 100)}%).`
+    : `${monthly.used} calls used in ${monthly.month}, ${monthly.projected} projected by month end (no monthly budget set).`;
+
+  note.textContent = `${level} ${month}`;
+}
+
+// Configured pipeline mode and, for adaptive mode, what it is currently doing
+function renderPipelineMode(state) {
+  const note = document.getElementById('pipelineNote');
+
+  if (!state) {
+    note.textContent = '';
+    return;
+  }
+
+  let text = `Pipeline mode: ${state.mode}`;
+
+  if (state.mode === 'adaptive') {
+    const rate = state.recentRejectionRate === null
+      ? `fewer than ${state.minSamples} recent images`
+      : `${Math.round(state.recentRejectionRate * 100)}% of the last ${state.samples} images rejected by the verifier`;
+    text += ` (currently ${state.current}; ${rate}, gating from ${Math.round(state.threshold * 100)}%)`;
+  }
+
+  note.textContent = `${text}.`;
+}
+
+// ============= CHARTS =============
+
+// Size the canvas backing store to its CSS size for crisp lines
+function setupCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '11px Georgia, serif';
+
+  return {
+    ctx,
+    width,
+    height,
+    plot: { left: 44, top: 20, right: width - 8, bottom: height - 24 }
+  };
+}
+
+// inset keeps x labels over bar centres
+function drawAxes(chart, labels, minY, maxY, format, inset = 0) {
+  const { ctx, plot } = chart;
+  const gridLines = 4;
+
+  ctx.strokeStyle = COLORS.grid;
+  ctx.fillStyle = COLORS.text;
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+
+  for (let i = 0; i <= gridLines; i++) {
+    const value = minY + ((maxY - minY) * i) / gridLines;
+    const y = plot.bottom - ((plot.bottom - plot.top) * i) / gridLines;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y);
+    ctx.lineTo(plot.right, y);
+    ctx.stroke();
+    ctx.fillText(format(value), plot.left - 4, y);
+  }
+
+  // Roughly one x label per 60px
+  const step = Math.max(1, Math.ceil(labels.length / Math.max(1, Math.floor((plot.right - plot.left) / 60))));
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+
+  const labelPlot = { left: plot.left + inset, right: plot.right - inset };
+  labels.forEach((label, i) => {
+    if (i % step !== 0) return;
+    ctx.fillText(label, xForIndex(labelPlot, labels.length, i), plot.bottom + 6);
+  });
+}
+
+function xForIndex(plot, count, index) {
+  if (count <= 1) return (plot.left + plot.right) / 2;
+  return plot.left + ((plot.right - plot.left) * index) / (count - 1);
+}
+
+function yForValue(plot, minY, maxY, value) {
+  const range = maxY - minY || 1;
+  return plot.bottom - ((value - minY) / range) * (plot.bottom - plot.top);
+}
+
+function drawLegend(chart, series) {
+  const { ctx, plot } = chart;
+  let x = plot.left;
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+
+  series.forEach(s => {
+    ctx.fillStyle = s.color;
+    ctx.fillRect(x, 4, 10, 10);
+    ctx.fillStyle = COLORS.text;
+    ctx.fillText(s.name, x + 14, 9);
+    x += ctx.measureText(s.name).width + 28;
+  });
+}
+
+function drawEmpty(chart, message = 'No data for this range') {
+  const { ctx, width, height } = chart;
+  ctx.fillStyle = COLORS.text;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(message, width / 2, height / 2);
+}
+
+// Stacked bars, one column per label
+function drawBarChart(canvas, labels, series) {
+  const chart = setupCanvas(canvas);
+  const { ctx, plot } = chart;
+
+  const totals = labels.map((_, i) => series.reduce((sum, s) => sum + (s.values[i] || 0), 0));
+  const maxY = Math.max(...totals);
+
+  if (maxY === 0) {
+    drawEmpty(chart);
+    return;
+  }
+
+  const niceMax = Math.max(4, Math.ceil(maxY / 4) * 4);
+  const slot = (plot.right - plot.left) / labels.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  const barPlot = { left: plot.left + slot / 2, right: plot.right - slot / 2 };
+
+  drawAxes(chart, labels, 0, niceMax, value => Math.round(value), slot / 2);
+  drawLegend(chart, series);
+
+  labels.forEach((_, i) => {
+    const center = xForIndex(barPlot, labels.length, i);
+    let base = plot.bottom;
+
+    series.forEach(s => {
+      const value = s.values[i] || 0;
+      if (value === 0) return;
+
+      const height = (value / niceMax) * (plot.bottom - plot.top);
+      ctx.fillStyle = s.color;
+      ctx.fillRect(center - barWidth / 2, base - height, barWidth, height);
+      base -= height;
+    });
+  });
+}
+
+// Lines with gaps where a value is null
+function drawLineChart(canvas, labels, series, options = {}) {
+  const chart = setupCanvas(canvas);
+  const { ctx, plot } = chart;
+  const format = options.format || (value => Math.round(value));
+
+  const values = series.flatMap(s => s.values).filter(value => value !== null && value !== undefined);
+
+  if (values.length === 0) {
+    drawEmpty(chart);
+    return;
+  }
+
+  const minY = options.minY !== undefined ? options.minY : 0;
+  const maxY = options.maxY !== undefined ? options.maxY : Math.max(...values) * 1.1 || 1;
+
+  drawAxes(chart, labels, minY, maxY, format);
+  drawLegend(chart, series);
+
+  series.forEach(s => {
+    ctx.strokeStyle = s.color;
+    ctx.fillStyle = s.color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(s.dashed ? [6, 4] : []);
+    ctx.beginPath();
+
+    let drawing = false;
+    s.values.forEach((value, i) => {
+      if (value === null || value === undefined) {
+        drawing = false;
+        return;
+      }
+
+      const x = xForIndex(plot, labels.length, i);
+      const y = yForValue(plot, minY, maxY, value);
+
+      if (drawing) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+        drawing = true;
+      }
+    });
+
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Mark isolated points so single-hour data stays visible
+    s.values.forEach((value, i) => {
+      if (value === null || value === undefined) return;
+      const isolated = (s.values[i - 1] === null || s.values[i - 1] === undefined) &&
+                       (s.values[i + 1] === null || s.values[i + 1] === undefined);
+      if (!isolated) return;
+
+      ctx.beginPath();
+      ctx.arc(xForIndex(plot, labels.length, i), yForValue(plot, minY, maxY, value), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+}
+
+// Horizontal bars, one per disease
+function drawDiseaseChart(canvas, diseases) {
+  const chart = setupCanvas(canvas);
+  const { ctx, width, height } = chart;
+
+  if (diseases.length === 0) {
+    drawEmpty(chart);
+    return;
+  }
+
+  const total = diseases.reduce((sum, d) => sum + d.count, 0);
+  const max = Math.max(...diseases.map(d => d.count));
+  const labelWidth = 120;
+  const rowHeight = Math.min(28, (height - 10) / diseases.length);
+
+  diseases.forEach((disease, i) => {
+    const y = 5 + i * rowHeight;
+    const barWidth = ((width - labelWidth - 60) * disease.count) / max;
+
+    ctx.fillStyle = COLORS.text;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatDisease(disease.disease), labelWidth - 6, y + rowHeight / 2);
+
+    ctx.fillStyle = DISEASE_COLORS[i % DISEASE_COLORS.length];
+    ctx.fillRect(labelWidth, y + 3, Math.max(1, barWidth), rowHeight - 6);
+
+    ctx.fillStyle = COLORS.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(`${disease.count} (${Math.round((disease.count / total) * 100)}%)`, labelWidth + barWidth + 6, y + rowHeight / 2);
+  });
+}
+
+// ============= OUTBREAK MAP =============
+
+// Web Mercator world pixel coordinates at a zoom level
+function project(latitude, longitude, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const sin = Math.sin((Math.max(-85, Math.min(85, latitude)) * Math.PI) / 180);
+
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+}
+
+// Highest zoom at which every cell fits the canvas
+function fitZoom(bounds, width, height) {
+  for (let zoom = MAX_MAP_ZOOM; zoom > 0; zoom--) {
+    const northWest = project(bounds.north, bounds.west, zoom);
+    const southEast = project(bounds.south, bounds.east, zoom);
+
+    if (southEast.x - northWest.x <= width * 0.9 && southEast.y - northWest.y <= height * 0.9) {
+      return zoom;
+    }
+  }
+
+  return 0;
+}
+
+function loadTile(url, onLoad) {
+  if (tileCache.has(url)) return tileCache.get(url);
+
+  const img = new Image();
+  img.onload = onLoad;
+  img.src = url;
+  tileCache.set(url, img);
+  return img;
+}
+
+// Keep known diseases selectable while a filter narrows the totals
+function updateDiseaseOptions(totals) {
+  const known = new Set(Array.from(mapDiseaseSelect.options).map(option => option.value));
+
+  Object.keys(totals).sort().forEach(disease => {
+    if (known.has(disease)) return;
+
+    const option = document.createElement('option');
+    option.value = disease;
+    option.textContent = formatDisease(disease);
+    mapDiseaseSelect.appendChild(option);
+  });
+}
+
+// Tiles first, then one translucent square per disease and cell (stronger = more detections)
+function renderOutbreakMap(geo) {
+  const canvas = document.getElementById('outbreakMap');
+  const note = document.getElementById('mapNote');
+  const chart = setupCanvas(canvas);
+  const { ctx, width, height } = chart;
+
+  updateDiseaseOptions(geo.totals);
+
+  if (geo.cells.length === 0) {
+    drawEmpty(chart, 'No located detections for this range');
+    note.textContent = 'Detections are located from photo GPS tags or a location entered on upload.';
+    return;
+  }
+
+  const bounds = {
+    south: Math.min(...geo.cells.map(cell => cell.bounds.south)),
+    west: Math.min(...geo.cells.map(cell => cell.bounds.west)),
+    north: Math.max(...geo.cells.map(cell => cell.bounds.north)),
+    east: Math.max(...geo.cells.map(cell => cell.bounds.east))
+  };
+
+  const zoom = fitZoom(bounds, width, height);
+  const northWest = project(bounds.north, bounds.west, zoom);
+  const southEast = project(bounds.south, bounds.east, zoom);
+  const origin = {
+    x: (northWest.x + southEast.x) / 2 - width / 2,
+    y: (northWest.y + southEast.y) / 2 - height / 2
+  };
+
+  // Tiles arriving later repaint whatever map is current
+  const redraw = () => {
+    if (lastGeo) renderOutbreakMap(lastGeo);
+  };
+  const tileCount = Math.pow(2, zoom);
+
+  for (let tx = Math.floor(origin.x / TILE_SIZE); tx * TILE_SIZE < origin.x + width; tx++) {
+    for (let ty = Math.max(0, Math.floor(origin.y / TILE_SIZE)); ty * TILE_SIZE < origin.y + height && ty < tileCount; ty++) {
+      const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+      const url = MAP_TILE_URL.replace('{z}', zoom).replace('{x}', wrappedX).replace('{y}', ty);
+      const tile = loadTile(url, redraw);
+
+      if (tile.complete && tile.naturalWidth > 0) {
+        ctx.drawImage(tile, tx * TILE_SIZE - origin.x, ty * TILE_SIZE - origin.y, TILE_SIZE, TILE_SIZE);
+      }
+    }
+  }
+
+  const diseases = Object.keys(geo.totals).sort((a, b) => geo.totals[b] - geo.totals[a]);
+  const colorFor = disease => DISEASE_COLORS[diseases.indexOf(disease) % DISEASE_COLORS.length];
+  const maxCount = Math.max(...geo.cells.map(cell => cell.count));
+
+  geo.cells.forEach(cell => {
+    const topLeft = project(cell.bounds.north, cell.bounds.west, zoom);
+    const bottomRight = project(cell.bounds.south, cell.bounds.east, zoom);
+    const x = topLeft.x - origin.x;
+    const y = topLeft.y - origin.y;
+    const w = Math.max(4, bottomRight.x - topLeft.x);
+    const h = Math.max(4, bottomRight.y - topLeft.y);
+
+    ctx.globalAlpha = 0.25 + 0.55 * (cell.count / maxCount);
+    ctx.fillStyle = colorFor(cell.disease);
+    ctx.fillRect(x, y, w, h);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colorFor(cell.disease);
+    ctx.strokeRect(x, y, w, h);
+
+    if (w >= 24 && h >= 14) {
+      ctx.fillStyle = COLORS.text;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(cell.count), x + w / 2, y + h / 2);
+    }
+  });
+
+  drawLegend(chart, diseases.map(disease => ({
+    name: `${formatDisease(disease)} (${geo.totals[disease]})`,
+    color: colorFor(disease)
+  })));
+
+  const located = diseases.reduce((sum, disease) => sum + geo.totals[disease], 0);
+  note.textContent = `${located} located detections in ${geo.cells.length} cells of ${geo.cellSize}°. ${MAP_ATTRIBUTION}`;
+}
+
+// Resume a session stored in this tab
+const storedToken = sessionStorage.getItem(TOKEN_KEY);
+if (storedToken) {
+  signIn(storedToken);
+}
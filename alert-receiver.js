@@ -0,0 +1,57 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+
+// ============= LOCAL ALERT RECEIVER =============
+//
+// Development stand-in for a webhook endpoint: prints every alert it receives
+// and checks X-Alert-Signature against ALERT_WEBHOOK_SECRET when that is set.
+//
+//   npm run alerts:receiver                      (listens on ALERT_RECEIVER_PORT, default 4000)
+//   ALERT_WEBHOOK_URLS=http://localhost:4000/alerts npm start
+//   curl -X POST -H "Authorization: Bearer <operator token>" http://localhost:3000/api/admin/alerts/test
+
+const PORT = parseInt(process.env.ALERT_RECEIVER_PORT) || 4000;
+const SECRET = process.env.ALERT_WEBHOOK_SECRET || null;
+
+function signatureValid(body, header) {
+  if (!SECRET) return null;
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`);
+  const received = Buffer.from(header || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    const valid = signatureValid(body, req.headers['x-alert-signature']);
+
+    if (valid === false) {
+      console.warn(`✗ ${req.url}: invalid signature`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    try {
+      const { type, alert } = JSON.parse(body.toString('utf8'));
+      console.log(`📨 ${type}${alert.test ? ' (test)' : ''}${valid ? ' ✓ signed' : ''}`);
+      console.log(JSON.stringify(alert, null, 2));
+      res.writeHead(204).end();
+    } catch (error) {
+      console.warn(`✗ ${req.url}: ${error.message}`);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🚨 Alert receiver listening on http://localhost:${PORT}${SECRET ? ' (verifying signatures)' : ''}`);
+});
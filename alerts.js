@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// ============= DISEASE SPIKE ALERTS =============
+//
+// On a schedule, successful detections are counted per disease in the current
+// window (the last windowHours) and in each of the baselineWindows windows
+// before it. Taking the baseline mean as the expected Poisson rate, the current
+// count is a spike when a count at least this high would occur with
+// probability below pValue, and it reaches minCount. Located detections are
+// also tested per region: grid cells of regionCellSize degrees (see geo.js).
+//
+// Spikes are stored as alerts, sent to every channel (webhooks, email) and not
+// raised again for the same disease and region until the cooldown has passed.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  intervalMinutes: 15, // 0 disables the schedule (runOnce still works)
+  windowHours: 6,
+  baselineWindows: 28, // 7 days of 6-hour windows
+  minCount: 5,
+  pValue: 0.01,
+  minExpected: 0.5, // floor for the expected rate where the baseline is empty
+  cooldownMinutes: 360,
+  regionCellSize: 0.1 // 0 disables regional alerts
+};
+
+// ============= SPIKE STATISTICS =============
+
+function logFactorial(n) {
+  let sum = 0;
+  for (let i = 2; i <= n; i++) sum += Math.log(i);
+  return sum;
+}
+
+/**
+ * P(X >= count) for X ~ Poisson(expected), summed over the upper tail
+ */
+function poissonTail(count, expected) {
+  if (count <= 0) return 1;
+
+  let logTerm = -expected + count * Math.log(expected) - logFactorial(count);
+  let sum = 0;
+
+  for (let k = count; k < count + 10000; k++) {
+    const term = Math.exp(logTerm);
+    sum += term;
+    if (term < sum * 1e-12) break;
+    logTerm += Math.log(expected) - Math.log(k + 1);
+  }
+
+  return Math.min(1, sum);
+}
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Spikes in storage rows ({ disease, bucket, lat_cell, lon_cell, count }, bucket
+ * baselineWindows being the current window), per disease and per region
+ */
+function findSpikes(rows, options) {
+  const { baselineWindows, minCount, pValue, minExpected, regionCellSize } = { ...DEFAULT_OPTIONS, ...options };
+  const groups = new Map(); // key -> { disease, region, counts }
+
+  function add(key, disease, region, bucket, count) {
+    if (!groups.has(key)) {
+      groups.set(key, { disease, region, counts: new Array(baselineWindows + 1).fill(0) });
+    }
+    groups.get(key).counts[bucket] += count;
+  }
+
+  rows.forEach(row => {
+    const disease = String(row.disease).toLowerCase();
+    if (disease.includes('healthy') || row.bucket < 0 || row.bucket > baselineWindows) return;
+
+    add(disease, disease, null, row.bucket, row.count);
+
+    if (regionCellSize && row.lat_cell !== null && row.lon_cell !== null) {
+      add(`${disease}@${row.lat_cell}:${row.lon_cell}`, disease, { latCell: row.lat_cell, lonCell: row.lon_cell }, row.bucket, row.count);
+    }
+  });
+
+  const spikes = [];
+
+  groups.forEach(({ disease, region, counts }, key) => {
+    const count = counts[baselineWindows];
+    const baseline = counts.slice(0, baselineWindows);
+    const mean = baseline.reduce((sum, value) => sum + value, 0) / baselineWindows;
+    const expected = Math.max(mean, minExpected);
+    const probability = poissonTail(count, expected);
+
+    if (count < minCount || probability >= pValue) return;
+
+    spikes.push({
+      key,
+      disease,
+      region: region && describeRegion(region, regionCellSize),
+      count,
+      expected: round(expected),
+      pValue: probability,
+      zScore: round((count - mean) / Math.sqrt(expected), 2),
+      baseline: { windows: baselineWindows, mean: round(mean), max: Math.max(...baseline) }
+    });
+  });
+
+  return spikes.sort((a, b) => a.pValue - b.pValue);
+}
+
+function describeRegion({ latCell, lonCell }, cellSize) {
+  const south = latCell * cellSize;
+  const west = lonCell * cellSize;
+
+  return {
+    latCell,
+    lonCell,
+    cellSize,
+    center: { latitude: round(south + cellSize / 2, 6), longitude: round(west + cellSize / 2, 6) },
+    bounds: {
+      south: round(south, 6),
+      west: round(west, 6),
+      north: round(south + cellSize, 6),
+      east: round(west + cellSize, 6)
+    }
+  };
+}
+
+/**
+ * One-line summary used as the email subject and in logs
+ */
+function alertSummary(alert) {
+  const where = alert.region
+    ? ` near ${alert.region.center.latitude}, ${alert.region.center.longitude}`
+    : '';
+  return `${alert.disease} spike${where}: ${alert.count} detections in ${alert.window.hours}h (expected ${alert.expected})`;
+}
+
+// ============= CHANNELS =============
+//
+// A channel is { name, send(alert) }; send rejects when delivery fails.
+
+/**
+ * POST { type: 'disease_spike', alert } as JSON. With a secret the body is signed:
+ * X-Alert-Signature: sha256=<hex HMAC of the raw body>
+ */
+function createWebhookChannel({ url, secret = null, timeoutMs = 5000 }) {
+  const { host } = new URL(url);
+
+  return {
+    name: `webhook:${host}`,
+    async send(alert) {
+      const body = JSON.stringify({ type: 'disease_spike', alert });
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (secret) {
+        headers['X-Alert-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      await axios.post(url, body, { headers, timeout: timeoutMs });
+    }
+  };
+}
+
+/**
+ * Plain-text email through an SMTP transport (connection URL or nodemailer options)
+ */
+function createEmailChannel({ transport, from, to }) {
+  const transporter = nodemailer.createTransport(transport);
+
+  return {
+    name: 'email',
+    async send(alert) {
+      const lines = [
+        alertSummary(alert),
+        '',
+        `Window: ${alert.window.start} to ${alert.window.end}`,
+        `Detections: ${alert.count} (baseline mean ${alert.baseline.mean} over ${alert.baseline.windows} windows, max ${alert.baseline.max})`,
+        `Probability under the baseline: ${alert.pValue.toExponential(2)}`
+      ];
+
+      if (alert.region) {
+        const { bounds } = alert.region;
+        lines.push(`Region: ${bounds.south},${bounds.west} to ${bounds.north},${bounds.east}`);
+      }
+
+      await transporter.sendMail({
+        from,
+        to,
+        subject: `[Cali AI] ${alertSummary(alert)}`,
+        text: lines.join('\n')
+      });
+    }
+  };
+}
+
+/**
+ * Channels configured by ALERT_WEBHOOK_URLS / ALERT_WEBHOOK_SECRET and
+ * ALERT_EMAIL_TO / ALERT_EMAIL_FROM / ALERT_SMTP_URL
+ */
+function channelsFromEnv(env = process.env) {
+  const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const channels = list(env.ALERT_WEBHOOK_URLS).map(url => createWebhookChannel({
+    url,
+    secret: env.ALERT_WEBHOOK_SECRET || null
+  }));
+
+  const recipients = list(env.ALERT_EMAIL_TO);
+  if (recipients.length > 0) {
+    if (!env.ALERT_SMTP_URL) {
+      throw new Error('ALERT_EMAIL_TO requires ALERT_SMTP_URL');
+    }
+
+    channels.push(createEmailChannel({
+      transport: env.ALERT_SMTP_URL,
+      from: env.ALERT_EMAIL_FROM || 'alerts@localhost',
+      to: recipients.join(', ')
+    }));
+  }
+
+  return channels;
+}
+
+// ============= ANALYZER =============
+
+/**
+ * Create the scheduled spike analyzer over the storage contract's detection
+ * counts and alert history
+ */
+function createAlerting({ db, channels = [], options = {} }) {
+  const config = { ...DEFAULT_OPTIONS };
+  Object.keys(options).forEach(name => {
+    if (options[name] !== undefined && !Number.isNaN(options[name])) {
+      config[name] = options[name];
+    }
+  });
+
+  if (!(config.windowHours > 0 && config.baselineWindows >= 1 && config.minExpected > 0)) {
+    throw new Error('ALERT_WINDOW_HOURS, ALERT_BASELINE_WINDOWS and the minimum expected rate must be positive');
+  }
+
+  const windowMs = Math.round(config.windowHours * HOUR_MS);
+  let timer = null;
+  let running = null;
+
+  async function deliver(alert) {
+    const outcomes = await Promise.allSettled(channels.map(channel => channel.send(alert)));
+
+    return outcomes.map((outcome, index) => ({
+      channel: channels[index].name,
+      ok: outcome.status === 'fulfilled',
+      ...(outcome.status === 'rejected' && { error: outcome.reason.message })
+    }));
+  }
+
+  async function analyze(now) {
+    const windowStart = now - windowMs;
+    const since = windowStart - config.baselineWindows * windowMs;
+
+    const rows = await db.getDetectionCounts({
+      since,
+      bucketMs: windowMs,
+      cellSize: config.regionCellSize || null
+    });
+
+    const recent = await db.getAlerts({ since: now - config.cooldownMinutes * 60 * 1000, limit: 1000 });
+    const cooling = new Set(recent.map(alert => alert.key));
+    const created = [];
+
+    for (const spike of findSpikes(rows, config)) {
+      if (cooling.has(spike.key)) continue;
+
+      const alert = {
+        ...spike,
+        window: {
+          start: new Date(windowStart).toISOString(),
+          end: new Date(now).toISOString(),
+          hours: config.windowHours
+        }
+      };
+
+      const id = await db.saveAlert(alert);
+      console.warn(`🚨 Alert: ${alertSummary(alert)}`);
+
+      const deliveries = await deliver(alert);
+      deliveries.filter(d => !d.ok).forEach(d => console.error(`Alert delivery to ${d.channel} failed: ${d.error}`));
+      if (id !== null) await db.updateAlertDeliveries(id, deliveries);
+
+      created.push({ id, ...alert, deliveries });
+    }
+
+    return created;
+  }
+
+  /**
+   * Analyze now; resolves to the alerts raised. Overlapping calls share one run.
+   */
+  function runOnce(now = Date.now()) {
+    if (!running) {
+      running = analyze(now)
+        .catch(error => {
+          console.error('Spike analysis failed:', error.message);
+          return [];
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  /**
+   * Send a sample alert to every channel (checks webhook receivers and SMTP settings)
+   */
+  async function sendTest() {
+    const now = Date.now();
+    const alert = {
+      test: true,
+      key: 'test',
+      disease: 'test',
+      region: null,
+      count: config.minCount,
+      expected: config.minExpected,
+      pValue: poissonTail(config.minCount, config.minExpected),
+      zScore: 0,
+      baseline: { windows: config.baselineWindows, mean: 0, max: 0 },
+      window: { start: new Date(now - windowMs).toISOString(), end: new Date(now).toISOString(), hours: config.windowHours }
+    };
+
+    return deliver(alert);
+  }
+
+  function start() {
+    if (timer || !(config.intervalMinutes > 0)) return;
+
+    timer = setInterval(() => runOnce(), config.intervalMinutes * 60 * 1000);
+    console.log(`🚨 Spike alerts every ${config.intervalMinutes} min (${channels.length} channels)`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function describe() {
+    return {
+      ...config,
+      channels: channels.map(channel => channel.name)
+    };
+  }
+
+  return {
+    runOnce,
+    sendTest,
+    start,
+    stop,
+    describe
+  };
+}
+
+module.exports = {
+  poissonTail,
+  findSpikes,
+  alertSummary,
+  createWebhookChannel,
+  createEmailChannel,
+  channelsFromEnv,
+  createAlerting
+};
@@ -0,0 +1,107 @@
+const net = require('net');
+
+// ============= RATE LIMIT ALLOWLIST =============
+//
+// Trusted addresses - e.g. a farming cooperative behind one NAT address - skip
+// the database rate limit and its auto-blocks. Entries are single IPs or CIDR
+// ranges (IPv4 or IPv6) from RATE_LIMIT_ALLOWLIST (comma-separated) plus the
+// ip_allowlist table managed through the admin API.
+
+/**
+ * IPv4 clients of a dual-stack socket appear as ::ffff:1.2.3.4; report them as 1.2.3.4
+ */
+function normalizeIP(ip) {
+  if (typeof ip !== 'string') return ip;
+
+  const mapped = ip.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i);
+  return mapped ? mapped[1] : ip;
+}
+
+/**
+ * Parse "1.2.3.4" or "10.0.0.0/8" into { address, prefix, type }, or null if invalid
+ */
+function parseEntry(entry) {
+  const [address, prefixText, ...rest] = String(entry).trim().split('/');
+  const family = net.isIP(address);
+
+  if (!family || rest.length > 0) return null;
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  const maxPrefix = family === 6 ? 128 : 32;
+
+  if (prefixText === undefined) {
+    return { address, prefix: null, type };
+  }
+
+  if (!/^\d{1,3}$/.test(prefixText) || parseInt(prefixText) > maxPrefix) return null;
+
+  return { address, prefix: parseInt(prefixText), type };
+}
+
+function buildBlockList(entries) {
+  const list = new net.BlockList();
+
+  entries.forEach(entry => {
+    const parsed = parseEntry(entry);
+    if (!parsed) return;
+
+    if (parsed.prefix === null) {
+      list.addAddress(parsed.address, parsed.type);
+    } else {
+      list.addSubnet(parsed.address, parsed.prefix, parsed.type);
+    }
+  });
+
+  return list;
+}
+
+/**
+ * Create the allowlist from RATE_LIMIT_ALLOWLIST-style config and storage
+ */
+function createAllowlist({ db, config = '' }) {
+  const configEntries = config
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  configEntries.forEach(entry => {
+    if (!parseEntry(entry)) {
+      throw new Error(`Invalid RATE_LIMIT_ALLOWLIST entry "${entry}": expected an IP address or CIDR range`);
+    }
+  });
+
+  let storedEntries = [];
+  let list = buildBlockList(configEntries);
+
+  /**
+   * Re-read stored entries (call after changing the ip_allowlist table)
+   */
+  async function reload() {
+    const rows = await db.getAllowlist();
+    storedEntries = rows.map(row => row.entry);
+    list = buildBlockList([...configEntries, ...storedEntries]);
+  }
+
+  function isAllowed(ip) {
+    const family = net.isIP(ip || '');
+    if (!family) return false;
+
+    return list.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  function getConfigEntries() {
+    return configEntries.slice();
+  }
+
+  return {
+    reload,
+    isAllowed,
+    getConfigEntries
+  };
+}
+
+module.exports = {
+  normalizeIP,
+  parseEntry,
+  createAllowlist
+};
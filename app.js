@@ -1,11 +1,14 @@
 // API Configuration
 const API_BASE_URL = window.location.origin;
 
-// Validation constants
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-const MIN_IMAGE_SIZE = 100; // pixels
-const MAX_IMAGE_SIZE = 4096; // pixels
+// Upload settings, replaced by the server's from /api/config when it answers
+let uploadConfig = {
+  maxDimension: 1024, // pixels, longest side sent to the server
+  jpegQuality: 0.85,
+  maxFileSize: 10 * 1024 * 1024, // 10MB
+  allowedTypes: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
+  minDimension: 100 // pixels
+};
 
 // DOM elements
 const fileInput = document.getElementById('fileInput');
@@ -13,6 +16,25 @@ const detectBtn = document.getElementById('detectBtn');
 const imagePreview = document.getElementById('imagePreview');
 const previewImg = document.getElementById('previewImg');
 const uploadForm = document.getElementById('uploadForm');
+const locationOptIn = document.getElementById('locationOptIn');
+const locationFields = document.getElementById('locationFields');
+const latitudeInput = document.getElementById('latitudeInput');
+const longitudeInput = document.getElementById('longitudeInput');
+const useLocationBtn = document.getElementById('useLocationBtn');
+const openCameraBtn = document.getElementById('openCameraBtn');
+const cameraPanel = document.getElementById('cameraPanel');
+const cameraView = document.getElementById('cameraView');
+const cameraVideo = document.getElementById('cameraVideo');
+const cameraReview = document.getElementById('cameraReview');
+const cameraFocus = document.getElementById('cameraFocus');
+const cameraMeter = document.getElementById('cameraMeter');
+const cameraHint = document.getElementById('cameraHint');
+const captureBtn = document.getElementById('captureBtn');
+const retakeBtn = document.getElementById('retakeBtn');
+const usePhotoBtn = document.getElementById('usePhotoBtn');
+const closeCameraBtn = document.getElementById('closeCameraBtn');
+const offlineQueue = document.getElementById('offlineQueue');
+const offlineQueueList = document.getElementById('offlineQueueList');
 
 let currentImageUrl = null;
 let currentFile = null;
@@ -28,24 +50,19 @@ fileInput.addEventListener('change', function(e) {
       return;
     }
     
+    closeCamera();
     currentFile = file;
     loadImagePreview(file);
     detectBtn.disabled = false;
   }
 });
 
+// Size limits apply to the resized upload (see prepareUpload), not the original
 function validateFile(file) {
-  if (file.size > MAX_FILE_SIZE) {
+  if (!uploadConfig.allowedTypes.includes(file.type)) {
     return {
       valid: false,
-      error: 'File size exceeds 10MB. Please choose a smaller image.'
-    };
-  }
-  
-  if (!ALLOWED_TYPES.includes(file.type)) {
-    return {
-      valid: false,
-      error: 'Invalid file type. Please upload a JPEG, PNG, or WebP image.'
+      error: I18n.t('error.invalidType')
     };
   }
   
@@ -61,17 +78,10 @@ function loadImagePreview(file) {
   
   const img = new Image();
   img.onload = function() {
-    if (img.width < MIN_IMAGE_SIZE || img.height < MIN_IMAGE_SIZE) {
-      alert(`Image is too small (${img.width}x${img.height}). Minimum size is ${MIN_IMAGE_SIZE}x${MIN_IMAGE_SIZE} pixels.`);
-      fileInput.value = '';
-      URL.revokeObjectURL(currentImageUrl);
-      currentImageUrl = null;
-      detectBtn.disabled = true;
-      return;
-    }
+    const minSize = uploadConfig.minDimension;
     
-    if (img.width > MAX_IMAGE_SIZE || img.height > MAX_IMAGE_SIZE) {
-      alert(`Image is too large (${img.width}x${img.height}). Maximum size is ${MAX_IMAGE_SIZE}x${MAX_IMAGE_SIZE} pixels.`);
+    if (img.width < minSize || img.height < minSize) {
+      alert(I18n.t('error.imageTooSmall', { width: img.width, height: img.height, min: minSize }));
       fileInput.value = '';
       URL.revokeObjectURL(currentImageUrl);
       currentImageUrl = null;
@@ -80,12 +90,12 @@ function loadImagePreview(file) {
     }
     
     previewImg.src = currentImageUrl;
-    previewImg.alt = `Preview of ${file.name}`;
+    previewImg.alt = I18n.t('upload.previewOf', { name: file.name });
     imagePreview.classList.add('show');
   };
   
   img.onerror = function() {
-    alert('Failed to load image. The file may be corrupted.');
+    alert(I18n.t('error.imageLoadFailed'));
     fileInput.value = '';
     URL.revokeObjectURL(currentImageUrl);
     currentImageUrl = null;
@@ -95,48 +105,697 @@ function loadImagePreview(file) {
   img.src = currentImageUrl;
 }
 
+// ============= CLIENT-SIDE RESIZE =============
+//
+// Phone photos are often several thousand pixels and megabytes, while the
+// server scales every image to uploadConfig.maxDimension anyway. Before upload
+// the browser decodes the photo upright (applying its EXIF orientation), scales
+// it to fit that size and re-encodes it as JPEG. The original EXIF block is
+// carried over with its orientation reset, so the server still reads the GPS
+// position and capture time.
+
+async function loadUploadConfig() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/config`);
+    if (!response.ok) return;
+    
+    const { upload } = await response.json();
+    Object.keys(upload || {}).forEach(function(name) {
+      if (upload[name] !== null && upload[name] !== undefined) {
+        uploadConfig[name] = upload[name];
+      }
+    });
+  } catch (error) {
+    console.warn('Upload settings unavailable, using defaults:', error);
+  }
+}
+
+// APP1 "Exif" segment of a JPEG (marker and length included), or null
+function findExifSegment(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+  
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xDA) break;
+    
+    if (marker === 0xE1 && String.fromCharCode.apply(null, bytes.subarray(offset + 4, offset + 10)) === 'Exif\0\0') {
+      return bytes.slice(offset, offset + 2 + length);
+    }
+    
+    offset += 2 + length;
+  }
+  
+  return null;
+}
+
+// Orientation tag of an Exif segment (1 when absent), rewritten to 1 in place
+function resetOrientation(segment) {
+  const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+  const tiff = 10; // marker, length and "Exif\0\0"
+  const little = view.getUint16(tiff) === 0x4949;
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  const count = view.getUint16(ifd, little);
+  
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const orientation = view.getUint16(entry + 8, little);
+      view.setUint16(entry + 8, 1, little);
+      return orientation;
+    }
+  }
+  
+  return 1;
+}
+
+// Decoded image with its EXIF orientation applied
+async function decodeImage(file) {
+  if (window.createImageBitmap) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+      // Older browsers reject the options; <img> applies orientation itself
+    }
+  }
+  
+  return new Promise(function(resolve, reject) {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    
+    img.onload = function() {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    
+    img.onerror = function() {
+      URL.revokeObjectURL(url);
+      reject(new Error(I18n.t('error.imageLoadFailed')));
+    };
+    
+    img.src = url;
+  });
+}
+
+function canvasToBlob(canvas, quality) {
+  return new Promise(function(resolve, reject) {
+    canvas.toBlob(function(blob) {
+      blob ? resolve(blob) : reject(new Error('Image encoding failed'));
+    }, 'image/jpeg', quality);
+  });
+}
+
+/**
+ * The file to upload: the original when it is already an upright JPEG within
+ * maxDimension, else an upright, downscaled JPEG re-encoded at jpegQuality.
+ * Falls back to the original when the browser cannot process it.
+ */
+async function prepareUpload(file) {
+  const { maxDimension, jpegQuality, maxFileSize } = uploadConfig;
+  let upload = file;
+  
+  try {
+    const isJpeg = file.type === 'image/jpeg' || file.type === 'image/jpg';
+    let exif = null;
+    let orientation = 1;
+    
+    if (isJpeg) {
+      try {
+        exif = findExifSegment(new Uint8Array(await file.arrayBuffer()));
+        orientation = exif ? resetOrientation(exif) : 1;
+      } catch (error) {
+        exif = null; // malformed EXIF is dropped, as the server would ignore it
+      }
+    }
+    
+    const image = await decodeImage(file);
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    
+    if (!(isJpeg && scale === 1 && orientation === 1)) {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff'; // transparent PNG/WebP areas
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      
+      const jpeg = await canvasToBlob(canvas, jpegQuality);
+      const parts = exif ? [jpeg.slice(0, 2), exif, jpeg.slice(2)] : [jpeg];
+      const name = file.name.replace(/\.[^.]*$/, '') + '.jpg';
+      
+      upload = new File(parts, name, { type: 'image/jpeg' });
+    }
+    
+    if (image.close) image.close();
+  } catch (error) {
+    console.warn('Client-side resize failed, uploading the original:', error);
+    upload = file;
+  }
+  
+  if (upload.size > maxFileSize) {
+    throw new Error(I18n.t('error.fileTooLarge'));
+  }
+  
+  return upload;
+}
+
+loadUploadConfig();
+
+// ============= CAMERA CAPTURE =============
+//
+// A live camera view (rear camera preferred) with a framing guide for a single
+// fruit or leaf. While it runs, the centre of the frame is sampled at full
+// resolution to tell the user whether the light and focus are good enough.
+// A captured photo can be reviewed and retaken; "Use Photo" hands it to the
+// same preview and detection flow as an uploaded file.
+
+const METER_SAMPLE = 256; // pixels, square from the centre of the frame
+const METER_INTERVAL_MS = 400;
+
+// Brightness limits match the server's quality gate defaults (quality.js);
+// sharpness is the Laplacian variance of the unscaled sample
+const METER_LIMITS = {
+  minBrightness: 40,
+  maxBrightness: 225,
+  minSharpness: 10
+};
+
+let cameraStream = null;
+let meterTimer = null;
+let capturedFile = null;
+let reviewUrl = null;
+const meterCanvas = document.createElement('canvas');
+
+if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+  openCameraBtn.hidden = false;
+}
+
+async function openCamera() {
+  if (cameraStream) return;
+  
+  try {
+    cameraStream = await navigator.mediaDevices.getUserMedia({
+      video: {
+        facingMode: { ideal: 'environment' },
+        width: { ideal: 1920 },
+        height: { ideal: 1080 }
+      },
+      audio: false
+    });
+  } catch (error) {
+    console.warn('Camera unavailable:', error);
+    alert(I18n.t(error.name === 'NotAllowedError' ? 'camera.denied' : 'camera.unavailable'));
+    return;
+  }
+  
+  cameraVideo.srcObject = cameraStream;
+  cameraPanel.hidden = false;
+  showLiveView();
+}
+
+function closeCamera() {
+  stopMeter();
+  clearReview();
+  
+  if (cameraStream) {
+    cameraStream.getTracks().forEach(function(track) {
+      track.stop();
+    });
+    cameraStream = null;
+  }
+  
+  cameraVideo.srcObject = null;
+  cameraPanel.hidden = true;
+}
+
+function showLiveView() {
+  clearReview();
+  cameraVideo.hidden = false;
+  cameraHint.hidden = false;
+  captureBtn.hidden = false;
+  retakeBtn.hidden = true;
+  usePhotoBtn.hidden = true;
+  cameraVideo.play().catch(function() {});
+  startMeter();
+}
+
+function clearReview() {
+  if (reviewUrl) {
+    URL.revokeObjectURL(reviewUrl);
+    reviewUrl = null;
+  }
+  
+  capturedFile = null;
+  cameraReview.hidden = true;
+  cameraReview.removeAttribute('src');
+}
+
+async function capturePhoto() {
+  const width = cameraVideo.videoWidth;
+  const height = cameraVideo.videoHeight;
+  if (!width || !height) return;
+  
+  // The whole frame, not just the part the cropped view shows
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(cameraVideo, 0, 0, width, height);
+  
+  const blob = await canvasToBlob(canvas, 0.92);
+  stopMeter();
+  cameraVideo.pause();
+  
+  capturedFile = new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' });
+  reviewUrl = URL.createObjectURL(blob);
+  cameraReview.src = reviewUrl;
+  cameraReview.hidden = false;
+  cameraVideo.hidden = true;
+  cameraHint.hidden = true;
+  captureBtn.hidden = true;
+  retakeBtn.hidden = false;
+  usePhotoBtn.hidden = false;
+}
+
+function useCapturedPhoto() {
+  const file = capturedFile;
+  if (!file) return;
+  
+  capturedFile = null; // keep the file when the review is cleared
+  closeCamera();
+  
+  // The photo stands in for a chosen file
+  fileInput.value = '';
+  fileInput.required = false;
+  currentFile = file;
+  loadImagePreview(file);
+  detectBtn.disabled = false;
+}
+
+// ============= LIVE QUALITY METER =============
+
+// { brightness, sharpness } of the centre of the current frame, or null before the first frame
+function measureFrame() {
+  const width = cameraVideo.videoWidth;
+  const height = cameraVideo.videoHeight;
+  if (!width || !height) return null;
+  
+  const size = Math.min(METER_SAMPLE, width, height);
+  meterCanvas.width = size;
+  meterCanvas.height = size;
+  
+  const context = meterCanvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(cameraVideo, (width - size) / 2, (height - size) / 2, size, size, 0, 0, size, size);
+  const pixels = context.getImageData(0, 0, size, size).data;
+  
+  const grey = new Float32Array(size * size);
+  let total = 0;
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+    total += grey[i];
+  }
+  
+  // Variance of the Laplacian: blur and shake flatten the edges
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const laplacian = grey[i - 1] + grey[i + 1] + grey[i - size] + grey[i + size] - 4 * grey[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  
+  return {
+    brightness: total / grey.length,
+    sharpness: sumSquares / count - (sum / count) ** 2
+  };
+}
+
+function updateMeter() {
+  const frame = measureFrame();
+  if (!frame) return;
+  
+  let key = 'camera.good';
+  if (frame.brightness < METER_LIMITS.minBrightness) key = 'camera.tooDark';
+  else if (frame.brightness > METER_LIMITS.maxBrightness) key = 'camera.tooBright';
+  else if (frame.sharpness < METER_LIMITS.minSharpness) key = 'camera.blurry';
+  
+  cameraMeter.textContent = I18n.t(key);
+  cameraMeter.dataset.state = key === 'camera.good' ? 'ok' : 'warn';
+}
+
+function startMeter() {
+  stopMeter();
+  meterTimer = setInterval(updateMeter, METER_INTERVAL_MS);
+}
+
+function stopMeter() {
+  clearInterval(meterTimer);
+  meterTimer = null;
+  cameraMeter.textContent = '';
+}
+
+// ============= TAP TO FOCUS =============
+
+// Point in the video frame (0-1 on each axis) shown at a click in the cropped view
+function framePoint(event) {
+  const rect = cameraView.getBoundingClientRect();
+  const scale = Math.max(rect.width / cameraVideo.videoWidth, rect.height / cameraVideo.videoHeight);
+  const shownWidth = cameraVideo.videoWidth * scale;
+  const shownHeight = cameraVideo.videoHeight * scale;
+  
+  return {
+    x: (event.clientX - rect.left + (shownWidth - rect.width) / 2) / shownWidth,
+    y: (event.clientY - rect.top + (shownHeight - rect.height) / 2) / shownHeight
+  };
+}
+
+// Cameras that report focus modes (mostly Android) refocus on the tapped point
+async function focusAt(event) {
+  if (!cameraStream || cameraVideo.hidden || !cameraVideo.videoWidth) return;
+  
+  const [track] = cameraStream.getVideoTracks();
+  const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+  const modes = capabilities.focusMode || [];
+  const focusMode = ['single-shot', 'continuous'].find(function(mode) {
+    return modes.includes(mode);
+  });
+  
+  if (!focusMode) return;
+  
+  try {
+    await track.applyConstraints({ advanced: [{ focusMode, pointsOfInterest: [framePoint(event)] }] });
+    
+    const rect = cameraView.getBoundingClientRect();
+    cameraFocus.style.left = `${event.clientX - rect.left}px`;
+    cameraFocus.style.top = `${event.clientY - rect.top}px`;
+    cameraFocus.classList.add('show');
+    setTimeout(function() {
+      cameraFocus.classList.remove('show');
+    }, 800);
+  } catch (error) {
+    console.warn('Tap to focus failed:', error);
+  }
+}
+
+openCameraBtn.addEventListener('click', openCamera);
+captureBtn.addEventListener('click', capturePhoto);
+retakeBtn.addEventListener('click', showLiveView);
+usePhotoBtn.addEventListener('click', useCapturedPhoto);
+closeCameraBtn.addEventListener('click', closeCamera);
+cameraView.addEventListener('click', focusAt);
+window.addEventListener('pagehide', closeCamera);
+
+// ============= OFFLINE QUEUE =============
+//
+// Photos submitted without a connection go to the IndexedDB queue
+// (offline-queue.js). The service worker (sw.js) sends them on Background Sync
+// and notifies the user of each result; the list below shows what is waiting
+// and links to finished results.
+
+let queueThumbnails = [];
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(function(error) {
+    console.warn('Service worker registration failed:', error);
+  });
+  
+  navigator.serviceWorker.addEventListener('message', function(e) {
+    if (e.data && e.data.type === 'queue-updated') renderQueue();
+  });
+}
+
+async function queueDetection(upload, location) {
+  try {
+    await OfflineQueue.add({
+      image: upload,
+      location,
+      notice: {
+        title: I18n.t('offline.noticeTitle'),
+        ready: I18n.t('offline.noticeReady'),
+        failed: I18n.t('offline.noticeFailed')
+      }
+    });
+  } catch (error) {
+    console.error('Could not save the photo for later:', error);
+    throw new Error(I18n.t('error.network'));
+  }
+  
+  // Ask now, while the user is here, so results can be announced later
+  if (window.Notification && Notification.permission === 'default') {
+    Promise.resolve(Notification.requestPermission()).catch(function() {});
+  }
+  
+  resetDetectionState();
+  currentFile = null;
+  fileInput.value = '';
+  imagePreview.classList.remove('show');
+  detectBtn.disabled = true;
+  
+  alert(I18n.t('offline.queued'));
+  await renderQueue();
+  await requestQueueSync();
+}
+
+/**
+ * Send queued photos: through Background Sync, which also waits for the
+ * connection, else by asking the service worker, else from this page.
+ */
+async function requestQueueSync() {
+  const registration = 'serviceWorker' in navigator
+    ? await navigator.serviceWorker.getRegistration()
+    : null;
+  
+  if (registration && registration.active) {
+    if (registration.sync) {
+      try {
+        await registration.sync.register(OfflineQueue.SYNC_TAG);
+        return;
+      } catch (error) {
+        console.warn('Background sync unavailable:', error);
+      }
+    }
+    
+    if (navigator.onLine) registration.active.postMessage({ type: 'sync-queue' });
+    return;
+  }
+  
+  if (!navigator.onLine) return;
+  
+  try {
+    await OfflineQueue.sync(function(entry) {
+      renderQueue();
+      
+      if (window.Notification && Notification.permission === 'granted') {
+        const { title, options } = OfflineQueue.notification(entry);
+        new Notification(title, options);
+      }
+    });
+  } catch (error) {
+    console.warn('Queued uploads not sent:', error);
+  }
+}
+
+function queueItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'offline-queue-item';
+  item.dataset.status = entry.status;
+  
+  const thumbnail = document.createElement('img');
+  const url = URL.createObjectURL(entry.image);
+  queueThumbnails.push(url);
+  thumbnail.src = url;
+  thumbnail.alt = '';
+  item.appendChild(thumbnail);
+  
+  const status = document.createElement('span');
+  status.className = 'offline-queue-status';
+  status.textContent = I18n.t(`offline.${entry.status}`);
+  
+  const detail = document.createElement('small');
+  detail.textContent = entry.status === 'failed'
+    ? entry.error
+    : new Date(entry.createdAt).toLocaleString(I18n.lang);
+  status.appendChild(detail);
+  item.appendChild(status);
+  
+  if (entry.status === 'done') {
+    const view = document.createElement('a');
+    view.className = 'offline-queue-action';
+    view.href = `./result.html?queued=${entry.id}`;
+    view.textContent = I18n.t('offline.view');
+    item.appendChild(view);
+  } else {
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'offline-queue-action';
+    remove.textContent = I18n.t('offline.remove');
+    remove.addEventListener('click', async function() {
+      await OfflineQueue.remove(entry.id);
+      renderQueue();
+    });
+    item.appendChild(remove);
+  }
+  
+  return item;
+}
+
+async function renderQueue() {
+  let entries = [];
+  try {
+    entries = await OfflineQueue.list();
+  } catch (error) {
+    console.warn('Offline queue unavailable:', error);
+  }
+  
+  queueThumbnails.forEach(function(url) {
+    URL.revokeObjectURL(url);
+  });
+  queueThumbnails = [];
+  
+  offlineQueueList.innerHTML = '';
+  entries.forEach(function(entry) {
+    offlineQueueList.appendChild(queueItem(entry));
+  });
+  offlineQueue.hidden = entries.length === 0;
+}
+
+window.addEventListener('online', requestQueueSync);
+
+I18n.ready.then(function() {
+  renderQueue();
+  requestQueueSync();
+});
+
+// ============= OPTIONAL LOCATION =============
+
+locationOptIn.addEventListener('change', function() {
+  locationFields.hidden = !locationOptIn.checked;
+});
+
+useLocationBtn.addEventListener('click', function() {
+  if (!navigator.geolocation) {
+    alert(I18n.t('error.locationUnavailable'));
+    return;
+  }
+  
+  useLocationBtn.disabled = true;
+  useLocationBtn.textContent = I18n.t('location.locating');
+  
+  const done = function() {
+    useLocationBtn.disabled = false;
+    useLocationBtn.textContent = I18n.t('location.useCurrent');
+  };
+  
+  navigator.geolocation.getCurrentPosition(function(position) {
+    latitudeInput.value = position.coords.latitude.toFixed(6);
+    longitudeInput.value = position.coords.longitude.toFixed(6);
+    done();
+  }, function() {
+    alert(I18n.t('error.locationUnavailable'));
+    done();
+  }, { enableHighAccuracy: true, timeout: 15000 });
+});
+
+// Opted-in location: null when not shared, undefined when the fields are invalid
+function readLocation() {
+  if (!locationOptIn.checked) return null;
+  
+  const latitude = parseFloat(latitudeInput.value);
+  const longitude = parseFloat(longitudeInput.value);
+  
+  if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) return undefined;
+  return { latitude, longitude };
+}
+
 uploadForm.addEventListener('submit', async function(e) {
   e.preventDefault();
   
   if (!currentFile) {
-    alert('Please select an image first');
+    alert(I18n.t('error.noImage'));
     return;
   }
   
-  await processDetection();
+  const location = readLocation();
+  if (location === undefined) {
+    alert(I18n.t('error.locationInvalid'));
+    return;
+  }
+  
+  await processDetection(location);
 });
 
-async function processDetection() {
-  setLoadingState(true, 'Analyzing image...');
+// Progress message keys for each job stage reported by the server
+const STAGE_MESSAGES = {
+  queued: 'stage.queued',
+  optimizing: 'stage.optimizing',
+  verifying: 'stage.verifying',
+  diagnosing: 'stage.diagnosing'
+};
+
+async function processDetection(location = null) {
+  setLoadingState(true, I18n.t('stage.preparing'));
   
   try {
+    const upload = await prepareUpload(currentFile);
+    
+    // No signal: keep the photo and analyze it once the connection is back
+    if (!navigator.onLine) {
+      await queueDetection(upload, location);
+      return;
+    }
+    
+    setLoadingState(true, I18n.t('stage.uploading'));
+    
     // Prepare FormData
     const formData = new FormData();
-    formData.append('image', currentFile);
+    formData.append('image', upload);
     
-    // Make API request to backend
-    const response = await fetch(`${API_BASE_URL}/api/detect`, {
-      method: 'POST',
-      body: formData
-    });
+    if (location) {
+      formData.append('latitude', location.latitude);
+      formData.append('longitude', location.longitude);
+    }
+    
+    // Submit an asynchronous detection job
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}/api/jobs`, {
+        method: 'POST',
+        body: formData
+      });
+    } catch (error) {
+      // Reported online but the request never got through (weak signal, captive portal)
+      console.warn('Upload failed, queueing the photo:', error);
+      await queueDetection(upload, location);
+      return;
+    }
     
-    const data = await response.json();
+    const job = await response.json();
     
     if (!response.ok) {
-      // Handle different error types
-      if (response.status === 429) {
-        throw new Error('Too many detection attempts. Please wait a moment and try again.');
-      }
-      
-      if (response.status === 400 && data.type === 'validation_error') {
-        throw new Error(data.error);
-      }
-      
-      throw new Error(data.error || 'Detection failed. Please try again.');
+      throw detectionError(response.status, job);
     }
     
+    const outcome = await waitForJob(job);
+    
+    if (outcome.status !== 200) {
+      throw detectionError(outcome.status, outcome.body);
+    }
+    
+    const data = outcome.body;
+    
     // Store result in sessionStorage (matching result.html format)
     const resultData = {
+      id: data.id,
       model1: {
         class: data.model1.class,
         confidence: data.model1.confidence.toString()
@@ -146,18 +805,28 @@ async function processDetection() {
         confidence: data.model2.confidence.toString(),
         boundingBox: data.model2.boundingBox
       },
-      imageSrc: data.imageData,
+      imageSrc: await createPreviewDataUrl(upload),
       imageWidth: data.imageWidth,
       imageHeight: data.imageHeight,
       allPredictions: data.allPredictions,
+      diseaseInfo: data.diseaseInfo,
+      severity: data.severity,
       timestamp: data.timestamp
     };
     
     console.log('Detection successful! Result:', resultData);
     sessionStorage.setItem('detectionResult', JSON.stringify(resultData));
     
-    // Redirect to results page
-    window.location.href = './result.html';
+    try {
+      await DetectionHistory.add(resultData);
+    } catch (error) {
+      console.warn('Result not saved to history:', error);
+    }
+    
+    // Redirect to results page (the ID makes the result shareable)
+    window.location.href = data.id
+      ? `./result.html?id=${encodeURIComponent(data.id)}`
+      : './result.html';
     
   } catch (error) {
     console.error('Detection error:', error);
@@ -165,12 +834,108 @@ async function processDetection() {
   }
 }
 
+// Map an error response from the API to a user-facing Error
+function detectionError(status, data = {}) {
+  if (status === 429) {
+    return new Error(I18n.t('error.tooManyAttempts'));
+  }
+  
+  if (status === 400 && data.type === 'validation_error') {
+    return new Error(data.error);
+  }
+  
+  return new Error(data.error || I18n.t('error.detectionFailed'));
+}
+
+function showJobProgress(update) {
+  let message = I18n.t(STAGE_MESSAGES[update.stage] || 'stage.analyzing');
+  
+  if (update.stage === 'queued' && update.position) {
+    message = I18n.t('stage.queuedPosition', { position: update.position });
+  }
+  
+  setLoadingState(true, message);
+}
+
+// Follow a job over Server-Sent Events, falling back to polling
+function waitForJob(job) {
+  return new Promise((resolve, reject) => {
+    if (!window.EventSource) {
+      pollJob(job.statusUrl).then(resolve, reject);
+      return;
+    }
+    
+    const source = new EventSource(`${API_BASE_URL}${job.eventsUrl}`);
+    
+    source.addEventListener('progress', function(e) {
+      showJobProgress(JSON.parse(e.data));
+    });
+    
+    const finish = function(e) {
+      source.close();
+      resolve(JSON.parse(e.data).result);
+    };
+    
+    source.addEventListener('completed', finish);
+    source.addEventListener('failed', finish);
+    
+    source.onerror = function() {
+      // Connection dropped (proxy, sleep, network): keep following by polling
+      source.close();
+      pollJob(job.statusUrl).then(resolve, reject);
+    };
+  });
+}
+
+async function pollJob(statusUrl, intervalMs = 1500) {
+  while (true) {
+    const response = await fetch(`${API_BASE_URL}${statusUrl}`, { cache: 'no-store' });
+    const job = await response.json();
+    
+    if (!response.ok) {
+      throw detectionError(response.status, job);
+    }
+    
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job.result;
+    }
+    
+    showJobProgress(job);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Downscaled JPEG copy of the upload for the result page (the server keeps no full image)
+function createPreviewDataUrl(file, maxSize = 1024) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    
+    img.onload = function() {
+      const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL('image/jpeg', 0.85));
+    };
+    
+    img.onerror = function() {
+      URL.revokeObjectURL(url);
+      reject(new Error(I18n.t('error.imageLoadFailed')));
+    };
+    
+    img.src = url;
+  });
+}
+
 function handleDetectionError(error) {
-  const errorMessage = error.message || 'An unexpected error occurred during detection.';
+  const errorMessage = error.message || I18n.t('error.unexpected');
   
   // Check if it's a network error
   if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-    alert('Network error. Please check your internet connection and try again.');
+    alert(I18n.t('error.network'));
   } else {
     alert(errorMessage);
   }
@@ -181,16 +946,19 @@ function handleDetectionError(error) {
 function setLoadingState(loading, message = '') {
   detectBtn.disabled = loading;
   fileInput.disabled = loading;
+  openCameraBtn.disabled = loading;
   
   if (loading) {
     detectBtn.setAttribute('aria-busy', 'true');
     detectBtn.innerHTML = `
-      <span class="spinner" role="status" aria-label="Loading"></span>
-      <span>${message || 'Processing...'}</span>
+      <span class="spinner" role="status"></span>
+      <span></span>
     `;
+    detectBtn.querySelector('.spinner').setAttribute('aria-label', I18n.t('stage.loading'));
+    detectBtn.lastElementChild.textContent = message || I18n.t('stage.processing');
   } else {
     detectBtn.setAttribute('aria-busy', 'false');
-    detectBtn.textContent = 'Detect Disease';
+    detectBtn.textContent = I18n.t('detect.button');
   }
 }
 
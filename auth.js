@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// ============= ADMIN AUTHENTICATION =============
+//
+// Admin endpoints take a bearer token: `Authorization: Bearer <token>`.
+// Tokens are configured in ADMIN_TOKENS as comma-separated name:role:token
+// entries, e.g. "dashboard:viewer:s3cret,ops:operator:t0ken,root:admin:k3y".
+//
+// Roles are ordered; each includes the permissions of the ones before it:
+//   viewer   - read-only monitoring (stats, detailed health)
+//   operator - day-to-day management (e.g. IP blocks)
+//   admin    - everything
+//
+// With no tokens configured every admin endpoint answers 401.
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Tokens are compared as SHA-256 digests so the comparison is constant-time
+// regardless of token length
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function parseTokens(config = '') {
+  return config
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...rest] = entry.split(':');
+      const token = rest.join(':');
+
+      if (!name || !ROLES.includes(role) || token.length < 16) {
+        throw new Error(`Invalid ADMIN_TOKENS entry for "${name || '?'}": expected name:role:token with role ${ROLES.join('|')} and a token of at least 16 characters`);
+      }
+
+      return { name, role, digest: digest(token) };
+    });
+}
+
+function hasRole(principal, role) {
+  return !!principal && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Create the admin authenticator from ADMIN_TOKENS-style config
+ */
+function createAuth(config) {
+  const tokens = parseTokens(config);
+
+  function authenticate(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+
+    const candidate = digest(match[1].trim());
+    const entry = tokens.find(t => crypto.timingSafeEqual(t.digest, candidate));
+
+    return entry ? { name: entry.name, role: entry.role } : null;
+  }
+
+  /**
+   * Middleware: require an authenticated principal with at least `role`
+   */
+  function requireRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    return (req, res, next) => {
+      const principal = authenticate(req);
+
+      if (!principal) {
+        res.set('WWW-Authenticate', 'Bearer realm="admin"');
+        return res.status(401).json({
+          error: 'Authentication required',
+          type: 'auth_error'
+        });
+      }
+
+      if (!hasRole(principal, role)) {
+        console.warn(`🔒 ${principal.name} (${principal.role}) denied ${req.method} ${req.path} - requires ${role}`);
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          type: 'auth_error'
+        });
+      }
+
+      req.admin = principal;
+      next();
+    };
+  }
+
+  return {
+    enabled: tokens.length > 0,
+    authenticate,
+    requireRole
+  };
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  hasRole
+};
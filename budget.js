@@ -0,0 +1,121 @@
+// ============= API BUDGET =============
+//
+// Model calls are measured against DAILY_API_LIMIT and, when set,
+// MONTHLY_API_BUDGET. Whichever is closer to exhaustion decides how the
+// service degrades:
+//
+//   normal     - both models run in parallel
+//   gated      - the disease model only runs once the verifier accepts the image
+//   cache_only - only images already in the result cache are answered
+//   reject     - detections are refused until the budget resets
+//
+// Each level starts at a share of the budget (BUDGET_GATED_AT, BUDGET_CACHE_ONLY_AT,
+// BUDGET_REJECT_AT), e.g. 0.8 = 80% used.
+
+const LEVELS = ['normal', 'gated', 'cache_only', 'reject'];
+
+const DEFAULT_THRESHOLDS = {
+  gated: 0.8,
+  cache_only: 0.95,
+  reject: 1
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Create the budget tracker over the storage contract's API usage functions
+ */
+function createBudget({ db, dailyLimit, monthlyBudget = null, thresholds = {} }) {
+  const steps = { ...DEFAULT_THRESHOLDS };
+  Object.keys(thresholds).forEach(level => {
+    if (thresholds[level] !== undefined && !isNaN(thresholds[level])) {
+      steps[level] = thresholds[level];
+    }
+  });
+
+  if (!(steps.gated <= steps.cache_only && steps.cache_only <= steps.reject)) {
+    throw new Error('Budget thresholds must satisfy BUDGET_GATED_AT <= BUDGET_CACHE_ONLY_AT <= BUDGET_REJECT_AT');
+  }
+
+  function levelFor(ratio) {
+    if (ratio >= steps.reject) return 'reject';
+    if (ratio >= steps.cache_only) return 'cache_only';
+    if (ratio >= steps.gated) return 'gated';
+    return 'normal';
+  }
+
+  /**
+   * Current usage, month-end projection and degradation level
+   */
+  async function getStatus() {
+    const now = new Date();
+    const today = now.toISOString().split('T')[0];
+    const month = today.slice(0, 7);
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+    const daysElapsed = (now.getTime() - monthStart) / DAY_MS;
+
+    const [todayUsage, days] = await Promise.all([
+      db.getAPIUsageToday(),
+      db.getAPIUsageByDay(`${month}-01`, today)
+    ]);
+
+    const dailyUsed = todayUsage.total_calls;
+    const monthUsed = days.reduce((sum, day) => sum + day.total_calls, 0);
+    // Extrapolate from at least one day so the first hours of a month don't explode the projection
+    const projected = Math.round((monthUsed / Math.max(daysElapsed, 1)) * daysInMonth);
+
+    const dailyRatio = dailyLimit > 0 ? dailyUsed / dailyLimit : 0;
+    const monthlyRatio = monthlyBudget ? monthUsed / monthlyBudget : 0;
+    const ratio = Math.max(dailyRatio, monthlyRatio);
+
+    return {
+      level: levelFor(ratio),
+      limitedBy: monthlyRatio > dailyRatio ? 'monthly' : 'daily',
+      ratio: round(ratio),
+      thresholds: { ...steps },
+      daily: {
+        used: dailyUsed,
+        limit: dailyLimit,
+        remaining: Math.max(0, dailyLimit - dailyUsed),
+        ratio: round(dailyRatio)
+      },
+      monthly: {
+        month,
+        used: monthUsed,
+        budget: monthlyBudget,
+        remaining: monthlyBudget ? Math.max(0, monthlyBudget - monthUsed) : null,
+        ratio: monthlyBudget ? round(monthlyRatio) : null,
+        projected,
+        projectedRatio: monthlyBudget ? round(projected / monthlyBudget) : null,
+        daysElapsed: round(daysElapsed),
+        daysInMonth
+      }
+    };
+  }
+
+  return {
+    getStatus
+  };
+}
+
+/**
+ * Message code (see locales/) for a request refused by the budget
+ */
+function budgetMessageCode(status) {
+  if (status.level === 'cache_only') {
+    return 'budget_cache_only';
+  }
+
+  return status.limitedBy === 'monthly' ? 'budget_monthly' : 'budget_daily';
+}
+
+module.exports = {
+  LEVELS,
+  createBudget,
+  budgetMessageCode
+};
@@ -0,0 +1,137 @@
+const sharp = require('sharp');
+
+// ============= DETECTION RESULT CACHE =============
+//
+// Successful detections are cached under a perceptual hash (dHash) of the
+// optimized image, so re-submitting the same photo - even re-encoded or
+// slightly resized - is answered without calling the models again. Lookups
+// match the closest stored hash within maxDistance differing bits.
+
+/**
+ * 64-bit difference hash: compares each pixel with its right neighbour on a 9x8 greyscale thumbnail
+ */
+async function computeImageHash(buffer) {
+  const data = await sharp(buffer)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const left = data[y * 9 + x];
+      const right = data[y * 9 + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return count;
+}
+
+/**
+ * Create an in-memory LRU cache with per-entry TTL
+ */
+function createResultCache({ maxEntries = 500, ttlMs = 60 * 60 * 1000, maxDistance = 3 } = {}) {
+  const entries = new Map(); // hash -> { value, expiresAt }, least recently used first
+  let hits = 0;
+  let misses = 0;
+
+  function pruneExpired(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  function findKey(hash, now) {
+    if (entries.has(hash)) return hash;
+    if (maxDistance <= 0) return null;
+
+    let bestKey = null;
+    let bestDistance = maxDistance + 1;
+
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) continue;
+
+      const distance = hammingDistance(hash, key);
+      if (distance < bestDistance) {
+        bestKey = key;
+        bestDistance = distance;
+      }
+    }
+
+    return bestKey;
+  }
+
+  function get(hash) {
+    const now = Date.now();
+    const key = findKey(hash, now);
+    const entry = key !== null ? entries.get(key) : null;
+
+    if (!entry || entry.expiresAt <= now) {
+      if (entry) entries.delete(key);
+      misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+
+    return entry.value;
+  }
+
+  function set(hash, value) {
+    const now = Date.now();
+    entries.delete(hash);
+
+    if (entries.size >= maxEntries) {
+      pruneExpired(now);
+    }
+
+    while (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    entries.set(hash, { value, expiresAt: now + ttlMs });
+  }
+
+  function getStats() {
+    const lookups = hits + misses;
+
+    return {
+      size: entries.size,
+      maxEntries,
+      ttlSeconds: Math.round(ttlMs / 1000),
+      maxDistance,
+      hits,
+      misses,
+      hitRate: lookups > 0 ? parseFloat((hits / lookups).toFixed(4)) : null
+    };
+  }
+
+  return {
+    get,
+    set,
+    getStats
+  };
+}
+
+module.exports = {
+  computeImageHash,
+  hammingDistance,
+  createResultCache
+};
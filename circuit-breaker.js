@@ -0,0 +1,157 @@
+const { classifyError } = require('./metrics');
+
+// ============= CIRCUIT BREAKER =============
+//
+// One breaker per model endpoint, so a failing disease model doesn't block the
+// verifier. States:
+//
+//   closed    - calls go through; consecutive failures are counted
+//   open      - calls fail immediately until the cooldown has passed
+//   half_open - up to `halfOpenProbes` trial calls; a success closes the
+//               breaker, a failure opens it for another cooldown
+//
+// The open-breaker error message is matched by errorCode() and classifyError().
+
+const CIRCUIT_OPEN_MESSAGE = 'Service temporarily unavailable - too many failures';
+
+/**
+ * Create a breaker for one model endpoint
+ */
+function createCircuitBreaker({ name, failureThreshold = 5, cooldownMs = 60000, halfOpenProbes = 1 }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let probesInFlight = 0;
+
+  function open() {
+    state = 'open';
+    openedAt = Date.now();
+  }
+
+  function acquire() {
+    if (state === 'open') {
+      if (Date.now() - openedAt < cooldownMs) return false;
+
+      state = 'half_open';
+      console.log(`🔄 Circuit breaker for ${name} half-open, probing...`);
+    }
+
+    if (state === 'half_open') {
+      if (probesInFlight >= halfOpenProbes) return false;
+      probesInFlight++;
+    }
+
+    return true;
+  }
+
+  function onSuccess(wasProbe) {
+    if (wasProbe) probesInFlight--;
+
+    if (state === 'half_open') {
+      state = 'closed';
+      openedAt = null;
+      console.log(`✅ Circuit breaker for ${name} closed`);
+    }
+
+    failures = 0;
+  }
+
+  function onFailure(wasProbe) {
+    if (wasProbe) probesInFlight--;
+    failures++;
+
+    if (state === 'half_open') {
+      open();
+      console.error(`🚨 Circuit breaker for ${name} re-opened after a failed probe`);
+    } else if (state === 'closed' && failures >= failureThreshold) {
+      open();
+      console.error(`🚨 Circuit breaker for ${name} opened after ${failures} consecutive failures`);
+    }
+  }
+
+  /**
+   * Run fn through the breaker; rejects with CIRCUIT_OPEN_MESSAGE while open
+   */
+  async function execute(fn) {
+    if (!acquire()) {
+      const error = new Error(CIRCUIT_OPEN_MESSAGE);
+      error.circuitOpen = true;
+      throw error;
+    }
+
+    const wasProbe = state === 'half_open';
+
+    try {
+      const result = await fn();
+      onSuccess(wasProbe);
+      return result;
+    } catch (error) {
+      onFailure(wasProbe);
+      throw error;
+    }
+  }
+
+  function getState() {
+    return {
+      state,
+      failures,
+      openedAt,
+      retryAt: state === 'open' ? openedAt + cooldownMs : null
+    };
+  }
+
+  return {
+    name,
+    execute,
+    getState
+  };
+}
+
+// ============= RETRIES =============
+
+/**
+ * Transient failures worth retrying: timeouts, refused connections, network
+ * errors and 5xx responses. Client errors and open breakers are not.
+ */
+function isRetryable(error) {
+  if (!error || error.circuitOpen) return false;
+
+  const status = (error.message || '').match(/(?:HTTP|status) (\d{3})/);
+  if (status) return parseInt(status[1]) >= 500;
+
+  return ['timeout', 'connection_refused', 'network'].includes(classifyError(error));
+}
+
+/**
+ * Delay before retry `attempt` (1-based): exponential backoff with full jitter
+ */
+function backoffDelay(attempt, { baseDelayMs = 250, maxDelayMs = 4000 } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Call fn(attempt), retrying retryable failures up to `retries` times.
+ * onRetry(error, attempt, delayMs) is called before each retry.
+ */
+async function withRetry(fn, { retries = 2, baseDelayMs = 250, maxDelayMs = 4000, onRetry = () => {} } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delayMs = backoffDelay(attempt + 1, { baseDelayMs, maxDelayMs });
+      onRetry(error, attempt + 1, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+module.exports = {
+  CIRCUIT_OPEN_MESSAGE,
+  createCircuitBreaker,
+  isRetryable,
+  backoffDelay,
+  withRetry
+};
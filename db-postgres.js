@@ -1,233 +1,1104 @@
 const { sql } = require('@vercel/postgres');
 
-// Initialize database tables
+// Postgres implementation of the storage contract (see storage.js).
+// Schema and semantics mirror db.js: timestamps are epoch milliseconds,
+// rate limit windows are in minutes and API usage is tracked per UTC date.
+
+const toInt = (value) => parseInt(value || 0, 10);
+const toFloat = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// ============= SCHEMA SETUP =============
+
+/**
+ * Initialize database tables
+ */
 async function initializeDatabase() {
   try {
-    // Create detections table
+    // Table 1: Detection logs
     await sql`
       CREATE TABLE IF NOT EXISTS detections (
         id SERIAL PRIMARY KEY,
-        ip_address VARCHAR(45) NOT NULL,
+        ip VARCHAR(45) NOT NULL,
+        timestamp BIGINT NOT NULL,
         disease VARCHAR(100),
-        confidence DECIMAL(5,4),
+        confidence REAL,
         processing_time INTEGER,
         success BOOLEAN NOT NULL,
-        error_reason TEXT,
+        error_message TEXT,
         user_agent TEXT,
-        timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Table 2: API usage tracking (for cost monitoring)
+    await sql`
+      CREATE TABLE IF NOT EXISTS api_calls (
+        id SERIAL PRIMARY KEY,
+        date TEXT NOT NULL UNIQUE,
+        model_1_calls INTEGER DEFAULT 0,
+        model_2_calls INTEGER DEFAULT 0,
+        total_calls INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Table 3: Rate limit tracking (for abuse prevention)
+    await sql`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        ip VARCHAR(45) PRIMARY KEY,
+        request_count INTEGER DEFAULT 0,
+        first_request BIGINT NOT NULL,
+        last_request BIGINT NOT NULL,
+        blocked BOOLEAN DEFAULT false
       )
     `;
 
-    // Create health logs table
+    // Table 4: System health logs
     await sql`
       CREATE TABLE IF NOT EXISTS health_logs (
         id SERIAL PRIMARY KEY,
-        memory_usage DECIMAL(10,2),
-        active_uploads INTEGER,
-        api_failures INTEGER,
-        timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        timestamp BIGINT NOT NULL,
+        memory_usage REAL,
+        active_connections INTEGER,
+        error_count INTEGER,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Table 5: Shareable detection results (looked up by unguessable ID)
+    await sql`
+      CREATE TABLE IF NOT EXISTS results (
+        id VARCHAR(64) PRIMARY KEY,
+        timestamp BIGINT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Table 6: Asynchronous detection jobs (persisted queue)
+    await sql`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id VARCHAR(64) PRIMARY KEY,
+        status VARCHAR(20) NOT NULL,
+        stage VARCHAR(20),
+        ip VARCHAR(45) NOT NULL,
+        user_agent TEXT,
+        filename TEXT,
+        mimetype VARCHAR(50),
+        image TEXT,
+        result TEXT,
+        timestamp BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL
+      )
+    `;
+
+    // Table 7: Trusted IPs/CIDRs that bypass the database rate limit
+    await sql`
+      CREATE TABLE IF NOT EXISTS ip_allowlist (
+        entry VARCHAR(64) PRIMARY KEY,
+        note TEXT,
+        added_by VARCHAR(100),
+        timestamp BIGINT NOT NULL
+      )
+    `;
+
+    // Table 8: Every outbound model call (API usage accounting)
+    await sql`
+      CREATE TABLE IF NOT EXISTS model_calls (
+        id SERIAL PRIMARY KEY,
+        timestamp BIGINT NOT NULL,
+        model VARCHAR(64) NOT NULL,
+        role VARCHAR(20),
+        outcome VARCHAR(20) NOT NULL,
+        error_class VARCHAR(40),
+        latency_ms INTEGER
       )
     `;
 
-    // Create indexes for better performance
+    // Table 9: Disease knowledge base, one JSON entry per detection class
     await sql`
-      CREATE INDEX IF NOT EXISTS idx_detections_timestamp 
-      ON detections(timestamp)
+      CREATE TABLE IF NOT EXISTS diseases (
+        class VARCHAR(100) PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_by VARCHAR(100),
+        updated_at BIGINT NOT NULL
+      )
     `;
 
+    // Table 10: Disease spike alerts (see alerts.js)
     await sql`
-      CREATE INDEX IF NOT EXISTS idx_detections_ip 
-      ON detections(ip_address, timestamp)
+      CREATE TABLE IF NOT EXISTS alerts (
+        id SERIAL PRIMARY KEY,
+        timestamp BIGINT NOT NULL,
+        alert_key VARCHAR(200) NOT NULL,
+        disease VARCHAR(100) NOT NULL,
+        count INTEGER NOT NULL,
+        p_value DOUBLE PRECISION NOT NULL,
+        data TEXT NOT NULL,
+        deliveries TEXT
+      )
     `;
 
+    // Migrations: block metadata; blocked with no blocked_until is a permanent block
+    await sql`ALTER TABLE rate_limits ADD COLUMN IF NOT EXISTS blocked_until BIGINT`;
+    await sql`ALTER TABLE rate_limits ADD COLUMN IF NOT EXISTS blocked_at BIGINT`;
+    await sql`ALTER TABLE rate_limits ADD COLUMN IF NOT EXISTS block_reason TEXT`;
+    await sql`ALTER TABLE rate_limits ADD COLUMN IF NOT EXISTS blocked_by VARCHAR(100)`;
+
+    // Migrations: detections answered from the result cache (no model calls)
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS cached BOOLEAN DEFAULT false`;
+
+    // Migrations: pipeline mode that ran the models, and disease model calls skipped by gating
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS pipeline_mode VARCHAR(20)`;
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS saved_calls INTEGER DEFAULT 0`;
+
+    // Migrations: severity grade from lesion coverage (see severity.js)
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS severity_level VARCHAR(20)`;
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS affected_ratio REAL`;
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS lesion_count INTEGER`;
+
+    // Migrations: where and when the photo was taken (manual or EXIF location, see geo.js)
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION`;
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION`;
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS location_source VARCHAR(20)`;
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS captured_at BIGINT`;
+    await sql`ALTER TABLE jobs ADD COLUMN IF NOT EXISTS location TEXT`;
+
+    // Migrations: first failed check of uploads refused by the quality gate (see quality.js)
+    await sql`ALTER TABLE detections ADD COLUMN IF NOT EXISTS quality_issue VARCHAR(40)`;
+
+    // Indexes for performance
+    await sql`CREATE INDEX IF NOT EXISTS idx_detections_ip_timestamp ON detections(ip, timestamp)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_detections_timestamp ON detections(timestamp)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_detections_success ON detections(success)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_results_timestamp ON results(timestamp)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_jobs_status_timestamp ON jobs(status, timestamp)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_model_calls_timestamp ON model_calls(timestamp)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts(timestamp)`;
+
     console.log('✅ Database tables initialized');
+    return true;
   } catch (error) {
     console.error('Database initialization error:', error);
     throw error;
   }
 }
 
-// Log a detection
-async function logDetection(ipAddress, disease, confidence, processingTime, success, errorReason, userAgent) {
+// ============= PUBLIC API FUNCTIONS =============
+
+/**
+ * Log a detection attempt
+ */
+async function logDetection(ip, disease, confidence, processingTime, success, errorMessage = null, userAgent = null, details = {}) {
+  const severity = details.severity || {};
+  const location = details.location || {};
+
   try {
     await sql`
       INSERT INTO detections (
-        ip_address, disease, confidence, processing_time, 
-        success, error_reason, user_agent
+        ip, timestamp, disease, confidence, processing_time,
+        success, error_message, user_agent, cached, pipeline_mode, saved_calls,
+        severity_level, affected_ratio, lesion_count,
+        latitude, longitude, location_source, captured_at, quality_issue
       ) VALUES (
-        ${ipAddress}, ${disease}, ${confidence}, ${processingTime}, 
-        ${success}, ${errorReason}, ${userAgent}
+        ${ip}, ${Date.now()}, ${disease}, ${confidence}, ${processingTime},
+        ${!!success}, ${errorMessage}, ${userAgent}, ${!!details.cached},
+        ${details.pipelineMode || null}, ${details.savedCalls || 0},
+        ${severity.level || null}, ${severity.affectedRatio ?? null}, ${severity.lesionCount ?? null},
+        ${location.latitude ?? null}, ${location.longitude ?? null}, ${location.source || null}, ${details.capturedAt || null},
+        ${details.qualityIssue || null}
       )
     `;
   } catch (error) {
-    console.error('Failed to log detection:', error);
+    console.error('Failed to log detection:', error.message);
   }
 }
 
-// Log health metrics
-async function logHealth(memoryUsage, activeUploads, apiFailures) {
+/**
+ * Record one outbound model call and add it to today's api_calls
+ */
+async function recordModelCall({ model, role = null, outcome, errorClass = null, latencyMs = null }) {
   try {
+    const today = new Date().toISOString().split('T')[0];
+
+    await sql`
+      INSERT INTO model_calls (timestamp, model, role, outcome, error_class, latency_ms)
+      VALUES (${Date.now()}, ${model}, ${role}, ${outcome}, ${errorClass}, ${latencyMs})
+    `;
     await sql`
-      INSERT INTO health_logs (memory_usage, active_uploads, api_failures)
-      VALUES (${memoryUsage}, ${activeUploads}, ${apiFailures})
+      INSERT INTO api_calls (date, model_1_calls, model_2_calls, total_calls)
+      VALUES (${today}, ${role === 'verifier' ? 1 : 0}, ${role === 'disease' ? 1 : 0}, 1)
+      ON CONFLICT (date) DO UPDATE SET
+        model_1_calls = api_calls.model_1_calls + EXCLUDED.model_1_calls,
+        model_2_calls = api_calls.model_2_calls + EXCLUDED.model_2_calls,
+        total_calls = api_calls.total_calls + EXCLUDED.total_calls
     `;
   } catch (error) {
-    console.error('Failed to log health:', error);
+    console.error('Failed to record model call:', error.message);
   }
 }
 
-// Get API usage for today
-async function getAPIUsageToday() {
+/**
+ * Store a detection result under its share ID
+ */
+async function saveResult(id, data) {
   try {
-    const result = await sql`
-      SELECT COUNT(*) as total_calls
-      FROM detections
-      WHERE timestamp >= CURRENT_DATE
-      AND success = true
+    await sql`
+      INSERT INTO results (id, timestamp, data)
+      VALUES (${id}, ${Date.now()}, ${JSON.stringify(data)})
+    `;
+    return true;
+  } catch (error) {
+    console.error('Failed to save result:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a stored detection result by share ID
+ */
+async function getResult(id) {
+  try {
+    const result = await sql`SELECT data FROM results WHERE id = ${id}`;
+    return result.rows[0] ? JSON.parse(result.rows[0].data) : null;
+  } catch (error) {
+    console.error('Failed to get result:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist a new queued detection job (image as base64)
+ */
+async function createJob(job) {
+  try {
+    const now = Date.now();
+    await sql`
+      INSERT INTO jobs (id, status, stage, ip, user_agent, filename, mimetype, image, location, timestamp, updated_at)
+      VALUES (
+        ${job.id}, 'queued', 'queued', ${job.ip}, ${job.userAgent}, ${job.filename},
+        ${job.mimetype}, ${job.image}, ${job.location ? JSON.stringify(job.location) : null}, ${now}, ${now}
+      )
     `;
-    
+    return true;
+  } catch (error) {
+    console.error('Failed to create job:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a detection job by ID (result and location parsed, image still base64)
+ */
+async function getJob(id) {
+  try {
+    const result = await sql`SELECT * FROM jobs WHERE id = ${id}`;
+    const row = result.rows[0];
+    if (!row) return null;
     return {
-      total_calls: parseInt(result.rows[0]?.total_calls || 0)
+      ...row,
+      timestamp: toInt(row.timestamp),
+      updated_at: toInt(row.updated_at),
+      location: row.location ? JSON.parse(row.location) : null,
+      result: row.result ? JSON.parse(row.result) : null
     };
   } catch (error) {
-    console.error('Failed to get API usage:', error);
-    return { total_calls: 0 };
+    console.error('Failed to get job:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Mark a job as running at the given pipeline stage
+ */
+async function updateJobStage(id, stage) {
+  try {
+    await sql`UPDATE jobs SET status = 'running', stage = ${stage}, updated_at = ${Date.now()} WHERE id = ${id}`;
+  } catch (error) {
+    console.error('Failed to update job:', error.message);
   }
 }
 
-// Check rate limit for an IP
-async function checkRateLimit(ipAddress, windowSeconds, maxRequests) {
+/**
+ * Finish a job with its outcome and drop the stored image
+ */
+async function completeJob(id, status, result) {
   try {
+    await sql`
+      UPDATE jobs
+      SET status = ${status}, stage = ${status}, result = ${JSON.stringify(result)}, image = NULL, updated_at = ${Date.now()}
+      WHERE id = ${id}
+    `;
+  } catch (error) {
+    console.error('Failed to complete job:', error.message);
+  }
+}
+
+/**
+ * IDs of jobs still queued or interrupted mid-run, oldest first
+ */
+async function getPendingJobs() {
+  try {
+    const result = await sql`
+      SELECT id FROM jobs WHERE status IN ('queued', 'running') ORDER BY timestamp ASC
+    `;
+    return result.rows.map(row => row.id);
+  } catch (error) {
+    console.error('Failed to get pending jobs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Check if IP has exceeded rate limits. IPs at twice the limit are blocked
+ * for blockMinutes (permanently when blockMinutes is 0).
+ */
+async function checkRateLimit(ip, windowMinutes = 60, maxRequests = 20, blockMinutes = 60) {
+  try {
+    const now = Date.now();
+    const cutoff = now - (windowMinutes * 60 * 1000);
+
     const result = await sql`
-      SELECT COUNT(*) as request_count
+      SELECT COUNT(*) as count
       FROM detections
-      WHERE ip_address = ${ipAddress}
-      AND timestamp > NOW() - INTERVAL '${windowSeconds} seconds'
+      WHERE ip = ${ip} AND timestamp > ${cutoff} AND success = true
+    `;
+
+    // Update rate limit tracking
+    await sql`
+      INSERT INTO rate_limits (ip, request_count, first_request, last_request, blocked)
+      VALUES (${ip}, 1, ${now}, ${now}, false)
+      ON CONFLICT (ip) DO UPDATE SET
+        request_count = rate_limits.request_count + 1,
+        last_request = EXCLUDED.last_request
     `;
 
-    const count = parseInt(result.rows[0]?.request_count || 0);
+    // Check if IP is blocked
+    const rateLimit = await sql`SELECT blocked, blocked_until FROM rate_limits WHERE ip = ${ip}`;
+    const current = rateLimit.rows[0];
+    if (current && current.blocked) {
+      const blockedUntil = current.blocked_until === null ? null : toInt(current.blocked_until);
+      if (blockedUntil === null || blockedUntil > now) {
+        return { allowed: false, reason: 'IP blocked due to abuse', blockedUntil };
+      }
+
+      // Block has expired
+      await unblockIP(ip);
+      console.log(`🔓 Block expired for IP: ${ip}`);
+    }
+
+    const count = toInt(result.rows[0]?.count);
 
     if (count >= maxRequests) {
-      return {
-        allowed: false,
-        reason: `Rate limit exceeded. Maximum ${maxRequests} requests per ${windowSeconds} seconds.`
-      };
+      // Auto-block if severely over limit
+      if (count >= maxRequests * 2) {
+        await blockIP(ip, {
+          reason: `Excessive requests (${count} in ${windowMinutes} min)`,
+          minutes: blockMinutes > 0 ? blockMinutes : null,
+          blockedBy: 'auto'
+        });
+        console.warn(`🚨 IP blocked for abuse: ${ip} (${count} requests)`);
+        return { allowed: false, reason: 'IP blocked due to excessive requests' };
+      }
+
+      return { allowed: false, reason: 'Rate limit exceeded', count };
     }
 
-    return { allowed: true };
+    return { allowed: true, count, remaining: maxRequests - count };
   } catch (error) {
-    console.error('Rate limit check failed:', error);
-    return { allowed: true }; // Fail open
+    console.error('Rate limit check failed:', error.message);
+    return { allowed: true }; // Fail open to not break the service
   }
 }
 
-// Get database info
-async function getDatabaseInfo() {
+/**
+ * Block an IP, for `minutes` or permanently when minutes is null
+ */
+async function blockIP(ip, { reason = null, minutes = null, blockedBy = null } = {}) {
   try {
-    const result = await sql`
-      SELECT 
-        (SELECT COUNT(*) FROM detections) as total_detections,
-        (SELECT COUNT(*) FROM health_logs) as total_health_logs
+    const now = Date.now();
+    const blockedUntil = minutes ? now + minutes * 60 * 1000 : null;
+
+    await sql`
+      INSERT INTO rate_limits (ip, request_count, first_request, last_request, blocked, blocked_until, blocked_at, block_reason, blocked_by)
+      VALUES (${ip}, 0, ${now}, ${now}, true, ${blockedUntil}, ${now}, ${reason}, ${blockedBy})
+      ON CONFLICT (ip) DO UPDATE SET
+        blocked = true,
+        blocked_until = EXCLUDED.blocked_until,
+        blocked_at = EXCLUDED.blocked_at,
+        block_reason = EXCLUDED.block_reason,
+        blocked_by = EXCLUDED.blocked_by
     `;
+    console.warn(`🚫 IP blocked by ${blockedBy || 'unknown'}: ${ip}${reason ? ` (${reason})` : ''}`);
 
     return {
-      type: 'postgres',
-      total_detections: parseInt(result.rows[0]?.total_detections || 0),
-      total_health_logs: parseInt(result.rows[0]?.total_health_logs || 0)
+      ip,
+      blocked_at: now,
+      blocked_until: blockedUntil,
+      block_reason: reason,
+      blocked_by: blockedBy
     };
   } catch (error) {
-    console.error('Failed to get database info:', error);
+    console.error('Failed to block IP:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Lift a block. Resolves to false if the IP was not blocked.
+ */
+async function unblockIP(ip) {
+  try {
+    const result = await sql`
+      UPDATE rate_limits
+      SET blocked = false, blocked_until = NULL, blocked_at = NULL, block_reason = NULL, blocked_by = NULL
+      WHERE ip = ${ip} AND blocked = true
+    `;
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Failed to unblock IP:', error.message);
+    return false;
+  }
+}
+
+/**
+ * List active (unexpired) blocks, newest first
+ */
+async function getBlockedIPs() {
+  try {
+    const now = Date.now();
+    const result = await sql`
+      SELECT ip, blocked_at, blocked_until, block_reason, blocked_by, request_count, last_request
+      FROM rate_limits
+      WHERE blocked = true AND (blocked_until IS NULL OR blocked_until > ${now})
+      ORDER BY blocked_at DESC NULLS LAST
+    `;
+    return result.rows.map(row => ({
+      ...row,
+      blocked_at: row.blocked_at === null ? null : toInt(row.blocked_at),
+      blocked_until: row.blocked_until === null ? null : toInt(row.blocked_until),
+      request_count: toInt(row.request_count),
+      last_request: toInt(row.last_request)
+    }));
+  } catch (error) {
+    console.error('Failed to get blocked IPs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Add or update an allowlist entry (IP address or CIDR)
+ */
+async function addAllowlistEntry(entry, { note = null, addedBy = null } = {}) {
+  try {
+    const now = Date.now();
+    await sql`
+      INSERT INTO ip_allowlist (entry, note, added_by, timestamp)
+      VALUES (${entry}, ${note}, ${addedBy}, ${now})
+      ON CONFLICT (entry) DO UPDATE SET
+        note = EXCLUDED.note,
+        added_by = EXCLUDED.added_by,
+        timestamp = EXCLUDED.timestamp
+    `;
+    return { entry, note, added_by: addedBy, timestamp: now };
+  } catch (error) {
+    console.error('Failed to add allowlist entry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove an allowlist entry. Resolves to false if it did not exist.
+ */
+async function removeAllowlistEntry(entry) {
+  try {
+    const result = await sql`DELETE FROM ip_allowlist WHERE entry = ${entry}`;
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Failed to remove allowlist entry:', error.message);
+    return false;
+  }
+}
+
+/**
+ * List allowlist entries, oldest first
+ */
+async function getAllowlist() {
+  try {
+    const result = await sql`SELECT entry, note, added_by, timestamp FROM ip_allowlist ORDER BY timestamp ASC`;
+    return result.rows.map(row => ({ ...row, timestamp: toInt(row.timestamp) }));
+  } catch (error) {
+    console.error('Failed to get allowlist:', error.message);
+    return [];
+  }
+}
+
+function parseDiseaseRow(row) {
+  return {
+    class: row.class,
+    ...JSON.parse(row.data),
+    updated_by: row.updated_by,
+    updated_at: toInt(row.updated_at)
+  };
+}
+
+/**
+ * Insert the default knowledge base entries ({ class: entry }) into an empty table.
+ * Resolves to the number of entries inserted.
+ */
+async function seedDiseases(entries) {
+  try {
+    const count = await sql`SELECT COUNT(*) as count FROM diseases`;
+    if (toInt(count.rows[0].count) > 0) return 0;
+
+    const now = Date.now();
+    let inserted = 0;
+
+    // ON CONFLICT keeps concurrent cold starts from overwriting each other
+    for (const [className, entry] of Object.entries(entries)) {
+      const result = await sql`
+        INSERT INTO diseases (class, data, updated_by, updated_at)
+        VALUES (${className}, ${JSON.stringify(entry)}, ${null}, ${now})
+        ON CONFLICT (class) DO NOTHING
+      `;
+      inserted += result.rowCount;
+    }
+
+    return inserted;
+  } catch (error) {
+    console.error('Failed to seed diseases:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Get a knowledge base entry by class, or null
+ */
+async function getDisease(className) {
+  try {
+    const result = await sql`
+      SELECT class, data, updated_by, updated_at FROM diseases WHERE class = ${className}
+    `;
+    return result.rows[0] ? parseDiseaseRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Failed to get disease:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List knowledge base entries by class
+ */
+async function getDiseases() {
+  try {
+    const result = await sql`
+      SELECT class, data, updated_by, updated_at FROM diseases ORDER BY class ASC
+    `;
+    return result.rows.map(parseDiseaseRow);
+  } catch (error) {
+    console.error('Failed to get diseases:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Create or replace a knowledge base entry
+ */
+async function saveDisease(className, entry, updatedBy = null) {
+  try {
+    const now = Date.now();
+    await sql`
+      INSERT INTO diseases (class, data, updated_by, updated_at)
+      VALUES (${className}, ${JSON.stringify(entry)}, ${updatedBy}, ${now})
+      ON CONFLICT (class) DO UPDATE SET
+        data = EXCLUDED.data,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    `;
+    return { class: className, ...entry, updated_by: updatedBy, updated_at: now };
+  } catch (error) {
+    console.error('Failed to save disease:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a knowledge base entry. Resolves to false if it did not exist.
+ */
+async function deleteDisease(className) {
+  try {
+    const result = await sql`DELETE FROM diseases WHERE class = ${className}`;
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Failed to delete disease:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get today's API usage for cost monitoring
+ */
+async function getAPIUsageToday() {
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    const result = await sql`
+      SELECT model_1_calls, model_2_calls, total_calls FROM api_calls WHERE date = ${today}
+    `;
+
+    const row = result.rows[0];
+    if (!row) {
+      return { model_1_calls: 0, model_2_calls: 0, total_calls: 0 };
+    }
+
     return {
-      type: 'postgres',
-      total_detections: 0,
-      total_health_logs: 0
+      model_1_calls: toInt(row.model_1_calls),
+      model_2_calls: toInt(row.model_2_calls),
+      total_calls: toInt(row.total_calls)
     };
+  } catch (error) {
+    console.error('Failed to get API usage:', error.message);
+    return { model_1_calls: 0, model_2_calls: 0, total_calls: 0 };
   }
 }
 
-// Get statistics
+/**
+ * Get statistics for dashboard/monitoring
+ */
 async function getStats(hours = 24) {
   try {
-    const result = await sql`
-      SELECT 
-        COUNT(*) as total_requests,
-        COUNT(*) FILTER (WHERE success = true) as successful,
-        COUNT(*) FILTER (WHERE success = false) as failed,
-        AVG(processing_time) FILTER (WHERE success = true) as avg_processing_time,
-        COUNT(DISTINCT ip_address) as unique_ips
+    const cutoff = Date.now() - (hours * 60 * 60 * 1000);
+
+    const summary = await sql`
+      SELECT
+        COUNT(*) as total_detections,
+        SUM(CASE WHEN success = true THEN 1 ELSE 0 END) as successful,
+        SUM(CASE WHEN success = false THEN 1 ELSE 0 END) as failed,
+        AVG(CASE WHEN success = true THEN processing_time END) as avg_processing_time,
+        COUNT(DISTINCT ip) as unique_users,
+        SUM(CASE WHEN success = true AND cached = true THEN 1 ELSE 0 END) as cache_hits,
+        SUM(saved_calls) as saved_calls,
+        SUM(CASE WHEN quality_issue IS NOT NULL THEN 1 ELSE 0 END) as quality_rejected
       FROM detections
-      WHERE timestamp > NOW() - INTERVAL '${hours} hours'
+      WHERE timestamp > ${cutoff}
     `;
 
-    const diseaseStats = await sql`
+    const topDiseases = await sql`
       SELECT disease, COUNT(*) as count
       FROM detections
-      WHERE success = true
-      AND timestamp > NOW() - INTERVAL '${hours} hours'
-      AND disease IS NOT NULL
+      WHERE success = true AND timestamp > ${cutoff}
       GROUP BY disease
       ORDER BY count DESC
       LIMIT 10
     `;
 
+    const recentErrors = await sql`
+      SELECT timestamp, ip, error_message, created_at
+      FROM detections
+      WHERE success = false
+      ORDER BY timestamp DESC
+      LIMIT 50
+    `;
+
+    const hourly = await sql`
+      SELECT
+        (timestamp / 3600000) * 3600000 as hour,
+        COUNT(*) as total,
+        SUM(CASE WHEN success = true THEN 1 ELSE 0 END) as successful,
+        SUM(CASE WHEN success = false THEN 1 ELSE 0 END) as failed,
+        AVG(CASE WHEN success = true THEN processing_time END) as avg_processing_time
+      FROM detections
+      WHERE timestamp > ${cutoff}
+      GROUP BY hour
+      ORDER BY hour ASC
+    `;
+
+    const modelCalls = await sql`
+      SELECT
+        model,
+        role,
+        outcome,
+        error_class,
+        COUNT(*) as calls,
+        AVG(latency_ms) as avg_latency_ms
+      FROM model_calls
+      WHERE timestamp > ${cutoff}
+      GROUP BY model, role, outcome, error_class
+      ORDER BY model, calls DESC
+    `;
+
+    const pipeline = await sql`
+      SELECT
+        pipeline_mode as mode,
+        COUNT(*) as detections,
+        SUM(saved_calls) as saved_calls
+      FROM detections
+      WHERE timestamp > ${cutoff} AND pipeline_mode IS NOT NULL
+      GROUP BY pipeline_mode
+      ORDER BY detections DESC
+    `;
+
+    const quality = await sql`
+      SELECT
+        quality_issue as issue,
+        COUNT(*) as rejected
+      FROM detections
+      WHERE timestamp > ${cutoff} AND quality_issue IS NOT NULL
+      GROUP BY quality_issue
+      ORDER BY rejected DESC
+    `;
+
+    const apiUsage = await getAPIUsageToday();
+    const row = summary.rows[0] || {};
+
     return {
-      period_hours: hours,
-      total_requests: parseInt(result.rows[0]?.total_requests || 0),
-      successful: parseInt(result.rows[0]?.successful || 0),
-      failed: parseInt(result.rows[0]?.failed || 0),
-      avg_processing_time: parseFloat(result.rows[0]?.avg_processing_time || 0).toFixed(2),
-      unique_ips: parseInt(result.rows[0]?.unique_ips || 0),
-      disease_distribution: diseaseStats.rows.map(row => ({
-        disease: row.disease,
-        count: parseInt(row.count)
-      }))
+      summary: {
+        total_detections: toInt(row.total_detections),
+        successful: toInt(row.successful),
+        failed: toInt(row.failed),
+        avg_processing_time: toFloat(row.avg_processing_time),
+        unique_users: toInt(row.unique_users),
+        cache_hits: toInt(row.cache_hits),
+        saved_calls: toInt(row.saved_calls),
+        quality_rejected: toInt(row.quality_rejected)
+      },
+      topDiseases: topDiseases.rows.map(r => ({ disease: r.disease, count: toInt(r.count) })),
+      recentErrors: recentErrors.rows.map(r => ({ ...r, timestamp: toInt(r.timestamp) })),
+      hourly: hourly.rows.map(r => ({
+        hour: toInt(r.hour),
+        total: toInt(r.total),
+        successful: toInt(r.successful),
+        failed: toInt(r.failed),
+        avg_processing_time: toFloat(r.avg_processing_time)
+      })),
+      modelCalls: modelCalls.rows.map(r => ({
+        ...r,
+        calls: toInt(r.calls),
+        avg_latency_ms: toFloat(r.avg_latency_ms)
+      })),
+      pipeline: pipeline.rows.map(r => ({
+        mode: r.mode,
+        detections: toInt(r.detections),
+        saved_calls: toInt(r.saved_calls)
+      })),
+      // Uploads refused by the quality gate per failed check, as a share of all attempts
+      quality: quality.rows.map(r => ({
+        issue: r.issue,
+        rejected: toInt(r.rejected),
+        rate: toInt(row.total_detections) ? parseFloat((toInt(r.rejected) / toInt(row.total_detections)).toFixed(4)) : 0
+      })),
+      apiUsage
     };
   } catch (error) {
-    console.error('Failed to get stats:', error);
-    return {
-      period_hours: hours,
-      total_requests: 0,
-      successful: 0,
-      failed: 0,
-      avg_processing_time: '0.00',
-      unique_ips: 0,
-      disease_distribution: []
-    };
+    console.error('Failed to get stats:', error.message);
+    return null;
   }
 }
 
-// Clean old records (for maintenance)
-async function cleanOldRecords(daysToKeep = 90) {
+/**
+ * Located successful detections per disease and grid cell of cellSize degrees
+ */
+async function getDetectionGrid({ hours = 24 * 30, cellSize = 0.05, disease = null } = {}) {
   try {
-    await sql`
-      DELETE FROM detections
-      WHERE timestamp < NOW() - INTERVAL '${daysToKeep} days'
+    const cutoff = Date.now() - (hours * 60 * 60 * 1000);
+    const result = await sql`
+      SELECT
+        disease,
+        FLOOR(latitude / ${cellSize}) as lat_cell,
+        FLOOR(longitude / ${cellSize}) as lon_cell,
+        COUNT(*) as count,
+        MAX(timestamp) as last_seen
+      FROM detections
+      WHERE success = true AND latitude IS NOT NULL AND longitude IS NOT NULL
+        AND timestamp > ${cutoff} AND (${disease}::text IS NULL OR disease = ${disease})
+      GROUP BY disease, lat_cell, lon_cell
+      ORDER BY count DESC
+    `;
+
+    return result.rows.map(r => ({
+      disease: r.disease,
+      lat_cell: toInt(r.lat_cell),
+      lon_cell: toInt(r.lon_cell),
+      count: toInt(r.count),
+      last_seen: toInt(r.last_seen)
+    }));
+  } catch (error) {
+    console.error('Failed to get detection grid:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Successful detections since `since` per disease, window of bucketMs and grid
+ * cell of cellSize degrees (cellSize null: no cells)
+ */
+async function getDetectionCounts({ since, bucketMs, cellSize = null }) {
+  try {
+    const result = await sql`
+      SELECT
+        disease,
+        (timestamp - ${since}::bigint) / ${bucketMs}::bigint as bucket,
+        FLOOR(latitude / ${cellSize}) as lat_cell,
+        FLOOR(longitude / ${cellSize}) as lon_cell,
+        COUNT(*) as count
+      FROM detections
+      WHERE success = true AND disease IS NOT NULL AND timestamp >= ${since}
+      GROUP BY disease, bucket, lat_cell, lon_cell
+    `;
+
+    return result.rows.map(r => ({
+      disease: r.disease,
+      bucket: toInt(r.bucket),
+      lat_cell: r.lat_cell === null ? null : toInt(r.lat_cell),
+      lon_cell: r.lon_cell === null ? null : toInt(r.lon_cell),
+      count: toInt(r.count)
+    }));
+  } catch (error) {
+    console.error('Failed to get detection counts:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Store a spike alert; its ID, or null
+ */
+async function saveAlert(alert) {
+  try {
+    const result = await sql`
+      INSERT INTO alerts (timestamp, alert_key, disease, count, p_value, data)
+      VALUES (${Date.now()}, ${alert.key}, ${alert.disease}, ${alert.count}, ${alert.pValue}, ${JSON.stringify(alert)})
+      RETURNING id
+    `;
+    return toInt(result.rows[0].id);
+  } catch (error) {
+    console.error('Failed to save alert:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record how an alert was delivered ([{ channel, ok, error? }])
+ */
+async function updateAlertDeliveries(id, deliveries) {
+  try {
+    await sql`UPDATE alerts SET deliveries = ${JSON.stringify(deliveries)} WHERE id = ${id}`;
+  } catch (error) {
+    console.error('Failed to update alert deliveries:', error.message);
+  }
+}
+
+/**
+ * Alerts raised since `since`, newest first
+ */
+async function getAlerts({ since = 0, limit = 50, disease = null } = {}) {
+  try {
+    const result = await sql`
+      SELECT id, timestamp, data, deliveries
+      FROM alerts
+      WHERE timestamp >= ${since} AND (${disease}::text IS NULL OR disease = ${disease})
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ${limit}
     `;
 
+    return result.rows.map(r => ({
+      id: r.id,
+      timestamp: toInt(r.timestamp),
+      ...JSON.parse(r.data),
+      deliveries: r.deliveries ? JSON.parse(r.deliveries) : null
+    }));
+  } catch (error) {
+    console.error('Failed to get alerts:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get today's API calls per hour (UTC) for quota burn-down
+ */
+async function getAPIUsageByHour() {
+  try {
+    const startOfDay = new Date(new Date().toISOString().split('T')[0]).getTime();
+    const result = await sql`
+      SELECT
+        (timestamp / 3600000) * 3600000 as hour,
+        COUNT(*) as calls
+      FROM model_calls
+      WHERE timestamp >= ${startOfDay}
+      GROUP BY hour
+      ORDER BY hour ASC
+    `;
+    return result.rows.map(row => ({ hour: toInt(row.hour), calls: toInt(row.calls) }));
+  } catch (error) {
+    console.error('Failed to get hourly API usage:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get daily API usage between two UTC dates (inclusive, YYYY-MM-DD)
+ */
+async function getAPIUsageByDay(fromDate, toDate) {
+  try {
+    const result = await sql`
+      SELECT date, model_1_calls, model_2_calls, total_calls
+      FROM api_calls
+      WHERE date >= ${fromDate} AND date <= ${toDate}
+      ORDER BY date ASC
+    `;
+    return result.rows.map(row => ({
+      date: row.date,
+      model_1_calls: toInt(row.model_1_calls),
+      model_2_calls: toInt(row.model_2_calls),
+      total_calls: toInt(row.total_calls)
+    }));
+  } catch (error) {
+    console.error('Failed to get daily API usage:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Log system health metrics
+ */
+async function logHealth(memoryUsage, activeConnections, errorCount) {
+  try {
     await sql`
-      DELETE FROM health_logs
-      WHERE timestamp < NOW() - INTERVAL '${daysToKeep} days'
+      INSERT INTO health_logs (timestamp, memory_usage, active_connections, error_count)
+      VALUES (${Date.now()}, ${memoryUsage}, ${activeConnections}, ${errorCount})
+    `;
+  } catch (error) {
+    console.error('Failed to log health:', error.message);
+  }
+}
+
+/**
+ * Clean old records (run daily via cron or at startup)
+ */
+async function cleanOldRecords(daysToKeep = 90) {
+  try {
+    const cutoff = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
+
+    const deleted = await sql`DELETE FROM detections WHERE timestamp < ${cutoff}`;
+    const deletedHealth = await sql`DELETE FROM health_logs WHERE timestamp < ${cutoff}`;
+    const deletedResults = await sql`DELETE FROM results WHERE timestamp < ${cutoff}`;
+    const deletedJobs = await sql`
+      DELETE FROM jobs WHERE timestamp < ${cutoff} AND status IN ('completed', 'failed')
     `;
+    const deletedModelCalls = await sql`DELETE FROM model_calls WHERE timestamp < ${cutoff}`;
 
-    console.log(`✅ Cleaned records older than ${daysToKeep} days`);
+    console.log(`🧹 Cleaned ${deleted.rowCount} old detection records, ${deletedHealth.rowCount} health logs, ${deletedResults.rowCount} results, ${deletedJobs.rowCount} jobs and ${deletedModelCalls.rowCount} model calls`);
+
+    return {
+      deleted: deleted.rowCount,
+      deletedHealth: deletedHealth.rowCount,
+      deletedResults: deletedResults.rowCount,
+      deletedJobs: deletedJobs.rowCount,
+      deletedModelCalls: deletedModelCalls.rowCount
+    };
   } catch (error) {
-    console.error('Failed to clean old records:', error);
+    console.error('Failed to clean old records:', error.message);
+    return { deleted: 0, deletedHealth: 0, deletedResults: 0, deletedJobs: 0, deletedModelCalls: 0 };
   }
 }
 
-// Backup function (not needed for Postgres, but keeping for compatibility)
-function backup() {
-  console.log('Backup not needed for Vercel Postgres (automatically managed)');
+/**
+ * Backup database (managed by the Postgres provider, kept for contract parity)
+ */
+async function backup() {
+  console.log('Backup not needed for Postgres (managed by the provider)');
+  return null;
 }
 
+/**
+ * Get database statistics
+ */
+async function getDatabaseInfo() {
+  try {
+    const result = await sql`
+      SELECT
+        pg_database_size(current_database()) as size,
+        (SELECT COUNT(*) FROM detections) as detections,
+        (SELECT COUNT(*) FROM api_calls) as api_calls,
+        (SELECT COUNT(*) FROM rate_limits) as rate_limits,
+        (SELECT COUNT(*) FROM health_logs) as health_logs,
+        (SELECT COUNT(*) FROM results) as results,
+        (SELECT COUNT(*) FROM jobs) as jobs,
+        (SELECT COUNT(*) FROM ip_allowlist) as ip_allowlist,
+        (SELECT COUNT(*) FROM model_calls) as model_calls,
+        (SELECT COUNT(*) FROM diseases) as diseases,
+        (SELECT COUNT(*) FROM alerts) as alerts
+    `;
+    const row = result.rows[0] || {};
+
+    return {
+      type: 'postgres',
+      size: toInt(row.size),
+      path: null,
+      tables: {
+        detections: toInt(row.detections),
+        api_calls: toInt(row.api_calls),
+        rate_limits: toInt(row.rate_limits),
+        health_logs: toInt(row.health_logs),
+        results: toInt(row.results),
+        jobs: toInt(row.jobs),
+        ip_allowlist: toInt(row.ip_allowlist),
+        model_calls: toInt(row.model_calls),
+        diseases: toInt(row.diseases),
+        alerts: toInt(row.alerts)
+      }
+    };
+  } catch (error) {
+    console.error('Failed to get database info:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Close the connection pool
+ */
+async function close() {
+  try {
+    await sql.end();
+  } catch (error) {
+    console.error('Failed to close database:', error.message);
+  }
+}
+
+// ============= EXPORTS =============
 module.exports = {
   initializeDatabase,
   logDetection,
-  logHealth,
-  getAPIUsageToday,
+  recordModelCall,
+  saveResult,
+  getResult,
+  createJob,
+  getJob,
+  updateJobStage,
+  completeJob,
+  getPendingJobs,
   checkRateLimit,
-  getDatabaseInfo,
+  blockIP,
+  unblockIP,
+  getBlockedIPs,
+  addAllowlistEntry,
+  removeAllowlistEntry,
+  getAllowlist,
+  seedDiseases,
+  getDisease,
+  getDiseases,
+  saveDisease,
+  deleteDisease,
+  getAPIUsageToday,
+  getAPIUsageByHour,
+  getAPIUsageByDay,
   getStats,
+  getDetectionGrid,
+  getDetectionCounts,
+  saveAlert,
+  updateAlertDeliveries,
+  getAlerts,
+  logHealth,
   cleanOldRecords,
-  backup
-};
\ No newline at end of file
+  backup,
+  getDatabaseInfo,
+  close
+};
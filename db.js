@@ -2,13 +2,15 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
+// Database file: SQLITE_PATH, else data/usage.db
+const dbPath = process.env.SQLITE_PATH || path.join(__dirname, 'data', 'usage.db');
+
 // Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
+const dataDir = path.dirname(dbPath);
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-const dbPath = path.join(dataDir, 'usage.db');
 const db = new Database(dbPath);
 
 // Enable WAL mode for better concurrency
@@ -71,12 +73,130 @@ db.exec(`
   )
 `);
 
+// Table 5: Shareable detection results (looked up by unguessable ID)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS results (
+    id TEXT PRIMARY KEY,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// Table 6: Asynchronous detection jobs (persisted queue)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    stage TEXT,
+    ip TEXT NOT NULL,
+    user_agent TEXT,
+    filename TEXT,
+    mimetype TEXT,
+    image TEXT,
+    result TEXT,
+    timestamp INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  )
+`);
+
+// Table 7: Trusted IPs/CIDRs that bypass the database rate limit
+db.exec(`
+  CREATE TABLE IF NOT EXISTS ip_allowlist (
+    entry TEXT PRIMARY KEY,
+    note TEXT,
+    added_by TEXT,
+    timestamp INTEGER NOT NULL
+  )
+`);
+
+// Table 8: Every outbound model call (API usage accounting)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS model_calls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp INTEGER NOT NULL,
+    model TEXT NOT NULL,
+    role TEXT,
+    outcome TEXT NOT NULL,
+    error_class TEXT,
+    latency_ms INTEGER
+  )
+`);
+
+// Table 9: Disease knowledge base, one JSON entry per detection class
+db.exec(`
+  CREATE TABLE IF NOT EXISTS diseases (
+    class TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at INTEGER NOT NULL
+  )
+`);
+
+// Table 10: Disease spike alerts (see alerts.js)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp INTEGER NOT NULL,
+    alert_key TEXT NOT NULL,
+    disease TEXT NOT NULL,
+    count INTEGER NOT NULL,
+    p_value REAL NOT NULL,
+    data TEXT NOT NULL,
+    deliveries TEXT
+  )
+`);
+
+// ============= MIGRATIONS =============
+
+// Add a column missing from databases created by an older version
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Block metadata; blocked = 1 with no blocked_until is a permanent block
+ensureColumn('rate_limits', 'blocked_until', 'INTEGER');
+ensureColumn('rate_limits', 'blocked_at', 'INTEGER');
+ensureColumn('rate_limits', 'block_reason', 'TEXT');
+ensureColumn('rate_limits', 'blocked_by', 'TEXT');
+
+// Detections answered from the result cache (no model calls)
+ensureColumn('detections', 'cached', 'BOOLEAN DEFAULT 0');
+
+// Pipeline mode that ran the models, and disease model calls skipped by gating
+ensureColumn('detections', 'pipeline_mode', 'TEXT');
+ensureColumn('detections', 'saved_calls', 'INTEGER DEFAULT 0');
+
+// Severity grade from lesion coverage (see severity.js)
+ensureColumn('detections', 'severity_level', 'TEXT');
+ensureColumn('detections', 'affected_ratio', 'REAL');
+ensureColumn('detections', 'lesion_count', 'INTEGER');
+
+// Where and when the photo was taken (manual or EXIF location, see geo.js)
+ensureColumn('detections', 'latitude', 'REAL');
+ensureColumn('detections', 'longitude', 'REAL');
+ensureColumn('detections', 'location_source', 'TEXT');
+ensureColumn('detections', 'captured_at', 'INTEGER');
+
+// First failed check of uploads refused by the quality gate (see quality.js)
+ensureColumn('detections', 'quality_issue', 'TEXT');
+
+// Manual location submitted with a queued job (JSON)
+ensureColumn('jobs', 'location', 'TEXT');
+
 // ============= INDEXES FOR PERFORMANCE =============
 db.exec(`CREATE INDEX IF NOT EXISTS idx_detections_ip_timestamp ON detections(ip, timestamp)`);
 db.exec(`CREATE INDEX IF NOT EXISTS idx_detections_timestamp ON detections(timestamp)`);
 db.exec(`CREATE INDEX IF NOT EXISTS idx_detections_success ON detections(success)`);
 db.exec(`CREATE INDEX IF NOT EXISTS idx_rate_limits_ip ON rate_limits(ip)`);
 db.exec(`CREATE INDEX IF NOT EXISTS idx_api_calls_date ON api_calls(date)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_results_timestamp ON results(timestamp)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_status_timestamp ON jobs(status, timestamp)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_model_calls_timestamp ON model_calls(timestamp)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts(timestamp)`);
 
 console.log('✓ Database initialized at:', dbPath);
 
@@ -85,8 +205,9 @@ console.log('✓ Database initialized at:', dbPath);
 const statements = {
   // Detection logging
   insertDetection: db.prepare(`
-    INSERT INTO detections (ip, timestamp, disease, confidence, processing_time, success, error_message, user_agent)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO detections (ip, timestamp, disease, confidence, processing_time, success, error_message, user_agent, cached, pipeline_mode, saved_calls,
+      severity_level, affected_ratio, lesion_count, latitude, longitude, location_source, captured_at, quality_issue)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
   
   // API call tracking
@@ -119,7 +240,71 @@ const statements = {
   `),
   
   blockIP: db.prepare(`
-    UPDATE rate_limits SET blocked = 1 WHERE ip = ?
+    INSERT INTO rate_limits (ip, request_count, first_request, last_request, blocked, blocked_until, blocked_at, block_reason, blocked_by)
+    VALUES (?, 0, ?, ?, 1, ?, ?, ?, ?)
+    ON CONFLICT(ip) DO UPDATE SET
+      blocked = 1,
+      blocked_until = excluded.blocked_until,
+      blocked_at = excluded.blocked_at,
+      block_reason = excluded.block_reason,
+      blocked_by = excluded.blocked_by
+  `),
+  
+  unblockIP: db.prepare(`
+    UPDATE rate_limits
+    SET blocked = 0, blocked_until = NULL, blocked_at = NULL, block_reason = NULL, blocked_by = NULL
+    WHERE ip = ? AND blocked = 1
+  `),
+  
+  getBlockedIPs: db.prepare(`
+    SELECT ip, blocked_at, blocked_until, block_reason, blocked_by, request_count, last_request
+    FROM rate_limits
+    WHERE blocked = 1 AND (blocked_until IS NULL OR blocked_until > ?)
+    ORDER BY blocked_at DESC NULLS LAST
+  `),
+  
+  // IP allowlist
+  upsertAllowlistEntry: db.prepare(`
+    INSERT INTO ip_allowlist (entry, note, added_by, timestamp)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(entry) DO UPDATE SET
+      note = excluded.note,
+      added_by = excluded.added_by,
+      timestamp = excluded.timestamp
+  `),
+  
+  deleteAllowlistEntry: db.prepare(`
+    DELETE FROM ip_allowlist WHERE entry = ?
+  `),
+  
+  getAllowlist: db.prepare(`
+    SELECT entry, note, added_by, timestamp FROM ip_allowlist ORDER BY timestamp ASC
+  `),
+  
+  // Disease knowledge base
+  countDiseases: db.prepare(`
+    SELECT COUNT(*) as count FROM diseases
+  `),
+  
+  upsertDisease: db.prepare(`
+    INSERT INTO diseases (class, data, updated_by, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(class) DO UPDATE SET
+      data = excluded.data,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `),
+  
+  getDisease: db.prepare(`
+    SELECT class, data, updated_by, updated_at FROM diseases WHERE class = ?
+  `),
+  
+  getDiseases: db.prepare(`
+    SELECT class, data, updated_by, updated_at FROM diseases ORDER BY class ASC
+  `),
+  
+  deleteDisease: db.prepare(`
+    DELETE FROM diseases WHERE class = ?
   `),
   
   // Health monitoring
@@ -128,6 +313,37 @@ const statements = {
     VALUES (?, ?, ?, ?)
   `),
   
+  // Shareable results
+  insertResult: db.prepare(`
+    INSERT INTO results (id, timestamp, data) VALUES (?, ?, ?)
+  `),
+  
+  getResult: db.prepare(`
+    SELECT data FROM results WHERE id = ?
+  `),
+  
+  // Detection jobs
+  insertJob: db.prepare(`
+    INSERT INTO jobs (id, status, stage, ip, user_agent, filename, mimetype, image, location, timestamp, updated_at)
+    VALUES (?, 'queued', 'queued', ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  
+  getJob: db.prepare(`
+    SELECT * FROM jobs WHERE id = ?
+  `),
+  
+  updateJobStage: db.prepare(`
+    UPDATE jobs SET status = 'running', stage = ?, updated_at = ? WHERE id = ?
+  `),
+  
+  completeJob: db.prepare(`
+    UPDATE jobs SET status = ?, stage = ?, result = ?, image = NULL, updated_at = ? WHERE id = ?
+  `),
+  
+  getPendingJobs: db.prepare(`
+    SELECT id FROM jobs WHERE status IN ('queued', 'running') ORDER BY timestamp ASC
+  `),
+  
   // Analytics queries
   getTodayStats: db.prepare(`
     SELECT 
@@ -135,7 +351,10 @@ const statements = {
       SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) as successful,
       SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failed,
       AVG(CASE WHEN success = 1 THEN processing_time END) as avg_processing_time,
-      COUNT(DISTINCT ip) as unique_users
+      COUNT(DISTINCT ip) as unique_users,
+      SUM(CASE WHEN success = 1 AND cached = 1 THEN 1 ELSE 0 END) as cache_hits,
+      SUM(saved_calls) as saved_calls,
+      SUM(CASE WHEN quality_issue IS NOT NULL THEN 1 ELSE 0 END) as quality_rejected
     FROM detections
     WHERE timestamp > ?
   `),
@@ -155,15 +374,143 @@ const statements = {
     WHERE success = 0
     ORDER BY timestamp DESC
     LIMIT 50
+  `),
+  
+  getHourlyStats: db.prepare(`
+    SELECT 
+      (timestamp / 3600000) * 3600000 as hour,
+      COUNT(*) as total,
+      SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) as successful,
+      SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failed,
+      AVG(CASE WHEN success = 1 THEN processing_time END) as avg_processing_time
+    FROM detections
+    WHERE timestamp > ?
+    GROUP BY hour
+    ORDER BY hour ASC
+  `),
+  
+  getAPIUsageByHour: db.prepare(`
+    SELECT 
+      (timestamp / 3600000) * 3600000 as hour,
+      COUNT(*) as calls
+    FROM model_calls
+    WHERE timestamp >= ?
+    GROUP BY hour
+    ORDER BY hour ASC
+  `),
+  
+  // Model call accounting
+  insertModelCall: db.prepare(`
+    INSERT INTO model_calls (timestamp, model, role, outcome, error_class, latency_ms)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  
+  getModelCallStats: db.prepare(`
+    SELECT 
+      model,
+      role,
+      outcome,
+      error_class,
+      COUNT(*) as calls,
+      AVG(latency_ms) as avg_latency_ms
+    FROM model_calls
+    WHERE timestamp > ?
+    GROUP BY model, role, outcome, error_class
+    ORDER BY model, calls DESC
+  `),
+  
+  getPipelineStats: db.prepare(`
+    SELECT 
+      pipeline_mode as mode,
+      COUNT(*) as detections,
+      SUM(saved_calls) as saved_calls
+    FROM detections
+    WHERE timestamp > ? AND pipeline_mode IS NOT NULL
+    GROUP BY pipeline_mode
+    ORDER BY detections DESC
+  `),
+  
+  getQualityStats: db.prepare(`
+    SELECT 
+      quality_issue as issue,
+      COUNT(*) as rejected
+    FROM detections
+    WHERE timestamp > ? AND quality_issue IS NOT NULL
+    GROUP BY quality_issue
+    ORDER BY rejected DESC
+  `),
+  
+  getDetectionGrid: db.prepare(`
+    SELECT 
+      disease,
+      CAST(FLOOR(latitude / @cellSize) AS INTEGER) as lat_cell,
+      CAST(FLOOR(longitude / @cellSize) AS INTEGER) as lon_cell,
+      COUNT(*) as count,
+      MAX(timestamp) as last_seen
+    FROM detections
+    WHERE success = 1 AND latitude IS NOT NULL AND longitude IS NOT NULL
+      AND timestamp > @cutoff AND (@disease IS NULL OR disease = @disease)
+    GROUP BY disease, lat_cell, lon_cell
+    ORDER BY count DESC
+  `),
+  
+  // Successful detections per disease, window and grid cell (NULL cells without a location)
+  getDetectionCounts: db.prepare(`
+    SELECT 
+      disease,
+      CAST((timestamp - @since) / @bucketMs AS INTEGER) as bucket,
+      CAST(FLOOR(latitude / @cellSize) AS INTEGER) as lat_cell,
+      CAST(FLOOR(longitude / @cellSize) AS INTEGER) as lon_cell,
+      COUNT(*) as count
+    FROM detections
+    WHERE success = 1 AND disease IS NOT NULL AND timestamp >= @since
+    GROUP BY disease, bucket, lat_cell, lon_cell
+  `),
+  
+  // Spike alerts
+  insertAlert: db.prepare(`
+    INSERT INTO alerts (timestamp, alert_key, disease, count, p_value, data)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  
+  updateAlertDeliveries: db.prepare(`
+    UPDATE alerts SET deliveries = ? WHERE id = ?
+  `),
+  
+  getAlerts: db.prepare(`
+    SELECT id, timestamp, data, deliveries
+    FROM alerts
+    WHERE timestamp >= @since AND (@disease IS NULL OR disease = @disease)
+    ORDER BY timestamp DESC, id DESC
+    LIMIT @limit
+  `),
+  
+  getAPIUsageByDay: db.prepare(`
+    SELECT date, model_1_calls, model_2_calls, total_calls
+    FROM api_calls
+    WHERE date >= ? AND date <= ?
+    ORDER BY date ASC
   `)
 };
 
 // ============= PUBLIC API FUNCTIONS =============
+// Every function is async to honour the storage contract shared with
+// db-postgres.js (see storage.js), even though better-sqlite3 is synchronous.
+
+/**
+ * Initialize database (schema is created on load, kept for contract parity)
+ */
+async function initializeDatabase() {
+  return true;
+}
 
 /**
  * Log a detection attempt
  */
-function logDetection(ip, disease, confidence, processingTime, success, errorMessage = null, userAgent = null) {
+async function logDetection(ip, disease, confidence, processingTime, success, errorMessage = null, userAgent = null, details = {}) {
+  const severity = details.severity || {};
+  const location = details.location || {};
+
   try {
     statements.insertDetection.run(
       ip,
@@ -173,34 +520,161 @@ function logDetection(ip, disease, confidence, processingTime, success, errorMes
       processingTime,
       success ? 1 : 0,
       errorMessage,
-      userAgent
+      userAgent,
+      details.cached ? 1 : 0,
+      details.pipelineMode || null,
+      details.savedCalls || 0,
+      severity.level || null,
+      severity.affectedRatio ?? null,
+      severity.lesionCount ?? null,
+      location.latitude ?? null,
+      location.longitude ?? null,
+      location.source || null,
+      details.capturedAt || null,
+      details.qualityIssue || null
     );
-    
-    // Track API usage
-    if (success) {
-      const today = new Date().toISOString().split('T')[0];
-      statements.incrementAPICalls.run(today, 1, 1, 2); // 2 API calls per detection (model 1 + model 2)
-    }
   } catch (error) {
     console.error('Failed to log detection:', error.message);
   }
 }
 
 /**
- * Check if IP has exceeded rate limits
+ * Record one outbound model call and add it to today's api_calls
  */
-function checkRateLimit(ip, windowMinutes = 60, maxRequests = 20) {
+async function recordModelCall({ model, role = null, outcome, errorClass = null, latencyMs = null }) {
   try {
-    const cutoff = Date.now() - (windowMinutes * 60 * 1000);
+    const today = new Date().toISOString().split('T')[0];
+    
+    statements.insertModelCall.run(Date.now(), model, role, outcome, errorClass, latencyMs);
+    statements.incrementAPICalls.run(
+      today,
+      role === 'verifier' ? 1 : 0,
+      role === 'disease' ? 1 : 0,
+      1
+    );
+  } catch (error) {
+    console.error('Failed to record model call:', error.message);
+  }
+}
+
+/**
+ * Store a detection result under its share ID
+ */
+async function saveResult(id, data) {
+  try {
+    statements.insertResult.run(id, Date.now(), JSON.stringify(data));
+    return true;
+  } catch (error) {
+    console.error('Failed to save result:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a stored detection result by share ID
+ */
+async function getResult(id) {
+  try {
+    const row = statements.getResult.get(id);
+    return row ? JSON.parse(row.data) : null;
+  } catch (error) {
+    console.error('Failed to get result:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist a new queued detection job (image as base64)
+ */
+async function createJob(job) {
+  try {
+    const now = Date.now();
+    statements.insertJob.run(
+      job.id, job.ip, job.userAgent, job.filename, job.mimetype, job.image,
+      job.location ? JSON.stringify(job.location) : null, now, now
+    );
+    return true;
+  } catch (error) {
+    console.error('Failed to create job:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a detection job by ID (result and location parsed, image still base64)
+ */
+async function getJob(id) {
+  try {
+    const row = statements.getJob.get(id);
+    if (!row) return null;
+    return {
+      ...row,
+      location: row.location ? JSON.parse(row.location) : null,
+      result: row.result ? JSON.parse(row.result) : null
+    };
+  } catch (error) {
+    console.error('Failed to get job:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Mark a job as running at the given pipeline stage
+ */
+async function updateJobStage(id, stage) {
+  try {
+    statements.updateJobStage.run(stage, Date.now(), id);
+  } catch (error) {
+    console.error('Failed to update job:', error.message);
+  }
+}
+
+/**
+ * Finish a job with its outcome and drop the stored image
+ */
+async function completeJob(id, status, result) {
+  try {
+    statements.completeJob.run(status, status, JSON.stringify(result), Date.now(), id);
+  } catch (error) {
+    console.error('Failed to complete job:', error.message);
+  }
+}
+
+/**
+ * IDs of jobs still queued or interrupted mid-run, oldest first
+ */
+async function getPendingJobs() {
+  try {
+    return statements.getPendingJobs.all().map(row => row.id);
+  } catch (error) {
+    console.error('Failed to get pending jobs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Check if IP has exceeded rate limits. IPs at twice the limit are blocked
+ * for blockMinutes (permanently when blockMinutes is 0).
+ */
+async function checkRateLimit(ip, windowMinutes = 60, maxRequests = 20, blockMinutes = 60) {
+  try {
+    const now = Date.now();
+    const cutoff = now - (windowMinutes * 60 * 1000);
     const result = statements.getRecentDetections.get(ip, cutoff);
     
     // Update rate limit tracking
-    statements.updateRateLimit.run(ip, Date.now(), Date.now());
+    statements.updateRateLimit.run(ip, now, now);
     
     // Check if IP is blocked
     const rateLimit = statements.getRateLimit.get(ip);
     if (rateLimit && rateLimit.blocked) {
-      return { allowed: false, reason: 'IP blocked due to abuse' };
+      if (rateLimit.blocked_until === null || rateLimit.blocked_until > now) {
+        return { allowed: false, reason: 'IP blocked due to abuse', blockedUntil: rateLimit.blocked_until };
+      }
+      
+      // Block has expired
+      statements.unblockIP.run(ip);
+      console.log(`🔓 Block expired for IP: ${ip}`);
     }
     
     const count = result.count;
@@ -208,7 +682,8 @@ function checkRateLimit(ip, windowMinutes = 60, maxRequests = 20) {
     if (count >= maxRequests) {
       // Auto-block if severely over limit
       if (count >= maxRequests * 2) {
-        statements.blockIP.run(ip);
+        const blockedUntil = blockMinutes > 0 ? now + blockMinutes * 60 * 1000 : null;
+        statements.blockIP.run(ip, now, now, blockedUntil, now, `Excessive requests (${count} in ${windowMinutes} min)`, 'auto');
         console.warn(`🚨 IP blocked for abuse: ${ip} (${count} requests)`);
         return { allowed: false, reason: 'IP blocked due to excessive requests' };
       }
@@ -223,14 +698,183 @@ function checkRateLimit(ip, windowMinutes = 60, maxRequests = 20) {
   }
 }
 
+/**
+ * Block an IP, for `minutes` or permanently when minutes is null
+ */
+async function blockIP(ip, { reason = null, minutes = null, blockedBy = null } = {}) {
+  try {
+    const now = Date.now();
+    const blockedUntil = minutes ? now + minutes * 60 * 1000 : null;
+    
+    statements.blockIP.run(ip, now, now, blockedUntil, now, reason, blockedBy);
+    console.warn(`🚫 IP blocked by ${blockedBy || 'unknown'}: ${ip}${reason ? ` (${reason})` : ''}`);
+    
+    return {
+      ip,
+      blocked_at: now,
+      blocked_until: blockedUntil,
+      block_reason: reason,
+      blocked_by: blockedBy
+    };
+  } catch (error) {
+    console.error('Failed to block IP:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Lift a block. Resolves to false if the IP was not blocked.
+ */
+async function unblockIP(ip) {
+  try {
+    return statements.unblockIP.run(ip).changes > 0;
+  } catch (error) {
+    console.error('Failed to unblock IP:', error.message);
+    return false;
+  }
+}
+
+/**
+ * List active (unexpired) blocks, newest first
+ */
+async function getBlockedIPs() {
+  try {
+    return statements.getBlockedIPs.all(Date.now());
+  } catch (error) {
+    console.error('Failed to get blocked IPs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Add or update an allowlist entry (IP address or CIDR)
+ */
+async function addAllowlistEntry(entry, { note = null, addedBy = null } = {}) {
+  try {
+    const now = Date.now();
+    statements.upsertAllowlistEntry.run(entry, note, addedBy, now);
+    return { entry, note, added_by: addedBy, timestamp: now };
+  } catch (error) {
+    console.error('Failed to add allowlist entry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove an allowlist entry. Resolves to false if it did not exist.
+ */
+async function removeAllowlistEntry(entry) {
+  try {
+    return statements.deleteAllowlistEntry.run(entry).changes > 0;
+  } catch (error) {
+    console.error('Failed to remove allowlist entry:', error.message);
+    return false;
+  }
+}
+
+/**
+ * List allowlist entries, oldest first
+ */
+async function getAllowlist() {
+  try {
+    return statements.getAllowlist.all();
+  } catch (error) {
+    console.error('Failed to get allowlist:', error.message);
+    return [];
+  }
+}
+
+function parseDiseaseRow(row) {
+  return {
+    class: row.class,
+    ...JSON.parse(row.data),
+    updated_by: row.updated_by,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Insert the default knowledge base entries ({ class: entry }) into an empty table.
+ * Resolves to the number of entries inserted.
+ */
+async function seedDiseases(entries) {
+  try {
+    if (statements.countDiseases.get().count > 0) return 0;
+
+    const now = Date.now();
+    const insertAll = db.transaction(() => {
+      Object.entries(entries).forEach(([className, entry]) => {
+        statements.upsertDisease.run(className, JSON.stringify(entry), null, now);
+      });
+    });
+    insertAll();
+
+    return Object.keys(entries).length;
+  } catch (error) {
+    console.error('Failed to seed diseases:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Get a knowledge base entry by class, or null
+ */
+async function getDisease(className) {
+  try {
+    const row = statements.getDisease.get(className);
+    return row ? parseDiseaseRow(row) : null;
+  } catch (error) {
+    console.error('Failed to get disease:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List knowledge base entries by class
+ */
+async function getDiseases() {
+  try {
+    return statements.getDiseases.all().map(parseDiseaseRow);
+  } catch (error) {
+    console.error('Failed to get diseases:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Create or replace a knowledge base entry
+ */
+async function saveDisease(className, entry, updatedBy = null) {
+  try {
+    const now = Date.now();
+    statements.upsertDisease.run(className, JSON.stringify(entry), updatedBy, now);
+    return { class: className, ...entry, updated_by: updatedBy, updated_at: now };
+  } catch (error) {
+    console.error('Failed to save disease:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a knowledge base entry. Resolves to false if it did not exist.
+ */
+async function deleteDisease(className) {
+  try {
+    return statements.deleteDisease.run(className).changes > 0;
+  } catch (error) {
+    console.error('Failed to delete disease:', error.message);
+    return false;
+  }
+}
+
 /**
  * Get today's API usage for cost monitoring
  */
-function getAPIUsageToday() {
+async function getAPIUsageToday() {
   try {
     const today = new Date().toISOString().split('T')[0];
     const result = db.prepare(`
-      SELECT * FROM api_calls WHERE date = ?
+      SELECT model_1_calls, model_2_calls, total_calls FROM api_calls WHERE date = ?
     `).get(today);
     
     return result || { model_1_calls: 0, model_2_calls: 0, total_calls: 0 };
@@ -240,22 +884,66 @@ function getAPIUsageToday() {
   }
 }
 
+/**
+ * Get daily API usage between two UTC dates (inclusive, YYYY-MM-DD)
+ */
+async function getAPIUsageByDay(fromDate, toDate) {
+  try {
+    return statements.getAPIUsageByDay.all(fromDate, toDate);
+  } catch (error) {
+    console.error('Failed to get daily API usage:', error.message);
+    return [];
+  }
+}
+
 /**
  * Get statistics for dashboard/monitoring
  */
-function getStats(hours = 24) {
+async function getStats(hours = 24) {
   try {
     const cutoff = Date.now() - (hours * 60 * 60 * 1000);
     
     const summary = statements.getTodayStats.get(cutoff);
     const topDiseases = statements.getTopDiseases.all(cutoff);
     const recentErrors = statements.getRecentErrors.all();
-    const apiUsage = getAPIUsageToday();
+    const hourly = statements.getHourlyStats.all(cutoff);
+    const modelCalls = statements.getModelCallStats.all(cutoff);
+    const pipeline = statements.getPipelineStats.all(cutoff);
+    const quality = statements.getQualityStats.all(cutoff);
+    const apiUsage = await getAPIUsageToday();
     
     return {
-      summary: summary || {},
+      summary: {
+        total_detections: summary.total_detections || 0,
+        successful: summary.successful || 0,
+        failed: summary.failed || 0,
+        avg_processing_time: summary.avg_processing_time,
+        unique_users: summary.unique_users || 0,
+        cache_hits: summary.cache_hits || 0,
+        saved_calls: summary.saved_calls || 0,
+        quality_rejected: summary.quality_rejected || 0
+      },
       topDiseases: topDiseases || [],
       recentErrors: recentErrors || [],
+      hourly: hourly.map(row => ({
+        hour: row.hour,
+        total: row.total,
+        successful: row.successful || 0,
+        failed: row.failed || 0,
+        avg_processing_time: row.avg_processing_time
+      })),
+      modelCalls,
+      pipeline: pipeline.map(row => ({
+        mode: row.mode,
+        detections: row.detections,
+        saved_calls: row.saved_calls || 0
+      })),
+      // Uploads refused by the quality gate per failed check, as a share of all attempts
+      quality: quality.map(row => ({
+        issue: row.issue,
+        rejected: row.rejected,
+        rate: summary.total_detections ? parseFloat((row.rejected / summary.total_detections).toFixed(4)) : 0
+      })),
       apiUsage
     };
   } catch (error) {
@@ -264,10 +952,93 @@ function getStats(hours = 24) {
   }
 }
 
+/**
+ * Located successful detections per disease and grid cell of cellSize degrees
+ */
+async function getDetectionGrid({ hours = 24 * 30, cellSize = 0.05, disease = null } = {}) {
+  try {
+    const cutoff = Date.now() - (hours * 60 * 60 * 1000);
+    return statements.getDetectionGrid.all({ cutoff, cellSize, disease });
+  } catch (error) {
+    console.error('Failed to get detection grid:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Successful detections since `since` per disease, window of bucketMs and grid
+ * cell of cellSize degrees (cellSize null: no cells)
+ */
+async function getDetectionCounts({ since, bucketMs, cellSize = null }) {
+  try {
+    return statements.getDetectionCounts.all({ since, bucketMs, cellSize });
+  } catch (error) {
+    console.error('Failed to get detection counts:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Store a spike alert; its ID, or null
+ */
+async function saveAlert(alert) {
+  try {
+    const info = statements.insertAlert.run(Date.now(), alert.key, alert.disease, alert.count, alert.pValue, JSON.stringify(alert));
+    return Number(info.lastInsertRowid);
+  } catch (error) {
+    console.error('Failed to save alert:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record how an alert was delivered ([{ channel, ok, error? }])
+ */
+async function updateAlertDeliveries(id, deliveries) {
+  try {
+    statements.updateAlertDeliveries.run(JSON.stringify(deliveries), id);
+  } catch (error) {
+    console.error('Failed to update alert deliveries:', error.message);
+  }
+}
+
+/**
+ * Alerts raised since `since`, newest first
+ */
+async function getAlerts({ since = 0, limit = 50, disease = null } = {}) {
+  try {
+    return statements.getAlerts.all({ since, limit, disease }).map(row => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      ...JSON.parse(row.data),
+      deliveries: row.deliveries ? JSON.parse(row.deliveries) : null
+    }));
+  } catch (error) {
+    console.error('Failed to get alerts:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get today's API calls per hour (UTC) for quota burn-down
+ */
+async function getAPIUsageByHour() {
+  try {
+    const startOfDay = new Date(new Date().toISOString().split('T')[0]).getTime();
+    return statements.getAPIUsageByHour.all(startOfDay).map(row => ({
+      hour: row.hour,
+      calls: row.calls || 0
+    }));
+  } catch (error) {
+    console.error('Failed to get hourly API usage:', error.message);
+    return [];
+  }
+}
+
 /**
  * Log system health metrics
  */
-function logHealth(memoryUsage, activeConnections, errorCount) {
+async function logHealth(memoryUsage, activeConnections, errorCount) {
   try {
     statements.insertHealthLog.run(
       Date.now(),
@@ -283,7 +1054,7 @@ function logHealth(memoryUsage, activeConnections, errorCount) {
 /**
  * Clean old records (run daily via cron or at startup)
  */
-function cleanOldRecords(daysToKeep = 90) {
+async function cleanOldRecords(daysToKeep = 90) {
   try {
     const cutoff = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
     
@@ -295,22 +1066,40 @@ function cleanOldRecords(daysToKeep = 90) {
       DELETE FROM health_logs WHERE timestamp < ?
     `).run(cutoff);
     
-    console.log(`🧹 Cleaned ${deleted.changes} old detection records and ${deletedHealth.changes} health logs`);
+    const deletedResults = db.prepare(`
+      DELETE FROM results WHERE timestamp < ?
+    `).run(cutoff);
+    
+    const deletedJobs = db.prepare(`
+      DELETE FROM jobs WHERE timestamp < ? AND status IN ('completed', 'failed')
+    `).run(cutoff);
+    
+    const deletedModelCalls = db.prepare(`
+      DELETE FROM model_calls WHERE timestamp < ?
+    `).run(cutoff);
+    
+    console.log(`🧹 Cleaned ${deleted.changes} old detection records, ${deletedHealth.changes} health logs, ${deletedResults.changes} results, ${deletedJobs.changes} jobs and ${deletedModelCalls.changes} model calls`);
     
     // Vacuum to reclaim space
     db.pragma('vacuum');
     
-    return { deleted: deleted.changes, deletedHealth: deletedHealth.changes };
+    return {
+      deleted: deleted.changes,
+      deletedHealth: deletedHealth.changes,
+      deletedResults: deletedResults.changes,
+      deletedJobs: deletedJobs.changes,
+      deletedModelCalls: deletedModelCalls.changes
+    };
   } catch (error) {
     console.error('Failed to clean old records:', error.message);
-    return { deleted: 0, deletedHealth: 0 };
+    return { deleted: 0, deletedHealth: 0, deletedResults: 0, deletedJobs: 0, deletedModelCalls: 0 };
   }
 }
 
 /**
  * Backup database
  */
-function backup() {
+async function backup() {
   try {
     const backupDir = path.join(__dirname, 'backups');
     if (!fs.existsSync(backupDir)) {
@@ -346,16 +1135,17 @@ function backup() {
 /**
  * Get database statistics
  */
-function getDatabaseInfo() {
+async function getDatabaseInfo() {
   try {
     const stats = {
+      type: 'sqlite',
       size: fs.statSync(dbPath).size,
       path: dbPath,
       tables: {}
     };
     
     // Count records in each table
-    const tables = ['detections', 'api_calls', 'rate_limits', 'health_logs'];
+    const tables = ['detections', 'api_calls', 'rate_limits', 'health_logs', 'results', 'jobs', 'ip_allowlist', 'model_calls', 'diseases', 'alerts'];
     tables.forEach(table => {
       const count = db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get();
       stats.tables[table] = count.count;
@@ -368,9 +1158,18 @@ function getDatabaseInfo() {
   }
 }
 
+/**
+ * Close the database connection
+ */
+async function close() {
+  if (db.open) {
+    db.close();
+  }
+}
+
 // ============= GRACEFUL SHUTDOWN =============
 process.on('exit', () => {
-  db.close();
+  if (db.open) db.close();
 });
 
 process.on('SIGINT', () => {
@@ -382,12 +1181,40 @@ process.on('SIGINT', () => {
 // ============= EXPORTS =============
 module.exports = {
   db, // Export raw db for advanced queries if needed
+  initializeDatabase,
   logDetection,
+  recordModelCall,
+  saveResult,
+  getResult,
+  createJob,
+  getJob,
+  updateJobStage,
+  completeJob,
+  getPendingJobs,
   checkRateLimit,
+  blockIP,
+  unblockIP,
+  getBlockedIPs,
+  addAllowlistEntry,
+  removeAllowlistEntry,
+  getAllowlist,
+  seedDiseases,
+  getDisease,
+  getDiseases,
+  saveDisease,
+  deleteDisease,
   getAPIUsageToday,
+  getAPIUsageByHour,
+  getAPIUsageByDay,
   getStats,
+  getDetectionGrid,
+  getDetectionCounts,
+  saveAlert,
+  updateAlertDeliveries,
+  getAlerts,
   logHealth,
   cleanOldRecords,
   backup,
-  getDatabaseInfo
+  getDatabaseInfo,
+  close
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+// ============= DETECTION HISTORY =============
+//
+// Past results kept in IndexedDB so earlier scans can be looked up again
+// (history.html). Each entry holds the whole result in the sessionStorage
+// format, so it opens in result.html even offline, plus a small thumbnail
+// and the user's notes.
+//
+// Entries: { key, id, disease, diseaseName, confidence, timestamp, thumbnail, notes, result }
+
+const DetectionHistory = (function() {
+  const DB_NAME = 'cali-history';
+  const STORE = 'results';
+  const EXPORT_FORMAT = 'cali-ai-history';
+  const THUMBNAIL_SIZE = 160; // pixels, longest side
+
+  function open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key', autoIncrement: true });
+        store.createIndex('id', 'id');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Runs fn(store) in one transaction; resolves with the result of the request it returns
+  async function transact(mode, fn) {
+    const db = await open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = tx.onabort = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  }
+
+  // Images from files are only trusted as inline data, never as a URL to load
+  function isImageData(src) {
+    return typeof src === 'string' && src.startsWith('data:image/');
+  }
+
+  // Small JPEG copy of an image for the history list, or null if it cannot be drawn
+  function createThumbnail(src) {
+    return new Promise(resolve => {
+      if (!src) return resolve(null);
+
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/jpeg', 0.8));
+      };
+      img.onerror = () => resolve(null);
+      img.src = src;
+    });
+  }
+
+  function findById(id) {
+    return transact('readonly', store => store.index('id').get(id));
+  }
+
+  function entryFor(result, notes = '') {
+    return {
+      id: result.id || null,
+      disease: result.model2.class,
+      diseaseName: (result.diseaseInfo && result.diseaseInfo.name) || result.model2.class,
+      confidence: Number(result.model2.confidence),
+      timestamp: result.timestamp || new Date().toISOString(),
+      notes,
+      result
+    };
+  }
+
+  /**
+   * Save a result (sessionStorage format). Results already in the history,
+   * by their share ID, are skipped. Resolves with the new key, or null.
+   */
+  async function add(result, { notes = '', thumbnail = null } = {}) {
+    if (result.id && await findById(result.id)) return null;
+
+    const entry = entryFor(result, notes);
+    entry.thumbnail = thumbnail || await createThumbnail(result.imageSrc);
+
+    return transact('readwrite', store => store.add(entry));
+  }
+
+  // Newest first
+  async function list() {
+    const entries = await transact('readonly', store => store.getAll());
+    return entries.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+  }
+
+  function get(key) {
+    return transact('readonly', store => store.get(key));
+  }
+
+  function remove(key) {
+    return transact('readwrite', store => store.delete(key));
+  }
+
+  async function setNotes(key, notes) {
+    const entry = await get(key);
+    if (!entry) return;
+
+    await transact('readwrite', store => store.put({ ...entry, notes }));
+  }
+
+  // The whole history as a JSON file for backup or moving to another device
+  async function exportFile() {
+    const entries = (await list()).map(({ key, ...entry }) => entry);
+
+    return new Blob([JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries
+    })], { type: 'application/json' });
+  }
+
+  /**
+   * Add the entries of an exported file. Entries already in the history
+   * (same share ID) and unreadable ones are skipped. Rejects when the file
+   * is not an export. Resolves with { imported, skipped }.
+   */
+  async function importFile(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('Not a JSON file');
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('Not a detection history export');
+    }
+
+    let imported = 0;
+
+    for (const entry of data.entries) {
+      const result = entry && entry.result;
+      if (!result || !result.model1 || !result.model2 || !result.model2.class) continue;
+
+      if (!isImageData(result.imageSrc)) delete result.imageSrc;
+      if (result.diseaseInfo) delete result.diseaseInfo.referenceImages;
+      if (result.timestamp === undefined) result.timestamp = entry.timestamp;
+
+      const key = await add(result, {
+        notes: typeof entry.notes === 'string' ? entry.notes : '',
+        thumbnail: isImageData(entry.thumbnail) ? entry.thumbnail : null
+      });
+      if (key !== null) imported++;
+    }
+
+    return { imported, skipped: data.entries.length - imported };
+  }
+
+  return {
+    add,
+    list,
+    get,
+    remove,
+    setNotes,
+    exportFile,
+    importFile
+  };
+})();
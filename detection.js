@@ -0,0 +1,664 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { computeImageHash } = require('./cache');
+const { classifyError, nullMetrics } = require('./metrics');
+const { budgetMessageCode } = require('./budget');
+const { createCircuitBreaker, withRetry } = require('./circuit-breaker');
+const { combineResults } = require('./models');
+const { DEFAULT_LANGUAGE, message } = require('./i18n');
+const { readCaptureMetadata, UTC_OFFSET_PATTERN } = require('./exif');
+
+// ============= IMAGE HELPERS =============
+
+async function optimizeImage(buffer, maxWidth = 1024) {
+  try {
+    const optimized = await sharp(buffer)
+      .resize(maxWidth, maxWidth, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .jpeg({ quality: 85, progressive: true })
+      .toBuffer();
+
+    return optimized;
+  } catch (error) {
+    console.warn('Image optimization failed, using original:', error.message);
+    return buffer;
+  }
+}
+
+async function createThumbnail(buffer, maxWidth = 480) {
+  try {
+    const thumbnail = await sharp(buffer)
+      .resize(maxWidth, maxWidth, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+
+    return `data:image/jpeg;base64,${thumbnail.toString('base64')}`;
+  } catch (error) {
+    console.warn('Thumbnail generation failed:', error.message);
+    return null;
+  }
+}
+
+// 128 random bits, URL-safe: share links must not be guessable
+function generateResultId() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+const RESULT_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+// The prediction payload of a result, without the fields that belong to one detection
+function predictionOf({ id, timestamp, processingTime, cached, ...prediction }) {
+  return prediction;
+}
+
+/**
+ * Message code (see locales/) for an internal error, without leaking its details
+ */
+function errorCode(error) {
+  const safeErrors = {
+    'Request timeout': 'request_timeout',
+    'API rate limit exceeded': 'service_limit',
+    'Authentication failed': 'service_unavailable',
+    'Invalid image data': 'invalid_image',
+    'DNS lookup failed': 'service_unreachable',
+    'Connection refused': 'service_not_responding',
+    'API key not configured': 'configuration_error',
+    'Model URL not configured': 'configuration_error',
+    'Service temporarily unavailable - too many failures': 'circuit_open'
+  };
+
+  for (const [key, code] of Object.entries(safeErrors)) {
+    if (error.message.includes(key)) {
+      return code;
+    }
+  }
+
+  return 'processing_error';
+}
+
+// ============= DETECTION PIPELINE =============
+
+// parallel - both models at once (fastest)
+// gated    - the other models only after the verifiers accept the image (no calls wasted on rejects)
+// adaptive - gated while the recent verifier rejection rate is at or above a threshold, else parallel
+const PIPELINE_MODES = ['parallel', 'gated', 'adaptive'];
+
+/**
+ * Create the detection pipeline shared by the single, batch and job endpoints.
+ * `models` is the registry from models.js; the optional collaborators (cache,
+ * budget, knowledgeBase, severity, quality, metrics) are described in their own
+ * modules and skipped when not given.
+ *
+ * runDetection(file, client) takes a multer file and { ip, userAgent, label, onStage, lang, location }
+ * and always resolves to { status, body }: the HTTP status and JSON body
+ * /api/detect would send for that image. Every outcome is logged to storage,
+ * with the client's `location` in place of the photo's EXIF position when given.
+ * Error bodies are in English with a `code` for i18n.localizeError(); `lang`
+ * only selects the language of the embedded diseaseInfo. onStage, if given, is
+ * called with 'optimizing', 'verifying' and 'diagnosing'.
+ */
+function createDetectionPipeline({
+  db,
+  inference,
+  models,
+  cache = null,
+  metrics = nullMetrics,
+  budget = null,
+  breakerOptions = {},
+  retryOptions = {},
+  mode = 'parallel',
+  adaptiveOptions = {},
+  knowledgeBase = null,
+  severity = null,
+  quality = null,
+  imageMaxDimension = 1024,
+  exifTimezone = '+00:00'
+}) {
+  if (!PIPELINE_MODES.includes(mode)) {
+    throw new Error(`Unknown pipeline mode: ${mode} (expected one of: ${PIPELINE_MODES.join(', ')})`);
+  }
+
+  if (!UTC_OFFSET_PATTERN.test(exifTimezone)) {
+    throw new Error(`Invalid EXIF time zone: ${exifTimezone} (expected an offset such as +08:00)`);
+  }
+
+  const adaptive = { windowSize: 50, threshold: 0.3, minSamples: 10, ...adaptiveOptions };
+  adaptive.minSamples = Math.min(adaptive.minSamples, adaptive.windowSize);
+  const recentVerifications = []; // true where the verifier rejected the image, oldest first
+
+  const breakers = new Map(); // model id -> circuit breaker
+
+  function getBreaker(model) {
+    if (!breakers.has(model.id)) {
+      breakers.set(model.id, createCircuitBreaker({ name: model.id, ...breakerOptions }));
+    }
+
+    return breakers.get(model.id);
+  }
+
+  models.models.forEach(getBreaker);
+
+  // Calls a gated detection skips when the verifiers reject the image
+  const detectorCalls = models.models.filter(model => model.role !== 'verifier').length;
+
+  // One outbound request; every attempt is recorded, retries included
+  async function requestModel(model, base64Image, timeout) {
+    const callStart = Date.now();
+
+    try {
+      const data = await inference.predict(model, base64Image, { timeout });
+      const latencyMs = Date.now() - callStart;
+      metrics.observeModelLatency(model.id, latencyMs / 1000, 'success');
+      await db.recordModelCall({ model: model.id, role: model.role, outcome: 'success', latencyMs });
+
+      return data;
+
+    } catch (error) {
+      const latencyMs = Date.now() - callStart;
+      metrics.observeModelLatency(model.id, latencyMs / 1000, 'error');
+      metrics.recordModelError(model.id, error);
+      await db.recordModelCall({ model: model.id, role: model.role, outcome: 'error', errorClass: classifyError(error), latencyMs });
+
+      throw error;
+    }
+  }
+
+  async function callModel(model, base64Image, timeout = 20000) {
+    const breaker = getBreaker(model);
+
+    try {
+      return await withRetry(() => breaker.execute(() => requestModel(model, base64Image, timeout)), {
+        ...retryOptions,
+        onRetry(error, attempt, delayMs) {
+          metrics.recordModelRetry(model.id, error);
+          console.warn(`🔁 ${model.id} failed (${error.message}), retry ${attempt} in ${delayMs}ms`);
+        }
+      });
+    } catch (error) {
+      // Short-circuited calls never reached requestModel
+      if (error.circuitOpen) metrics.recordModelError(model.id, error);
+      throw error;
+    }
+  }
+
+  // Call every model with the role; failed members drop out of the ensemble unless all fail
+  async function callRole(role, base64Image) {
+    const members = models.byRole(role);
+    const outcomes = await Promise.allSettled(members.map(model => callModel(model, base64Image)));
+    const results = [];
+    const errors = [];
+
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        results.push({ model: members[index], data: outcome.value });
+      } else {
+        errors.push(outcome.reason);
+      }
+    });
+
+    if (results.length === 0) throw errors[0];
+
+    if (errors.length > 0) {
+      console.warn(`⚠️ ${errors.length} of ${members.length} ${role} models failed, combining the rest`);
+    }
+
+    return results;
+  }
+
+  // Pest and plant part models are extras: their failure never fails a detection
+  async function callOptionalRole(role, base64Image) {
+    if (models.byRole(role).length === 0) return null;
+
+    try {
+      return await callRole(role, base64Image);
+    } catch (error) {
+      console.warn(`⚠️ ${role} models failed, continuing without them: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Everything after verification: [disease results, pest results, part results]
+  function callDetectors(base64Image) {
+    return Promise.all([
+      callRole('disease', base64Image),
+      callOptionalRole('pest', base64Image),
+      callOptionalRole('part', base64Image)
+    ]);
+  }
+
+  // Combined pest or plant part finding, or null when absent or below threshold
+  function summarizeOptional(results, role) {
+    const combined = results ? combineResults(results, models.strategyFor(role)) : null;
+    if (!combined || combined.confidence < combined.threshold) return null;
+
+    return {
+      class: combined.class.toLowerCase(),
+      confidence: parseFloat((combined.confidence * 100).toFixed(2))
+    };
+  }
+
+  function summarizeEnsemble(combined, role) {
+    return {
+      strategy: models.strategyFor(role),
+      agreement: parseFloat(combined.agreement.toFixed(4)),
+      members: combined.members
+    };
+  }
+
+  function lookupDisease(className, lang) {
+    return knowledgeBase ? knowledgeBase.get(className, lang) : null;
+  }
+
+  function verifierRejectDetails(pipelineMode) {
+    return { pipelineMode, savedCalls: pipelineMode === 'gated' ? detectorCalls : 0 };
+  }
+
+  function recordVerification(rejected) {
+    recentVerifications.push(rejected);
+    if (recentVerifications.length > adaptive.windowSize) {
+      recentVerifications.shift();
+    }
+  }
+
+  function recentRejectionRate() {
+    if (recentVerifications.length < adaptive.minSamples) return null;
+    return recentVerifications.filter(Boolean).length / recentVerifications.length;
+  }
+
+  // Mode for one detection; the budget's gated level overrides the configured mode
+  function resolveMode(budgetLevel) {
+    if (mode === 'gated' || budgetLevel === 'gated') return 'gated';
+
+    if (mode === 'adaptive') {
+      const rate = recentRejectionRate();
+      return rate !== null && rate >= adaptive.threshold ? 'gated' : 'parallel';
+    }
+
+    return 'parallel';
+  }
+
+  async function refuseForBudget(status, { ip, userAgent, label, startTime }) {
+    console.warn(`[${label}] API budget level "${status.level}" - detection refused`);
+    await db.logDetection(ip, null, null, Date.now() - startTime, false, `API budget: ${status.level}`, userAgent);
+    metrics.recordDetection('rejected', `budget_${status.level}`);
+
+    return {
+      status: 503,
+      body: {
+        ...message(budgetMessageCode(status)),
+        type: 'api_limit_error'
+      }
+    };
+  }
+
+  async function rejectForQuality({ issues, measurements }, { ip, userAgent, label, startTime, capture }) {
+    const [issue] = issues;
+    console.warn(`[${label}] Image quality too low (${issues.join(', ')}) - detection refused`);
+    await db.logDetection(ip, null, null, Date.now() - startTime, false, `Image quality: ${issues.join(', ')}`, userAgent, {
+      qualityIssue: issue,
+      ...capture
+    });
+    metrics.recordDetection('rejected', `quality_${issue}`);
+
+    return {
+      status: 400,
+      body: {
+        ...message(`quality_${issue}`),
+        type: 'quality_error',
+        quality: { issues, measurements }
+      }
+    };
+  }
+
+  async function runDetection(file, client = {}) {
+    const startTime = Date.now();
+    const { ip, userAgent = null, lang = DEFAULT_LANGUAGE } = client;
+    const label = client.label || 'detect';
+    const onStage = client.onStage || (() => {});
+    let runMode = null;
+    let capture = {}; // { location, capturedAt } for the detection log
+
+    try {
+      const budgetStatus = budget ? await budget.getStatus() : null;
+      const budgetLevel = budgetStatus ? budgetStatus.level : 'normal';
+
+      if (budgetLevel === 'reject') {
+        return refuseForBudget(budgetStatus, { ip, userAgent, label, startTime });
+      }
+
+      // Read location and capture time before optimization strips the metadata
+      onStage('optimizing');
+      const captured = await readCaptureMetadata(file.buffer, { defaultOffset: exifTimezone });
+      capture = { location: client.location || captured.location, capturedAt: captured.capturedAt };
+
+      // Turn away photos the models could not read before paying for the calls
+      const assessment = quality ? await quality.analyze(file.buffer) : null;
+      if (assessment && !assessment.ok) {
+        return rejectForQuality(assessment, { ip, userAgent, label, startTime, capture });
+      }
+
+      // Optimize image
+      const optimizationStart = Date.now();
+      const optimizedBuffer = await optimizeImage(file.buffer, imageMaxDimension);
+      const base64Image = optimizedBuffer.toString('base64');
+      metrics.observeOptimization((Date.now() - optimizationStart) / 1000);
+      console.log(`[${label}] Optimized in ${Date.now() - optimizationStart}ms (${(optimizedBuffer.length / 1024).toFixed(2)} KB)`);
+
+      // Serve repeat images from the cache without calling the models
+      const cacheKey = cache ? await computeImageHash(optimizedBuffer).catch(() => null) : null;
+      const cachedEntry = cacheKey ? cache.get(cacheKey) : null;
+
+      if (cachedEntry) {
+        const processingTime = Date.now() - startTime;
+        await db.logDetection(ip, cachedEntry.disease, cachedEntry.confidence, processingTime, true, null, userAgent, {
+          cached: true,
+          severity: cachedEntry.result.severity,
+          ...capture
+        });
+        metrics.recordDetection('cached');
+        console.log(`[${label}] ✓ Served cached result in ${processingTime}ms`);
+
+        // A new detection with the cached prediction, shareable under its own ID
+        const resultId = generateResultId();
+        const cachedResult = {
+          id: resultId,
+          ...cachedEntry.result,
+          timestamp: new Date().toISOString(),
+          processingTime,
+          cached: true
+        };
+        await db.saveResult(resultId, {
+          ...cachedResult,
+          thumbnail: await createThumbnail(optimizedBuffer)
+        });
+
+        return {
+          status: 200,
+          body: {
+            ...cachedResult,
+            imageData: `data:${file.mimetype};base64,${base64Image}`,
+            diseaseInfo: await lookupDisease(cachedResult.model2.class, lang)
+          }
+        };
+      }
+
+      if (budgetLevel === 'cache_only') {
+        return refuseForBudget(budgetStatus, { ip, userAgent, label, startTime });
+      }
+
+      // Check model configuration
+      if (!models.models.every(model => inference.isConfigured(model))) {
+        console.error(`Models not configured for inference provider "${inference.name}"`);
+        metrics.recordDetection('error', 'not_configured');
+        return {
+          status: 503,
+          body: message('service_unavailable')
+        };
+      }
+
+      onStage('verifying');
+      const apiCallStart = Date.now();
+      let verifierResults;
+      let detectorResults = null;
+
+      runMode = resolveMode(budgetLevel);
+
+      if (runMode === 'gated') {
+        // Spend the detector calls only on images the verifiers accept
+        console.log(`[${label}] Calling verifier first (gated)...`);
+        verifierResults = await callRole('verifier', base64Image);
+      } else {
+        // Call every model in parallel
+        console.log(`[${label}] Calling all ${models.callsPerImage} models in parallel...`);
+        [verifierResults, detectorResults] = await Promise.all([
+          callRole('verifier', base64Image),
+          callDetectors(base64Image)
+        ]);
+      }
+
+      console.log(`[${label}] API calls completed in ${Date.now() - apiCallStart}ms`);
+
+      // Validate verifier results
+      const verification = combineResults(verifierResults, models.strategyFor('verifier'));
+
+      if (!verification) {
+        recordVerification(true);
+        await db.logDetection(ip, null, null, Date.now() - startTime, false, 'No predictions from model 1', userAgent, { ...verifierRejectDetails(runMode), ...capture });
+        metrics.recordDetection('rejected', 'no_verifier_predictions');
+        return {
+          status: 400,
+          body: message('unable_to_analyze')
+        };
+      }
+
+      const predictedClass = verification.class.toLowerCase();
+      const confidence1 = verification.confidence;
+
+      // Validate calamansi detection
+      const threshold1 = verification.threshold;
+      const isNotCalamansi = predictedClass.includes('not') ||
+                             predictedClass === 'not calamansi' ||
+                             predictedClass === 'not-calamansi' ||
+                             predictedClass === 'not_calamansi';
+
+      if (isNotCalamansi && confidence1 > 0.70) {
+        recordVerification(true);
+        await db.logDetection(ip, null, confidence1, Date.now() - startTime, false, 'Not calamansi detected', userAgent, { ...verifierRejectDetails(runMode), ...capture });
+        metrics.recordDetection('rejected', 'not_calamansi');
+        return {
+          status: 400,
+          body: {
+            ...message('not_calamansi', { confidence: (confidence1 * 100).toFixed(2) }),
+            type: 'validation_error'
+          }
+        };
+      }
+
+      if (!isNotCalamansi && confidence1 < threshold1) {
+        recordVerification(true);
+        await db.logDetection(ip, predictedClass, confidence1, Date.now() - startTime, false, 'Low confidence', userAgent, { ...verifierRejectDetails(runMode), ...capture });
+        metrics.recordDetection('rejected', 'low_verification_confidence');
+        return {
+          status: 400,
+          body: {
+            ...message('low_verification_confidence', { confidence: (confidence1 * 100).toFixed(2) }),
+            type: 'validation_error'
+          }
+        };
+      }
+
+      recordVerification(false);
+
+      // Validate disease results
+      onStage('diagnosing');
+      if (!detectorResults) {
+        detectorResults = await callDetectors(base64Image);
+      }
+
+      const [diseaseResults, pestResults, partResults] = detectorResults;
+      const diagnosis = combineResults(diseaseResults, models.strategyFor('disease'));
+
+      if (!diagnosis) {
+        await db.logDetection(ip, predictedClass, confidence1, Date.now() - startTime, false, 'No disease predictions', userAgent, { pipelineMode: runMode, ...capture });
+        metrics.recordDetection('rejected', 'no_disease_predictions');
+        return {
+          status: 400,
+          body: message('no_disease_signs')
+        };
+      }
+
+      if (diagnosis.confidence < diagnosis.threshold) {
+        await db.logDetection(ip, diagnosis.class, diagnosis.confidence, Date.now() - startTime, false, 'Low disease confidence', userAgent, { pipelineMode: runMode, ...capture });
+        metrics.recordDetection('rejected', 'low_disease_confidence');
+        return {
+          status: 400,
+          body: {
+            ...message('low_detection_confidence', { confidence: (diagnosis.confidence * 100).toFixed(2) }),
+            type: 'validation_error'
+          }
+        };
+      }
+
+      // Prepare response
+      const topDiseasePrediction = diagnosis.prediction;
+      const diseaseImage = diseaseResults.map(result => result.data.image).find(Boolean) || {};
+      const severityGrade = severity
+        ? severity.grade({
+            className: diagnosis.class,
+            predictions: diagnosis.predictions,
+            width: diseaseImage.width,
+            height: diseaseImage.height,
+            minConfidence: diagnosis.threshold
+          })
+        : null;
+      const processingTime = Date.now() - startTime;
+      const resultId = generateResultId();
+      const responseData = {
+        id: resultId,
+        model1: {
+          class: predictedClass,
+          confidence: parseFloat((confidence1 * 100).toFixed(2))
+        },
+        model2: {
+          class: diagnosis.class.toLowerCase(),
+          confidence: parseFloat((diagnosis.confidence * 100).toFixed(2)),
+          boundingBox: {
+            x: topDiseasePrediction.x,
+            y: topDiseasePrediction.y,
+            width: topDiseasePrediction.width,
+            height: topDiseasePrediction.height
+          }
+        },
+        imageData: `data:${file.mimetype};base64,${base64Image}`,
+        imageWidth: diseaseImage.width,
+        imageHeight: diseaseImage.height,
+        allPredictions: diagnosis.predictions.slice(0, 5).map(p => ({
+          class: p.class,
+          confidence: parseFloat((p.confidence * 100).toFixed(2)),
+          x: p.x,
+          y: p.y,
+          width: p.width,
+          height: p.height
+        })),
+        severity: severityGrade,
+        pest: summarizeOptional(pestResults, 'pest'),
+        plantPart: summarizeOptional(partResults, 'part'),
+        ensemble: {
+          verifier: summarizeEnsemble(verification, 'verifier'),
+          disease: summarizeEnsemble(diagnosis, 'disease')
+        },
+        diseaseInfo: await lookupDisease(diagnosis.class, lang),
+        timestamp: new Date().toISOString(),
+        processingTime,
+        cached: false
+      };
+
+      // Persist a shareable copy with a thumbnail instead of the full image;
+      // diseaseInfo is looked up when served so knowledge base edits apply
+      const { imageData, diseaseInfo, ...storedResult } = responseData;
+      await db.saveResult(resultId, {
+        ...storedResult,
+        thumbnail: await createThumbnail(optimizedBuffer)
+      });
+
+      if (cacheKey) {
+        cache.set(cacheKey, {
+          result: predictionOf(storedResult),
+          disease: diagnosis.class,
+          confidence: diagnosis.confidence
+        });
+      }
+
+      // Log successful detection
+      await db.logDetection(
+        ip,
+        diagnosis.class,
+        diagnosis.confidence,
+        processingTime,
+        true,
+        null,
+        userAgent,
+        { pipelineMode: runMode, severity: severityGrade, ...capture }
+      );
+
+      metrics.recordDetection('success');
+      console.log(`[${label}] ✓ Detection completed in ${processingTime}ms`);
+
+      return { status: 200, body: responseData };
+
+    } catch (error) {
+      console.error(`[${label}] Detection error:`, error.message);
+      metrics.recordDetection('error', classifyError(error));
+
+      // Log failed detection
+      await db.logDetection(
+        ip,
+        null,
+        null,
+        Date.now() - startTime,
+        false,
+        error.message,
+        userAgent,
+        { pipelineMode: runMode, ...capture }
+      );
+
+      return {
+        status: 500,
+        body: {
+          ...message(errorCode(error)),
+          type: 'server_error'
+        }
+      };
+    }
+  }
+
+  /**
+   * Configured mode, the mode a detection would use now (before budget gating)
+   * and the rejection rate adaptive mode decides on
+   */
+  function getModeState() {
+    const rate = recentRejectionRate();
+
+    return {
+      mode,
+      current: resolveMode('normal'),
+      recentRejectionRate: rate !== null ? parseFloat(rate.toFixed(4)) : null,
+      samples: recentVerifications.length,
+      minSamples: adaptive.minSamples,
+      windowSize: adaptive.windowSize,
+      threshold: adaptive.threshold
+    };
+  }
+
+  /**
+   * Breaker state per model id: { state, failures, openedAt, retryAt }
+   */
+  function getCircuitState() {
+    const states = {};
+    breakers.forEach((breaker, id) => {
+      states[id] = breaker.getState();
+    });
+    return states;
+  }
+
+  return {
+    runDetection,
+    getCircuitState,
+    getModeState
+  };
+}
+
+module.exports = {
+  optimizeImage,
+  createThumbnail,
+  generateResultId,
+  errorCode,
+  RESULT_ID_PATTERN,
+  PIPELINE_MODES,
+  createDetectionPipeline
+};
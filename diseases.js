@@ -0,0 +1,290 @@
+const Joi = require('joi');
+const { DEFAULT_LANGUAGE, LANGUAGES, diseaseTranslations } = require('./i18n');
+
+// ============= DISEASE KNOWLEDGE BASE =============
+//
+// Structured entries per detection class, stored in the diseases table so admins
+// can edit them without a frontend deploy. Served by GET /api/diseases and
+// embedded as `diseaseInfo` in detection responses. Classes are matched
+// case-insensitively; the defaults below seed an empty table. Entries carry
+// `translations` of their text fields per language (defaults from locales/), and
+// are served in the request's language with English filling any gaps.
+
+const SEVERITIES = ['none', 'low', 'moderate', 'high', 'critical'];
+const SPREAD_RISKS = ['none', 'low', 'moderate', 'high'];
+
+const TRANSLATED_FIELDS = ['name', 'description', 'symptoms', 'cause', 'treatment', 'prevention'];
+
+const translationSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().trim().max(2000),
+  symptoms: Joi.array().items(Joi.string().trim().max(300)).max(20),
+  cause: Joi.string().trim().max(1000).allow(''),
+  treatment: Joi.array().items(Joi.string().trim().max(500)).max(20),
+  prevention: Joi.array().items(Joi.string().trim().max(300)).max(20)
+});
+
+const diseaseSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().trim().max(2000).required(),
+  symptoms: Joi.array().items(Joi.string().trim().max(300)).max(20).default([]),
+  cause: Joi.string().trim().max(1000).allow('').default(''),
+  severity: Joi.string().valid(...SEVERITIES).required(),
+  treatment: Joi.array().items(Joi.string().trim().max(500)).max(20).default([]),
+  prevention: Joi.array().items(Joi.string().trim().max(300)).max(20).default([]),
+  spreadRisk: Joi.string().valid(...SPREAD_RISKS).required(),
+  referenceImages: Joi.array().items(Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    caption: Joi.string().trim().max(200).allow('').default('')
+  })).max(10).default([]),
+  translations: Joi.object(
+    Object.fromEntries(Object.keys(LANGUAGES)
+      .filter(lang => lang !== DEFAULT_LANGUAGE)
+      .map(lang => [lang, translationSchema]))
+  ).default({})
+});
+
+const DEFAULT_DISEASES = {
+  'black spot': {
+    name: 'Black Spot Disease',
+    description: 'Black spot is a fungal disease that causes dark spots on leaves and fruits. It thrives in warm, humid conditions.',
+    symptoms: [
+      'Small, dark brown to black spots on the fruit rind',
+      'Spots may have a reddish or tan halo',
+      'Sunken lesions on mature fruit',
+      'Dark spots on leaves in severe cases'
+    ],
+    cause: 'Fungus (Phyllosticta citricarpa), spread by rain splash and infected leaf litter.',
+    severity: 'moderate',
+    treatment: [
+      'Remove and destroy affected leaves and fruit',
+      'Clear fallen leaf litter from under the tree',
+      'Prune to improve air circulation through the canopy',
+      'Apply a copper-based fungicide, repeating as directed on the label'
+    ],
+    prevention: [
+      'Avoid overhead watering',
+      'Keep the ground under trees free of fallen leaves',
+      'Spray protective fungicide before the rainy season'
+    ],
+    spreadRisk: 'moderate',
+    referenceImages: []
+  },
+  'canker': {
+    name: 'Citrus Canker',
+    description: 'Citrus canker is a bacterial disease causing raised lesions on leaves, stems, and fruit. It spreads rapidly in wet conditions.',
+    symptoms: [
+      'Raised, corky brown lesions on leaves, stems and fruit',
+      'Yellow halo around leaf lesions',
+      'Lesions visible on both sides of the leaf',
+      'Premature leaf and fruit drop'
+    ],
+    cause: 'Bacterium (Xanthomonas citri), spread by wind-driven rain, tools and infected planting material.',
+    severity: 'high',
+    treatment: [
+      'Remove and destroy infected leaves, twigs and fruit',
+      'Disinfect pruning tools between trees',
+      'Apply copper sprays to protect new growth',
+      'Quarantine affected plants and report outbreaks to your local agriculturist'
+    ],
+    prevention: [
+      'Plant certified disease-free seedlings',
+      'Plant windbreaks to reduce wind-driven rain',
+      'Control leaf miners, whose wounds let the bacteria in',
+      'Practice good sanitation in and between farms'
+    ],
+    spreadRisk: 'high',
+    referenceImages: []
+  },
+  'greening': {
+    name: 'Citrus Greening (Huanglongbing)',
+    description: 'Citrus greening is a serious bacterial disease transmitted by psyllids. It causes yellowing of leaves, stunted growth, and bitter fruit.',
+    symptoms: [
+      'Blotchy, uneven yellowing of leaves (asymmetric mottling)',
+      'Small, lopsided fruit that stays partly green',
+      'Bitter, poor-quality juice',
+      'Twig dieback and stunted growth'
+    ],
+    cause: 'Bacterium (Candidatus Liberibacter asiaticus), carried from tree to tree by the Asian citrus psyllid.',
+    severity: 'critical',
+    treatment: [
+      'There is no cure: remove and destroy infected trees promptly',
+      'Control psyllid populations with recommended insecticides',
+      'Inspect neighbouring trees for symptoms',
+      'Report suspected cases to your local agriculturist'
+    ],
+    prevention: [
+      'Plant certified disease-free nursery stock',
+      'Monitor regularly for psyllids on new flush',
+      'Coordinate psyllid control with neighbouring farms'
+    ],
+    spreadRisk: 'high',
+    referenceImages: []
+  },
+  'healthy calamansi': {
+    name: 'Healthy Calamansi',
+    description: 'This calamansi appears healthy with no visible signs of disease.',
+    symptoms: [],
+    cause: '',
+    severity: 'none',
+    treatment: [],
+    prevention: [
+      'Water regularly without waterlogging the soil',
+      'Fertilize according to the growth stage',
+      'Prune to keep the canopy open',
+      'Monitor for early signs of pests or diseases'
+    ],
+    spreadRisk: 'none',
+    referenceImages: []
+  },
+  'scab': {
+    name: 'Citrus Scab',
+    description: 'Citrus scab is a fungal disease causing raised, corky lesions on fruit and leaves. It affects young tissue during wet weather.',
+    symptoms: [
+      'Raised, wart-like corky lesions on fruit',
+      'Distorted, puckered young leaves',
+      'Lesions turn grey or brown as they age'
+    ],
+    cause: 'Fungus (Elsinoë fawcettii), spread by rain splash onto young leaves and fruit.',
+    severity: 'low',
+    treatment: [
+      'Remove infected fruit and badly affected shoots',
+      'Apply copper fungicide during early growth stages',
+      'Repeat sprays while new flush and young fruit are developing'
+    ],
+    prevention: [
+      'Improve drainage around the trees',
+      'Prune to increase air circulation',
+      'Time protective sprays with flushing during wet weather'
+    ],
+    spreadRisk: 'moderate',
+    referenceImages: []
+  },
+  'thrips': {
+    name: 'Thrips Damage',
+    description: 'Thrips are tiny insects that cause silvery streaks, distorted leaves, and scarred fruit. They thrive in hot, dry conditions.',
+    symptoms: [
+      'Silvery or grey streaks and scars on the fruit rind',
+      'Ring-shaped scarring around the stem end of fruit',
+      'Curled, distorted young leaves'
+    ],
+    cause: 'Citrus thrips feeding on young fruit and leaves, most active in hot, dry weather.',
+    severity: 'low',
+    treatment: [
+      'Spray insecticidal soap or neem oil on affected shoots and fruit',
+      'Remove heavily infested plant parts',
+      'Use a recommended insecticide for severe infestations'
+    ],
+    prevention: [
+      'Keep soil moisture steady during dry spells',
+      'Encourage beneficial insects such as predatory mites',
+      'Inspect young fruit regularly after flowering'
+    ],
+    spreadRisk: 'moderate',
+    referenceImages: []
+  }
+};
+
+Object.entries(DEFAULT_DISEASES).forEach(([className, entry]) => {
+  entry.translations = diseaseTranslations(className);
+});
+
+function normalizeClass(className) {
+  return String(className || '').trim().toLowerCase();
+}
+
+/**
+ * Create the knowledge base over the storage contract's disease functions
+ */
+function createKnowledgeBase({ db }) {
+  /**
+   * Seed the defaults into an empty table, and bring entries no admin has edited
+   * up to date with them (e.g. new translations). Never overwrites admin edits.
+   */
+  async function seed() {
+    const seeded = await db.seedDiseases(DEFAULT_DISEASES);
+    if (seeded > 0) {
+      console.log(`📚 Seeded ${seeded} disease knowledge base entries`);
+      return;
+    }
+
+    let refreshed = 0;
+    for (const [className, entry] of Object.entries(DEFAULT_DISEASES)) {
+      const row = await db.getDisease(className);
+      if (!row || row.updated_by !== null) continue;
+
+      const { class: _, updated_by, updated_at, ...stored } = row;
+      if (JSON.stringify(stored) !== JSON.stringify(entry)) {
+        await db.saveDisease(className, entry, null);
+        refreshed++;
+      }
+    }
+
+    if (refreshed > 0) {
+      console.log(`📚 Updated ${refreshed} default disease knowledge base entries`);
+    }
+  }
+
+  // Public form of a stored entry in one language (without who edited it or other translations)
+  function present(row, lang = DEFAULT_LANGUAGE) {
+    if (!row) return null;
+
+    const { updated_by, updated_at, translations = {}, ...entry } = row;
+    const translation = lang !== DEFAULT_LANGUAGE ? translations[lang] : null;
+    const localized = {};
+
+    if (translation) {
+      TRANSLATED_FIELDS.forEach(field => {
+        if (translation[field] !== undefined) localized[field] = translation[field];
+      });
+    }
+
+    return { ...entry, ...localized, lang: translation ? lang : DEFAULT_LANGUAGE, updatedAt: updated_at };
+  }
+
+  async function list(lang) {
+    return (await db.getDiseases()).map(row => present(row, lang));
+  }
+
+  async function get(className, lang) {
+    return present(await db.getDisease(normalizeClass(className)), lang);
+  }
+
+  /**
+   * Stored entry with every translation and its last editor, for admins
+   */
+  async function getRaw(className) {
+    const row = await db.getDisease(normalizeClass(className));
+    if (!row) return null;
+
+    const { updated_by, updated_at, ...entry } = row;
+    return { ...entry, updatedBy: updated_by, updatedAt: updated_at };
+  }
+
+  async function save(className, entry, updatedBy) {
+    return present(await db.saveDisease(normalizeClass(className), entry, updatedBy));
+  }
+
+  function remove(className) {
+    return db.deleteDisease(normalizeClass(className));
+  }
+
+  return {
+    seed,
+    list,
+    get,
+    getRaw,
+    save,
+    remove
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  SPREAD_RISKS,
+  TRANSLATED_FIELDS,
+  DEFAULT_DISEASES,
+  diseaseSchema,
+  normalizeClass,
+  createKnowledgeBase
+};
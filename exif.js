@@ -0,0 +1,183 @@
+const sharp = require('sharp');
+
+// ============= EXIF METADATA =============
+//
+// optimizeImage() re-encodes uploads without metadata, so the GPS position and
+// capture time recorded by the camera are read from the original upload first.
+// sharp only exposes the raw EXIF block; the few tags needed here are read
+// straight from its TIFF structure (IFD0 -> Exif IFD and GPS IFD).
+
+const TAGS = {
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004
+};
+
+// Bytes per value for the TIFF field types we read
+const TYPE_SIZES = {
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  10: 8 // SRATIONAL
+};
+
+const UTC_OFFSET_PATTERN = /^[+-]\d{2}:\d{2}$/;
+
+// Clock skew tolerated before a capture time is treated as bogus
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY = { location: null, capturedAt: null };
+
+// ============= TIFF PARSING =============
+
+function createReader(tiff) {
+  const order = tiff.toString('latin1', 0, 2);
+  if (tiff.length < 8 || (order !== 'II' && order !== 'MM')) {
+    throw new Error('Not a TIFF header');
+  }
+
+  const little = order === 'II';
+  const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const i32 = offset => (little ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset));
+
+  if (u16(2) !== 42) {
+    throw new Error('Bad TIFF magic number');
+  }
+
+  function readValue(type, count, offset) {
+    switch (type) {
+      case 2:
+        return tiff.toString('latin1', offset, offset + count).replace(/\0[\s\S]*$/, '').trim();
+      case 3:
+        return Array.from({ length: count }, (_, i) => u16(offset + i * 2));
+      case 4:
+        return Array.from({ length: count }, (_, i) => u32(offset + i * 4));
+      case 5:
+        return Array.from({ length: count }, (_, i) => u32(offset + i * 8) / u32(offset + i * 8 + 4));
+      case 10:
+        return Array.from({ length: count }, (_, i) => i32(offset + i * 8) / i32(offset + i * 8 + 4));
+      default:
+        return undefined;
+    }
+  }
+
+  // Tag -> value map of one IFD; single numbers are unwrapped from their array.
+  // Entries past the end of a truncated block are left out.
+  function readIFD(offset) {
+    const entries = new Map();
+    if (!Number.isInteger(offset) || offset < 8 || offset + 2 > tiff.length) return entries;
+
+    const count = u16(offset);
+
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) break;
+
+      const type = u16(entry + 2);
+      if (!TYPE_SIZES[type]) continue;
+
+      const valueCount = u32(entry + 4);
+      const size = TYPE_SIZES[type] * valueCount;
+      const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+      if (valueOffset + size > tiff.length) continue;
+
+      const value = readValue(type, valueCount, valueOffset);
+      entries.set(u16(entry), Array.isArray(value) && value.length === 1 ? value[0] : value);
+    }
+
+    return entries;
+  }
+
+  return {
+    root: () => readIFD(u32(4)),
+    readIFD
+  };
+}
+
+// ============= TAG INTERPRETATION =============
+
+// [degrees, minutes, seconds] and an N/S/E/W reference to signed decimal degrees
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3 || !dms.every(Number.isFinite)) return null;
+
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -value : value;
+}
+
+function readLocation(gps) {
+  const latitude = toDecimalDegrees(gps.get(TAGS.GPS_LATITUDE), gps.get(TAGS.GPS_LATITUDE_REF));
+  const longitude = toDecimalDegrees(gps.get(TAGS.GPS_LONGITUDE), gps.get(TAGS.GPS_LONGITUDE_REF));
+
+  if (latitude === null || longitude === null) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  // Phones without a fix write 0,0
+  if (latitude === 0 && longitude === 0) return null;
+
+  return {
+    latitude: parseFloat(latitude.toFixed(6)),
+    longitude: parseFloat(longitude.toFixed(6)),
+    source: 'exif'
+  };
+}
+
+// "YYYY:MM:DD HH:MM:SS" in the camera's local time, or null
+function readCaptureTime(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const time = Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+
+  if (!Number.isFinite(time) || time > Date.now() + MAX_FUTURE_MS) return null;
+  return time;
+}
+
+/**
+ * Location and capture time from a raw EXIF block (as returned by sharp).
+ * Capture times without an OffsetTimeOriginal tag are read in defaultOffset.
+ */
+function parseExif(exif, { defaultOffset = '+00:00' } = {}) {
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  const reader = createReader(tiff);
+
+  const ifd0 = reader.root();
+  const exifIFD = ifd0.has(TAGS.EXIF_IFD) ? reader.readIFD(ifd0.get(TAGS.EXIF_IFD)) : new Map();
+  const gpsIFD = ifd0.has(TAGS.GPS_IFD) ? reader.readIFD(ifd0.get(TAGS.GPS_IFD)) : new Map();
+
+  const recordedOffset = exifIFD.get(TAGS.OFFSET_TIME_ORIGINAL);
+  const offset = UTC_OFFSET_PATTERN.test(recordedOffset || '') ? recordedOffset : defaultOffset;
+
+  return {
+    location: readLocation(gpsIFD),
+    capturedAt: readCaptureTime(exifIFD.get(TAGS.DATE_TIME_ORIGINAL) || ifd0.get(TAGS.DATE_TIME), offset)
+  };
+}
+
+/**
+ * { location: { latitude, longitude, source: 'exif' } | null, capturedAt: epoch ms | null }
+ * for an uploaded image; unreadable metadata yields nulls rather than an error
+ */
+async function readCaptureMetadata(buffer, options = {}) {
+  try {
+    const { exif } = await sharp(buffer).metadata();
+    return exif ? parseExif(exif, options) : EMPTY;
+  } catch (error) {
+    console.warn('EXIF metadata could not be read:', error.message);
+    return EMPTY;
+  }
+}
+
+module.exports = {
+  UTC_OFFSET_PATTERN,
+  parseExif,
+  readCaptureMetadata
+};
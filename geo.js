@@ -0,0 +1,80 @@
+const Joi = require('joi');
+
+// ============= DETECTION LOCATIONS =============
+//
+// A detection's location comes from the manual latitude/longitude fields of the
+// upload form when the user opted in, otherwise from the photo's EXIF GPS tags
+// (see exif.js). Locations are kept with the detection log only: shared
+// results never carry them.
+//
+// For outbreak maps, located detections are counted per disease in square
+// grid cells of cellSize degrees, keyed by floor(coordinate / cellSize).
+
+const DEFAULT_CELL_SIZE = 0.05; // degrees, roughly 5.5 km north-south
+const DEFAULT_GEO_HOURS = 24 * 30;
+
+// Manual location fields accepted alongside an upload (both or neither)
+const locationFields = {
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional()
+};
+
+const geoQuerySchema = Joi.object({
+  hours: Joi.number().integer().min(1).max(24 * 365).default(DEFAULT_GEO_HOURS),
+  cellSize: Joi.number().min(0.001).max(5).default(DEFAULT_CELL_SIZE),
+  disease: Joi.string().trim().lowercase().max(100).optional()
+});
+
+/**
+ * Opted-in location from validated form fields, or null
+ */
+function manualLocation(body = {}) {
+  if (body.latitude === undefined || body.longitude === undefined) return null;
+
+  return {
+    latitude: Number(body.latitude),
+    longitude: Number(body.longitude),
+    source: 'manual'
+  };
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(6));
+}
+
+/**
+ * Grid cells from storage rows ({ disease, lat_cell, lon_cell, count, last_seen })
+ * with their bounds, plus detection totals per disease
+ */
+function summarizeGrid(rows, cellSize) {
+  const totals = {};
+
+  const cells = rows.map(row => {
+    const south = row.lat_cell * cellSize;
+    const west = row.lon_cell * cellSize;
+    totals[row.disease] = (totals[row.disease] || 0) + row.count;
+
+    return {
+      disease: row.disease,
+      count: row.count,
+      lastSeen: new Date(row.last_seen).toISOString(),
+      center: { latitude: round(south + cellSize / 2), longitude: round(west + cellSize / 2) },
+      bounds: {
+        south: round(south),
+        west: round(west),
+        north: round(south + cellSize),
+        east: round(west + cellSize)
+      }
+    };
+  });
+
+  return { cells, totals };
+}
+
+module.exports = {
+  DEFAULT_CELL_SIZE,
+  locationFields,
+  geoQuerySchema,
+  manualLocation,
+  summarizeGrid
+};
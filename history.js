@@ -0,0 +1,169 @@
+// Detection history page: past results from IndexedDB (detection-history.js)
+// with search, a disease filter, notes, deletion and export/import
+
+let historyEntries = [];
+
+const historySearch = document.getElementById('historySearch');
+const diseaseFilter = document.getElementById('diseaseFilter');
+const historyList = document.getElementById('historyList');
+const historySummary = document.getElementById('historySummary');
+const historyEmpty = document.getElementById('historyEmpty');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importInput = document.getElementById('importInput');
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date) ? '' : date.toLocaleString(I18n.lang);
+}
+
+// Disease names seen in the history, keeping the current choice if it is still there
+function renderDiseaseOptions() {
+  const selected = diseaseFilter.value;
+  const diseases = new Map();
+  historyEntries.forEach(entry => diseases.set(entry.disease.toLowerCase(), entry.diseaseName));
+
+  diseaseFilter.length = 1;
+  [...diseases.entries()]
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .forEach(([value, name]) => diseaseFilter.add(new Option(name, value)));
+
+  diseaseFilter.value = diseases.has(selected) ? selected : '';
+}
+
+function matchesFilters(entry) {
+  const disease = diseaseFilter.value;
+  if (disease && entry.disease.toLowerCase() !== disease) return false;
+
+  const query = historySearch.value.trim().toLowerCase();
+  if (!query) return true;
+
+  return [entry.diseaseName, entry.disease, entry.notes, formatDate(entry.timestamp)]
+    .some(text => (text || '').toLowerCase().includes(query));
+}
+
+function historyItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const thumbnail = document.createElement('img');
+  if (entry.thumbnail) thumbnail.src = entry.thumbnail;
+  thumbnail.alt = entry.diseaseName;
+  item.appendChild(thumbnail);
+
+  const details = document.createElement('div');
+  details.className = 'history-details';
+
+  const name = document.createElement('strong');
+  name.textContent = `${entry.diseaseName} — ${entry.confidence}%`;
+  details.appendChild(name);
+
+  const date = document.createElement('small');
+  date.textContent = formatDate(entry.timestamp);
+  details.appendChild(date);
+
+  const notes = document.createElement('textarea');
+  notes.value = entry.notes || '';
+  notes.maxLength = 1000;
+  notes.placeholder = I18n.t('history.notesPlaceholder');
+  notes.setAttribute('aria-label', I18n.t('history.notes'));
+  notes.addEventListener('change', async () => {
+    entry.notes = notes.value;
+    try {
+      await DetectionHistory.setNotes(entry.key, notes.value);
+    } catch (error) {
+      console.error('Failed to save notes:', error);
+    }
+  });
+  details.appendChild(notes);
+  item.appendChild(details);
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+
+  const open = document.createElement('a');
+  open.href = `./result.html?history=${entry.key}`;
+  open.textContent = I18n.t('history.open');
+  actions.appendChild(open);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.textContent = I18n.t('history.delete');
+  remove.addEventListener('click', async () => {
+    if (!confirm(I18n.t('history.confirmDelete'))) return;
+
+    await DetectionHistory.remove(entry.key);
+    historyEntries = historyEntries.filter(other => other.key !== entry.key);
+    renderDiseaseOptions();
+    renderHistory();
+  });
+  actions.appendChild(remove);
+  item.appendChild(actions);
+
+  return item;
+}
+
+function renderHistory() {
+  const shown = historyEntries.filter(matchesFilters);
+
+  historyList.innerHTML = '';
+  shown.forEach(entry => historyList.appendChild(historyItem(entry)));
+
+  historySummary.textContent = historyEntries.length > 0
+    ? I18n.t('history.count', { shown: shown.length, total: historyEntries.length })
+    : '';
+
+  historyEmpty.textContent = I18n.t(historyEntries.length === 0 ? 'history.empty' : 'history.noMatches');
+  historyEmpty.hidden = shown.length > 0;
+  exportBtn.disabled = historyEntries.length === 0;
+}
+
+async function loadHistory() {
+  try {
+    historyEntries = await DetectionHistory.list();
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    historyEntries = [];
+  }
+
+  renderDiseaseOptions();
+  renderHistory();
+}
+
+async function exportHistory() {
+  const blob = await DetectionHistory.exportFile();
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `cali-ai-history-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function importHistory() {
+  const file = importInput.files[0];
+  importInput.value = '';
+  if (!file) return;
+
+  try {
+    const { imported, skipped } = await DetectionHistory.importFile(file);
+    alert(I18n.t('history.imported', { imported, skipped }));
+  } catch (error) {
+    console.error('Import failed:', error);
+    alert(I18n.t('history.importFailed'));
+  }
+
+  await loadHistory();
+}
+
+historySearch.addEventListener('input', renderHistory);
+diseaseFilter.addEventListener('change', renderHistory);
+exportBtn.addEventListener('click', exportHistory);
+importBtn.addEventListener('click', () => importInput.click());
+importInput.addEventListener('change', importHistory);
+
+I18n.ready.then(loadHistory);
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============= LOCALIZATION =============
+//
+// Message catalogs live in locales/<lang>.json:
+//
+//   server   - API error messages, keyed by the `code` sent alongside `error`
+//   ui       - frontend strings, served by GET /api/i18n
+//   diseases - translated knowledge base guidance, keyed by class (see diseases.js)
+//
+// A request's language comes from ?lang=, then the `lang` cookie set by the
+// language toggle, then Accept-Language. Missing keys fall back to English.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: 'English',
+  tl: 'Tagalog',
+  ceb: 'Cebuano',
+  ilo: 'Ilocano'
+};
+
+// Accept-Language tags that map onto a supported language
+const ALIASES = {
+  fil: 'tl',
+  tgl: 'tl',
+  eng: 'en',
+  bis: 'ceb'
+};
+
+const catalogs = Object.fromEntries(Object.keys(LANGUAGES).map(lang => [
+  lang,
+  JSON.parse(fs.readFileSync(path.join(__dirname, 'locales', `${lang}.json`), 'utf8'))
+]));
+
+/**
+ * Supported language for a tag like "tl-PH" or "fil", or null
+ */
+function matchLanguage(tag) {
+  const primary = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  const lang = ALIASES[primary] || primary;
+  return LANGUAGES[lang] ? lang : null;
+}
+
+/**
+ * Best supported language in an Accept-Language header, or null
+ */
+function parseAcceptLanguage(header) {
+  const ranked = String(header || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, q: q ? parseFloat(q.slice(2)) : 1 };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of ranked) {
+    const lang = matchLanguage(tag);
+    if (lang) return lang;
+  }
+
+  return null;
+}
+
+function cookieLanguage(header) {
+  const cookie = String(header || '').split(';').map(part => part.trim()).find(part => part.startsWith('lang='));
+  return cookie ? matchLanguage(decodeURIComponent(cookie.slice(5))) : null;
+}
+
+/**
+ * Language for a request: ?lang=, the lang cookie, Accept-Language, then English
+ */
+function negotiateLanguage(req) {
+  return matchLanguage(req.query && req.query.lang) ||
+    cookieLanguage(req.get('cookie')) ||
+    parseAcceptLanguage(req.get('accept-language')) ||
+    DEFAULT_LANGUAGE;
+}
+
+function interpolate(text, params = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Server message `key` in `lang`, with {placeholders} filled from params
+ */
+function t(lang, key, params) {
+  const catalog = (catalogs[lang] || catalogs[DEFAULT_LANGUAGE]).server;
+  const text = catalog[key] || catalogs[DEFAULT_LANGUAGE].server[key];
+  return text ? interpolate(text, params) : key;
+}
+
+/**
+ * Error body for a message: { error, code, params? }. `code` is stable across
+ * languages, so stored bodies (jobs, batches) can be re-localized with localizeError().
+ */
+function message(code, params, lang = DEFAULT_LANGUAGE) {
+  return {
+    error: t(lang, code, params),
+    code,
+    ...(params ? { params } : {})
+  };
+}
+
+/**
+ * A response body with its `error` translated by `code`; bodies without one are returned as is
+ */
+function localizeError(body, lang) {
+  if (!body || !body.code || !catalogs[DEFAULT_LANGUAGE].server[body.code]) {
+    return body;
+  }
+
+  return { ...body, error: t(lang, body.code, body.params) };
+}
+
+/**
+ * Frontend catalog for a language, English filling any gaps
+ */
+function uiMessages(lang) {
+  return {
+    ...catalogs[DEFAULT_LANGUAGE].ui,
+    ...(catalogs[lang] ? catalogs[lang].ui : {})
+  };
+}
+
+/**
+ * Translated knowledge base fields for a class: { lang: { name, description, ... } }
+ */
+function diseaseTranslations(className) {
+  const translations = {};
+
+  Object.entries(catalogs).forEach(([lang, catalog]) => {
+    if (catalog.diseases && catalog.diseases[className]) {
+      translations[lang] = catalog.diseases[className];
+    }
+  });
+
+  return translations;
+}
+
+/**
+ * Express middleware: sets req.lang and req.message(code, params) in that language
+ */
+function middleware(req, res, next) {
+  req.lang = negotiateLanguage(req);
+  req.message = (code, params) => message(code, params, req.lang);
+
+  res.set('Content-Language', req.lang);
+  res.vary('Accept-Language');
+  res.vary('Cookie');
+  next();
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  matchLanguage,
+  parseAcceptLanguage,
+  negotiateLanguage,
+  t,
+  message,
+  localizeError,
+  uiMessages,
+  diseaseTranslations,
+  middleware
+};
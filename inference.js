@@ -0,0 +1,210 @@
+const axios = require('axios');
+const sharp = require('sharp');
+
+// ============= PROVIDER INTERFACE =============
+//
+// The detection pipeline talks to "a detector", never to a vendor API directly.
+// A provider is a plain object with:
+//
+//   name                                  - identifier shown in logs and /api/admin/health
+//   isConfigured(model)                   - true when `model` can be called
+//   predict(model, base64Image, options)  - resolves to a Roboflow-style result:
+//                                           { predictions: [{ class, confidence, x, y, width, height }],
+//                                             image: { width, height } }
+//
+// A model descriptor is a models.js registry entry: { id, role, url, ... }. `role`
+// is 'verifier' (calamansi check), 'disease', 'pest' or 'part' (leaf vs fruit).
+
+// ============= ROBOFLOW PROVIDER =============
+
+function createRoboflowProvider(options = {}) {
+  const apiKey = options.apiKey;
+
+  return {
+    name: 'roboflow',
+
+    isConfigured(model) {
+      return !!apiKey && !!(model && model.url);
+    },
+
+    async predict(model, base64Image, { timeout = 20000 } = {}) {
+      if (!apiKey) {
+        throw new Error('API key not configured');
+      }
+
+      if (!model || !model.url) {
+        throw new Error('Model URL not configured');
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await axios.post(
+          `${model.url}?api_key=${apiKey}`,
+          base64Image,
+          {
+            headers: {
+              'Content-Type': 'application/x-www-form-urlencoded',
+              'Accept-Encoding': 'gzip, deflate'
+            },
+            signal: controller.signal,
+            timeout: timeout,
+            validateStatus: function (status) {
+              return status < 600;
+            }
+          }
+        );
+
+        clearTimeout(timeoutId);
+
+        if (response.status !== 200) {
+          throw new Error(`HTTP ${response.status}: ${JSON.stringify(response.data)}`);
+        }
+
+        return response.data;
+
+      } catch (error) {
+        clearTimeout(timeoutId);
+
+        if (error.code === 'ECONNABORTED' || error.name === 'AbortError') {
+          throw new Error('Request timeout');
+        }
+
+        if (error.code === 'ENOTFOUND') {
+          throw new Error('DNS lookup failed');
+        }
+
+        if (error.code === 'ECONNREFUSED') {
+          throw new Error('Connection refused');
+        }
+
+        if (error.response) {
+          const status = error.response.status;
+          if (status === 429) throw new Error('API rate limit exceeded');
+          if (status === 401 || status === 403) throw new Error('Authentication failed');
+          if (status === 400) throw new Error('Invalid image data');
+          throw new Error(`API request failed with status ${status}`);
+        }
+
+        throw new Error('Network error - ' + error.message);
+      }
+    }
+  };
+}
+
+// ============= MOCK PROVIDER =============
+
+/**
+ * Offline provider returning canned predictions sized to the uploaded image,
+ * so the full upload-to-result flow runs without a network or an API key.
+ */
+function createMockProvider(options = {}) {
+  const verifierClass = options.verifierClass || 'calamansi';
+  const diseaseClass = options.diseaseClass || 'canker';
+  const partClass = options.partClass || 'fruit';
+  const latencyMs = options.latencyMs || 0;
+
+  return {
+    name: 'mock',
+
+    isConfigured() {
+      return true;
+    },
+
+    async predict(model, base64Image) {
+      let width = 1024;
+      let height = 1024;
+
+      try {
+        const metadata = await sharp(Buffer.from(base64Image, 'base64')).metadata();
+        width = metadata.width || width;
+        height = metadata.height || height;
+      } catch (error) {
+        throw new Error('Invalid image data');
+      }
+
+      if (latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+      }
+
+      if (model.role === 'verifier') {
+        return {
+          image: { width, height },
+          predictions: [
+            {
+              class: verifierClass,
+              confidence: 0.97,
+              x: width / 2,
+              y: height / 2,
+              width: width * 0.8,
+              height: height * 0.8
+            }
+          ]
+        };
+      }
+
+      if (model.role === 'part') {
+        return {
+          image: { width, height },
+          predictions: [
+            { class: partClass, confidence: 0.93, x: width / 2, y: height / 2, width, height }
+          ]
+        };
+      }
+
+      // No pests in the canned image
+      if (model.role === 'pest') {
+        return { image: { width, height }, predictions: [] };
+      }
+
+      return {
+        image: { width, height },
+        predictions: [
+          {
+            class: diseaseClass,
+            confidence: 0.91,
+            x: width * 0.4,
+            y: height * 0.45,
+            width: width * 0.2,
+            height: height * 0.18
+          },
+          {
+            class: diseaseClass,
+            confidence: 0.78,
+            x: width * 0.65,
+            y: height * 0.6,
+            width: width * 0.12,
+            height: height * 0.1
+          }
+        ]
+      };
+    }
+  };
+}
+
+// ============= FACTORY =============
+
+const providers = {
+  roboflow: createRoboflowProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Create the inference provider selected by name (INFERENCE_PROVIDER)
+ */
+function createInferenceProvider(name = 'roboflow', options = {}) {
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown inference provider: ${name} (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  createInferenceProvider,
+  createRoboflowProvider,
+  createMockProvider
+};
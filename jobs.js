@@ -0,0 +1,223 @@
+const { EventEmitter } = require('events');
+const { generateResultId, errorCode } = require('./detection');
+const { message } = require('./i18n');
+
+// ============= ASYNCHRONOUS DETECTION JOBS =============
+//
+// Jobs are persisted through the storage contract (status queued -> running ->
+// completed/failed) and worked off in submission order. Running jobs occupy a
+// slot in the shared activeUploads map, so synchronous /api/detect requests and
+// the queue never exceed MAX_CONCURRENT_UPLOADS together. Jobs left queued or
+// running when the process stopped are picked up again by resume().
+
+const RETRY_DELAY_MS = 1000;
+
+/**
+ * Create the bounded job queue in front of the detection pipeline
+ */
+function createJobQueue({ db, pipeline, activeUploads, maxConcurrent, concurrency = 2, maxQueueSize = 50 }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const queued = []; // job IDs waiting to run, oldest first
+  let running = 0;
+  let retryTimer = null;
+
+  function publish(id, event) {
+    events.emit(id, event);
+  }
+
+  function position(id) {
+    const index = queued.indexOf(id);
+    return index === -1 ? null : index + 1;
+  }
+
+  function publishPositions() {
+    queued.forEach((id, index) => {
+      if (events.listenerCount(id) > 0) {
+        publish(id, { status: 'queued', stage: 'queued', position: index + 1 });
+      }
+    });
+  }
+
+  async function run(id) {
+    const slot = `job-${id}`;
+    running++;
+    activeUploads.set(slot, true);
+
+    // Stage writes run in order and finish before the outcome is stored
+    let stageWrites = Promise.resolve();
+
+    try {
+      const job = await db.getJob(id);
+      if (!job || !job.image) {
+        return;
+      }
+
+      const file = {
+        buffer: Buffer.from(job.image, 'base64'),
+        mimetype: job.mimetype,
+        originalname: job.filename
+      };
+
+      console.log(`\n[${slot}] Processing queued job from ${job.ip}: ${job.filename}`);
+
+      const outcome = await pipeline.runDetection(file, {
+        ip: job.ip,
+        userAgent: job.user_agent,
+        label: slot,
+        location: job.location,
+        onStage: (stage) => {
+          stageWrites = stageWrites
+            .then(() => db.updateJobStage(id, stage))
+            .catch(error => console.error(`[${slot}] Failed to record stage ${stage}:`, error.message));
+          publish(id, { status: 'running', stage });
+        }
+      });
+
+      // The full-size image is not kept; clients already hold their upload
+      const { imageData, ...body } = outcome.body;
+      const status = outcome.status === 200 ? 'completed' : 'failed';
+      const result = { status: outcome.status, body };
+
+      await stageWrites;
+      await db.completeJob(id, status, result);
+      publish(id, { status, stage: status, result });
+
+    } catch (error) {
+      console.error(`[${slot}] Job error:`, error.message);
+
+      const result = {
+        status: 500,
+        body: { ...message(errorCode(error)), type: 'server_error' }
+      };
+
+      // Subscribers still hear the failure when it cannot be stored
+      try {
+        await stageWrites;
+        await db.completeJob(id, 'failed', result);
+      } catch (storeError) {
+        console.error(`[${slot}] Failed to record job failure:`, storeError.message);
+      }
+      publish(id, { status: 'failed', stage: 'failed', result });
+
+    } finally {
+      running--;
+      activeUploads.delete(slot);
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && queued.length > 0) {
+      // Wait for capacity shared with synchronous requests
+      if (activeUploads.size >= maxConcurrent) {
+        if (!retryTimer) {
+          retryTimer = setTimeout(() => {
+            retryTimer = null;
+            drain();
+          }, RETRY_DELAY_MS);
+        }
+        return;
+      }
+
+      const id = queued.shift();
+      run(id).catch(error => console.error(`[job-${id}] Unhandled job error:`, error.message));
+      publishPositions();
+    }
+  }
+
+  /**
+   * Re-queue jobs persisted by a previous process
+   */
+  async function resume() {
+    const pending = await db.getPendingJobs();
+    pending.forEach(id => {
+      if (!queued.includes(id)) queued.push(id);
+    });
+
+    if (pending.length > 0) {
+      console.log(`📋 Resumed ${pending.length} pending detection jobs`);
+    }
+
+    drain();
+  }
+
+  /**
+   * Persist and enqueue an uploaded file with its client { ip, userAgent, location }.
+   * Resolves to null when the queue is full.
+   */
+  async function submit(file, client = {}) {
+    if (queued.length >= maxQueueSize) {
+      return null;
+    }
+
+    const id = generateResultId();
+    const created = await db.createJob({
+      id,
+      ip: client.ip,
+      userAgent: client.userAgent || null,
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      image: file.buffer.toString('base64'),
+      location: client.location || null
+    });
+
+    if (!created) {
+      throw new Error('Failed to persist detection job');
+    }
+
+    queued.push(id);
+    drain();
+
+    // null position means a worker already picked the job up
+    return { id, position: position(id) };
+  }
+
+  /**
+   * Public view of a job: status, stage, queue position and final result
+   */
+  async function get(id) {
+    const job = await db.getJob(id);
+    if (!job) return null;
+
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      position: position(id),
+      createdAt: new Date(job.timestamp).toISOString(),
+      updatedAt: new Date(job.updated_at).toISOString(),
+      result: job.result
+    };
+  }
+
+  /**
+   * Listen for progress events of one job; returns an unsubscribe function
+   */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  function getStats() {
+    return {
+      queued: queued.length,
+      running,
+      concurrency,
+      maxQueueSize
+    };
+  }
+
+  return {
+    resume,
+    submit,
+    get,
+    subscribe,
+    getStats
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,100 @@
+// ============= LOCALIZATION =============
+//
+// Loads the UI catalog from GET /api/i18n (the server picks the language from the
+// `lang` cookie or Accept-Language), translates elements marked with
+// data-i18n="key" (text) or data-i18n-attr="attribute:key;..." and fills the
+// #languageSelect toggle. The last catalog is kept in localStorage for offline use.
+
+const I18n = (function() {
+  const CACHE_KEY = 'i18nCatalog';
+  let state = { lang: 'en', languages: { en: 'English' }, messages: {} };
+
+  function t(key, params = {}) {
+    const text = state.messages[key];
+    if (text === undefined) return key;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  function has(key) {
+    return state.messages[key] !== undefined;
+  }
+
+  // Elements keep their built-in English text for keys the catalog lacks
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      if (has(el.dataset.i18n)) el.textContent = t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && has(key)) el.setAttribute(attribute, t(key));
+      });
+    });
+
+    document.documentElement.lang = state.lang;
+  }
+
+  function setupSwitcher() {
+    const select = document.getElementById('languageSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    Object.entries(state.languages).forEach(([code, name]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      option.selected = code === state.lang;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => setLanguage(select.value));
+  }
+
+  // Remember the choice for the server too, then reload to re-render every string
+  function setLanguage(lang) {
+    document.cookie = `lang=${encodeURIComponent(lang)}; path=/; max-age=31536000; SameSite=Lax`;
+    localStorage.removeItem(CACHE_KEY);
+    window.location.reload();
+  }
+
+  async function load() {
+    try {
+      const response = await fetch(`${window.location.origin}/api/i18n`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      state = await response.json();
+      localStorage.setItem(CACHE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.error('Failed to load translations:', error);
+
+      const cached = localStorage.getItem(CACHE_KEY);
+      if (cached) state = JSON.parse(cached);
+    }
+
+    apply();
+    setupSwitcher();
+  }
+
+  const ready = new Promise(resolve => {
+    const start = () => load().then(resolve);
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', start);
+    } else {
+      start();
+    }
+  });
+
+  return {
+    t,
+    has,
+    apply,
+    ready,
+    setLanguage,
+    get lang() {
+      return state.lang;
+    }
+  };
+})();
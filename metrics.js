@@ -0,0 +1,161 @@
+const client = require('prom-client');
+
+// ============= PROMETHEUS METRICS =============
+//
+// Served by GET /metrics in the Prometheus text format. Modules record through
+// the small interface returned by createMetrics(); nullMetrics has the same
+// methods as no-ops for code running without a registry.
+
+// Inference error messages (see inference.js) mapped to a bounded label set
+const ERROR_CLASSES = [
+  ['Request timeout', 'timeout'],
+  ['API rate limit exceeded', 'rate_limited'],
+  ['Authentication failed', 'auth'],
+  ['Invalid image data', 'invalid_image'],
+  ['DNS lookup failed', 'dns'],
+  ['Connection refused', 'connection_refused'],
+  ['not configured', 'not_configured'],
+  ['too many failures', 'circuit_open'],
+  ['HTTP ', 'http'],
+  ['API request failed', 'http'],
+  ['Network error', 'network']
+];
+
+function classifyError(error) {
+  const message = (error && error.message) || '';
+  const match = ERROR_CLASSES.find(([pattern]) => message.includes(pattern));
+  return match ? match[1] : 'other';
+}
+
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * Create the metrics registry; gauges read live state through the given callbacks
+ */
+function createMetrics({ activeUploads, getCircuitState }) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const detections = new client.Counter({
+    name: 'calamansi_detections_total',
+    help: 'Detection attempts by outcome (success, cached, rejected, error) and reason',
+    labelNames: ['outcome', 'reason'],
+    registers: [registry]
+  });
+
+  const modelLatency = new client.Histogram({
+    name: 'calamansi_model_request_duration_seconds',
+    help: 'Inference request latency per model',
+    labelNames: ['model', 'status'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20],
+    registers: [registry]
+  });
+
+  const modelErrors = new client.Counter({
+    name: 'calamansi_model_errors_total',
+    help: 'Failed inference requests per model and error class',
+    labelNames: ['model', 'error_class'],
+    registers: [registry]
+  });
+
+  const optimizationDuration = new client.Histogram({
+    name: 'calamansi_image_optimization_duration_seconds',
+    help: 'Time spent resizing and re-encoding uploads',
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2],
+    registers: [registry]
+  });
+
+  const modelRetries = new client.Counter({
+    name: 'calamansi_model_retries_total',
+    help: 'Inference requests retried after a transient failure, per model and error class',
+    labelNames: ['model', 'error_class'],
+    registers: [registry]
+  });
+
+  const rateLimitRejections = new client.Counter({
+    name: 'calamansi_rate_limit_rejections_total',
+    help: 'Requests rejected per limiter',
+    labelNames: ['limiter'],
+    registers: [registry]
+  });
+
+  new client.Gauge({
+    name: 'calamansi_active_uploads',
+    help: 'Detections currently being processed',
+    registers: [registry],
+    collect() {
+      this.set(activeUploads.size);
+    }
+  });
+
+  new client.Gauge({
+    name: 'calamansi_circuit_breaker_state',
+    help: 'Circuit breaker state per model (0 closed, 1 half-open, 2 open)',
+    labelNames: ['model'],
+    registers: [registry],
+    collect() {
+      Object.entries(getCircuitState()).forEach(([model, breaker]) => {
+        this.set({ model }, BREAKER_STATES[breaker.state]);
+      });
+    }
+  });
+
+  new client.Gauge({
+    name: 'calamansi_circuit_breaker_failures',
+    help: 'Consecutive failures counted by each model circuit breaker',
+    labelNames: ['model'],
+    registers: [registry],
+    collect() {
+      Object.entries(getCircuitState()).forEach(([model, breaker]) => {
+        this.set({ model }, breaker.failures);
+      });
+    }
+  });
+
+  return {
+    contentType: registry.contentType,
+
+    render() {
+      return registry.metrics();
+    },
+
+    recordDetection(outcome, reason = 'none') {
+      detections.inc({ outcome, reason });
+    },
+
+    observeModelLatency(model, seconds, status) {
+      modelLatency.observe({ model, status }, seconds);
+    },
+
+    recordModelError(model, error) {
+      modelErrors.inc({ model, error_class: classifyError(error) });
+    },
+
+    recordModelRetry(model, error) {
+      modelRetries.inc({ model, error_class: classifyError(error) });
+    },
+
+    observeOptimization(seconds) {
+      optimizationDuration.observe(seconds);
+    },
+
+    recordRateLimitRejection(limiter) {
+      rateLimitRejections.inc({ limiter });
+    }
+  };
+}
+
+const nullMetrics = {
+  recordDetection() {},
+  observeModelLatency() {},
+  recordModelError() {},
+  recordModelRetry() {},
+  observeOptimization() {},
+  recordRateLimitRejection() {}
+};
+
+module.exports = {
+  classifyError,
+  createMetrics,
+  nullMetrics
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+// ============= MODEL REGISTRY =============
+//
+// Declares the models the pipeline calls. MODELS_CONFIG holds JSON (or a path to
+// a JSON file) like:
+//
+//   {
+//     "models": [
+//       { "id": "model1", "role": "verifier", "url": "https://...", "threshold": 0.5 },
+//       { "id": "model2", "role": "disease", "url": "https://...", "weight": 2 },
+//       { "id": "model3", "role": "disease", "url": "https://...",
+//         "classMap": { "citrus-canker": "canker" } },
+//       { "id": "pests", "role": "pest", "url": "https://..." },
+//       { "id": "part", "role": "part", "url": "https://...", "classMap": { "leaves": "leaf" } }
+//     ],
+//     "ensemble": { "disease": "vote" }
+//   }
+//
+// Roles:
+//   verifier - is this a calamansi? (required)
+//   disease  - disease detection, the main result (required)
+//   pest     - pest detection, reported alongside the disease (optional)
+//   part     - leaf vs fruit classification (optional)
+//
+// classMap renames a model's raw classes (case-insensitive) to the names the app
+// uses. Models sharing a role form an ensemble combined by "average" (weighted
+// mean of each model's confidence per class) or "vote" (each model's top class
+// gets its weight). An ensemble passes when its confidence reaches the weighted
+// mean of its members' thresholds. Without MODELS_CONFIG the registry is built
+// from MODEL_1_URL / MODEL_2_URL and MODEL_1_THRESHOLD / MODEL_2_THRESHOLD.
+
+const ROLES = ['verifier', 'disease', 'pest', 'part'];
+const REQUIRED_ROLES = ['verifier', 'disease'];
+const STRATEGIES = ['average', 'vote'];
+
+const modelSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).required(),
+  role: Joi.string().valid(...ROLES).required(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).allow('', null).optional(),
+  threshold: Joi.number().min(0).max(1).default(0.5),
+  weight: Joi.number().greater(0).default(1),
+  classMap: Joi.object().pattern(Joi.string(), Joi.string()).default({})
+});
+
+const registrySchema = Joi.object({
+  models: Joi.array().items(modelSchema).min(1).unique('id').required(),
+  ensemble: Joi.object(
+    Object.fromEntries(ROLES.map(role => [role, Joi.string().valid(...STRATEGIES)]))
+  ).default({})
+});
+
+/**
+ * Registry config from MODELS_CONFIG, or the two-model setup from the legacy env vars
+ */
+function loadModelsConfig(env = process.env) {
+  const raw = (env.MODELS_CONFIG || '').trim();
+
+  if (!raw) {
+    return {
+      models: [
+        { id: 'model1', role: 'verifier', url: env.MODEL_1_URL, threshold: parseFloat(env.MODEL_1_THRESHOLD) || 0.50 },
+        { id: 'model2', role: 'disease', url: env.MODEL_2_URL, threshold: parseFloat(env.MODEL_2_THRESHOLD) || 0.50 }
+      ]
+    };
+  }
+
+  const text = raw.startsWith('{') ? raw : fs.readFileSync(path.resolve(raw), 'utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid MODELS_CONFIG: ${error.message}`);
+  }
+}
+
+// ============= ENSEMBLES =============
+
+function mapClass(model, className) {
+  const name = String(className);
+  return model.classMap.get(name.toLowerCase()) || name;
+}
+
+function topPrediction(predictions) {
+  return predictions.reduce((max, pred) => (!max || pred.confidence > max.confidence ? pred : max), null);
+}
+
+// Same-class boxes overlapping at least this much (intersection over union) are one object
+const DUPLICATE_IOU = 0.5;
+
+function hasBox(pred) {
+  return Number.isFinite(pred.x) && Number.isFinite(pred.y) && pred.width > 0 && pred.height > 0;
+}
+
+// Intersection over union of two center-based boxes
+function iou(a, b) {
+  const overlapWidth = Math.min(a.x + a.width / 2, b.x + b.width / 2) - Math.max(a.x - a.width / 2, b.x - b.width / 2);
+  const overlapHeight = Math.min(a.y + a.height / 2, b.y + b.height / 2) - Math.max(a.y - a.height / 2, b.y - b.height / 2);
+  if (overlapWidth <= 0 || overlapHeight <= 0) return 0;
+
+  const overlap = overlapWidth * overlapHeight;
+  return overlap / (a.width * a.height + b.width * b.height - overlap);
+}
+
+/**
+ * Non-max suppression over predictions sorted most confident first: drops each box
+ * that overlaps a kept box of the same class by DUPLICATE_IOU or more, so a lesion
+ * reported by several ensemble members is counted and drawn once
+ */
+function suppressDuplicates(predictions) {
+  const kept = [];
+
+  predictions.forEach(pred => {
+    const duplicate = hasBox(pred) && kept.some(other =>
+      other.class === pred.class && hasBox(other) && iou(pred, other) >= DUPLICATE_IOU
+    );
+    if (!duplicate) kept.push(pred);
+  });
+
+  return kept;
+}
+
+/**
+ * Combine one role's results ([{ model, data }]) into
+ * { class, confidence, threshold, prediction, predictions, agreement, members }, or null
+ * without predictions. `prediction` is the most confident box of the winning class and
+ * `predictions` the members' boxes, most confident first, with mapped class names and
+ * boxes that several members report for the same object merged (see suppressDuplicates).
+ */
+function combineResults(results, strategy = 'average') {
+  const members = results.map(({ model, data }) => {
+    const predictions = (data.predictions || []).map(pred => ({ ...pred, class: mapClass(model, pred.class) }));
+    return { model, predictions, top: topPrediction(predictions) };
+  });
+
+  const totalWeight = members.reduce((sum, member) => sum + member.model.weight, 0);
+  const scores = new Map(); // class -> { weight, score }
+
+  members.forEach(({ model, predictions, top }) => {
+    if (strategy === 'vote') {
+      if (!top) return;
+      const tally = scores.get(top.class) || { weight: 0, score: 0 };
+      tally.weight += model.weight;
+      tally.score += model.weight * top.confidence;
+      scores.set(top.class, tally);
+      return;
+    }
+
+    // average: each model contributes its best confidence per class
+    const best = new Map();
+    predictions.forEach(pred => {
+      best.set(pred.class, Math.max(best.get(pred.class) || 0, pred.confidence));
+    });
+    best.forEach((confidence, className) => {
+      const tally = scores.get(className) || { weight: 0, score: 0 };
+      tally.weight += model.weight;
+      tally.score += model.weight * confidence;
+      scores.set(className, tally);
+    });
+  });
+
+  if (scores.size === 0) return null;
+
+  // Votes rank by weight, then confidence; averages by score over all members
+  const ranked = [...scores.entries()].map(([className, tally]) => ({
+    className,
+    weight: tally.weight,
+    confidence: strategy === 'vote' ? tally.score / tally.weight : tally.score / totalWeight
+  })).sort((a, b) => (strategy === 'vote' && b.weight !== a.weight ? b.weight - a.weight : b.confidence - a.confidence));
+
+  const winner = ranked[0];
+  const predictions = suppressDuplicates(members
+    .flatMap(member => member.predictions)
+    .sort((a, b) => b.confidence - a.confidence));
+
+  return {
+    class: winner.className,
+    confidence: winner.confidence,
+    threshold: members.reduce((sum, member) => sum + member.model.threshold * member.model.weight, 0) / totalWeight,
+    prediction: predictions.find(pred => pred.class === winner.className),
+    predictions,
+    agreement: winner.weight / totalWeight,
+    members: members.map(({ model, top }) => ({
+      id: model.id,
+      class: top ? top.class : null,
+      confidence: top ? parseFloat((top.confidence * 100).toFixed(2)) : null,
+      weight: model.weight
+    }))
+  };
+}
+
+// ============= REGISTRY =============
+
+/**
+ * Validate a registry config and index its models by role
+ */
+function createModelRegistry(config) {
+  const { error, value } = registrySchema.validate(config, { abortEarly: false });
+
+  if (error) {
+    throw new Error(`Invalid MODELS_CONFIG: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  const models = value.models.map(model => ({
+    ...model,
+    url: model.url || null,
+    // classMap keys match case-insensitively
+    classMap: new Map(Object.entries(model.classMap).map(([from, to]) => [from.toLowerCase(), to]))
+  }));
+
+  REQUIRED_ROLES.forEach(role => {
+    if (!models.some(model => model.role === role)) {
+      throw new Error(`Invalid MODELS_CONFIG: at least one "${role}" model is required`);
+    }
+  });
+
+  function byRole(role) {
+    return models.filter(model => model.role === role);
+  }
+
+  function strategyFor(role) {
+    return value.ensemble[role] || 'average';
+  }
+
+  return {
+    models,
+    byRole,
+    strategyFor,
+    // Outbound calls one detection makes when every model runs
+    callsPerImage: models.length,
+
+    describe() {
+      return models.map(({ id, role, threshold, weight, url }) => ({
+        id,
+        role,
+        threshold,
+        weight,
+        strategy: strategyFor(role),
+        hasUrl: !!url
+      }));
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  STRATEGIES,
+  loadModelsConfig,
+  combineResults,
+  createModelRegistry
+};
@@ -0,0 +1,161 @@
+// ============= OFFLINE QUEUE =============
+//
+// Photos submitted without a connection are kept in IndexedDB and sent to
+// POST /api/detect once the network is back. Loaded by the pages and by the
+// service worker (sw.js), which works through the queue on Background Sync;
+// without a service worker the page does it when it comes back online.
+//
+// Entries: { id, image, location, notice, status, createdAt, result?, error? }
+// with status "pending" (waiting to be sent), "done" (result holds the
+// /api/detect body) or "failed" (refused by the server, error says why).
+
+const OfflineQueue = (function() {
+  const DB_NAME = 'cali-offline';
+  const STORE = 'detections';
+  const SYNC_TAG = 'detection-queue';
+  let syncing = null;
+
+  function open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Runs fn(store) in one transaction; resolves with the result of the request it returns
+  async function transact(mode, fn) {
+    const db = await open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = tx.onabort = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  }
+
+  /**
+   * Queue a photo. `notice` holds the notification texts in the user's language
+   * ({ title, ready, failed }), since the service worker has no catalog.
+   */
+  function add({ image, location = null, notice }) {
+    return transact('readwrite', store => store.add({
+      image,
+      location,
+      notice,
+      status: 'pending',
+      createdAt: Date.now()
+    }));
+  }
+
+  // Oldest first
+  function list() {
+    return transact('readonly', store => store.getAll());
+  }
+
+  function get(id) {
+    return transact('readonly', store => store.get(id));
+  }
+
+  function remove(id) {
+    return transact('readwrite', store => store.delete(id));
+  }
+
+  function save(entry) {
+    return transact('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Send one entry. Rejects when the network or the service is unavailable
+   * (rate limit, capacity, budget, server error) so it stays pending; any other
+   * refusal, such as a quality or verification error, is final.
+   */
+  async function send(entry) {
+    const formData = new FormData();
+    formData.append('image', entry.image);
+
+    if (entry.location) {
+      formData.append('latitude', entry.location.latitude);
+      formData.append('longitude', entry.location.longitude);
+    }
+
+    const response = await fetch('/api/detect', { method: 'POST', body: formData });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 429 || response.status >= 500) {
+      throw new Error(body.error || `Detection service unavailable (HTTP ${response.status})`);
+    }
+
+    return response.ok
+      ? { ...entry, status: 'done', result: body, sentAt: Date.now() }
+      : { ...entry, status: 'failed', error: body.error || `HTTP ${response.status}`, sentAt: Date.now() };
+  }
+
+  async function run(onSent) {
+    const pending = (await list()).filter(entry => entry.status === 'pending');
+
+    for (const entry of pending) {
+      const sent = await send(entry);
+      await save(sent);
+      if (onSent) await onSent(sent);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Send every pending entry in order, calling onSent(entry) after each.
+   * Stops at the first unavailable error, which it rejects with. Calls made
+   * while a run is in progress share it.
+   */
+  function sync(onSent) {
+    if (!syncing) {
+      syncing = run(onSent).finally(() => {
+        syncing = null;
+      });
+    }
+
+    return syncing;
+  }
+
+  // Title and options for the notification announcing a sent entry
+  function notification(entry) {
+    const fill = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    const result = entry.result || {};
+    const disease = (result.diseaseInfo && result.diseaseInfo.name) || (result.model2 && result.model2.class);
+
+    return {
+      title: entry.notice.title,
+      options: {
+        body: entry.status === 'done'
+          ? fill(entry.notice.ready, { disease })
+          : fill(entry.notice.failed, { error: entry.error }),
+        icon: 'icons/icon-192.png',
+        tag: `detection-${entry.id}`,
+        data: { url: entry.status === 'done' ? `result.html?queued=${entry.id}` : 'index.html' }
+      }
+    };
+  }
+
+  return {
+    SYNC_TAG,
+    add,
+    list,
+    get,
+    remove,
+    sync,
+    notification
+  };
+})();
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const sharp = require('sharp');
+
+// ============= IMAGE QUALITY GATE =============
+//
+// Measures an upload before any model call so clearly unusable photos are
+// turned away with advice instead of costing inference. Measurements are taken
+// on a greyscale preview scaled to fit PREVIEW_SIZE, so they do not depend on
+// the camera's resolution. A uniform border (a table, a sheet of paper) is
+// trimmed first and the rest measured over the content left:
+//
+//   fill       - share of the frame the content takes up
+//   resolution - short side of the content, in original pixels
+//   sharpness  - variance of the Laplacian (edge response); blur flattens it
+//   brightness - mean grey level, 0-255
+//   clipped    - share of pixels blown out to near white
+//   contrast   - standard deviation of the grey levels
+//
+// Checks run in ISSUES order; the first failing one is reported to the user,
+// all of them are returned. QUALITY_CONFIG holds JSON (or a path to a JSON
+// file) overriding any threshold, or { "enabled": false } to turn the gate off.
+
+const PREVIEW_SIZE = 512;
+
+const ISSUES = ['low_resolution', 'too_dark', 'overexposed', 'low_contrast', 'blurry', 'subject_too_small'];
+
+const DEFAULT_THRESHOLDS = {
+  minResolution: 200,
+  minBrightness: 40,
+  maxBrightness: 225,
+  maxClipped: 0.5,
+  minContrast: 6,
+  minSharpness: 3,
+  minFill: 0.15
+};
+
+const configSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  minResolution: Joi.number().integer().min(0).default(DEFAULT_THRESHOLDS.minResolution),
+  minBrightness: Joi.number().min(0).max(255).default(DEFAULT_THRESHOLDS.minBrightness),
+  maxBrightness: Joi.number().min(0).max(255).default(DEFAULT_THRESHOLDS.maxBrightness),
+  maxClipped: Joi.number().min(0).max(1).default(DEFAULT_THRESHOLDS.maxClipped),
+  minContrast: Joi.number().min(0).default(DEFAULT_THRESHOLDS.minContrast),
+  minSharpness: Joi.number().min(0).default(DEFAULT_THRESHOLDS.minSharpness),
+  minFill: Joi.number().min(0).max(1).default(DEFAULT_THRESHOLDS.minFill)
+});
+
+// Grey level counted as blown out
+const CLIP_LEVEL = 250;
+
+// Border pixels within this distance of the corner colour are trimmed as background
+const TRIM_THRESHOLD = 20;
+
+/**
+ * Gate config from QUALITY_CONFIG, or the default thresholds when unset
+ */
+function loadQualityConfig(env = process.env) {
+  const raw = (env.QUALITY_CONFIG || '').trim();
+  if (!raw) return {};
+
+  const text = raw.startsWith('{') ? raw : fs.readFileSync(path.resolve(raw), 'utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid QUALITY_CONFIG: ${error.message}`);
+  }
+}
+
+// ============= MEASUREMENTS =============
+
+// stats() reads a pipeline's input, so the output is rendered first
+async function greyStats(pipeline) {
+  const { data, info } = await pipeline.extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+  const [channel] = (await sharp(data, { raw: info }).stats()).channels;
+  return channel;
+}
+
+// Variance of the 4-neighbour Laplacian over the interior pixels. Computed here
+// rather than with convolve(), whose 8-bit output clips strong edges and so
+// understates the variance of sharp images.
+async function laplacianVariance(pipeline) {
+  const { data, info } = await pipeline.extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  return count > 0 ? sumSquares / count - (sum / count) ** 2 : 0;
+}
+
+// Region of the content once a uniform border is trimmed, for extract(); null if none
+async function contentRegion(preview) {
+  try {
+    const { info } = await preview().trim({ threshold: TRIM_THRESHOLD }).toBuffer({ resolveWithObject: true });
+    return {
+      left: -(info.trimOffsetLeft || 0),
+      top: -(info.trimOffsetTop || 0),
+      width: info.width,
+      height: info.height
+    };
+  } catch (error) {
+    // A uniform image has nothing to trim to
+    return null;
+  }
+}
+
+/**
+ * { sharpness, brightness, clipped, contrast, fill, resolution, width, height } of an image
+ */
+async function measureImage(buffer) {
+  const { width, height } = await sharp(buffer).metadata();
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(PREVIEW_SIZE, PREVIEW_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const preview = () => sharp(data, { raw });
+  const region = await contentRegion(preview);
+  const content = () => (region ? preview().extract(region) : preview());
+
+  const tone = await greyStats(content());
+  const sharpness = await laplacianVariance(content());
+  const highlights = await greyStats(content().threshold(CLIP_LEVEL));
+  const { width: contentWidth, height: contentHeight } = region || raw;
+
+  // Preview pixels to original pixels (the long side is unchanged by EXIF rotation)
+  const scale = Math.max(width, height) / Math.max(raw.width, raw.height);
+
+  return {
+    sharpness: parseFloat(sharpness.toFixed(2)),
+    brightness: parseFloat(tone.mean.toFixed(1)),
+    clipped: parseFloat((highlights.mean / 255).toFixed(4)),
+    contrast: parseFloat(tone.stdev.toFixed(2)),
+    fill: parseFloat(((contentWidth * contentHeight) / (raw.width * raw.height)).toFixed(4)),
+    resolution: Math.round(Math.min(contentWidth, contentHeight) * scale),
+    width,
+    height
+  };
+}
+
+// ============= ANALYZER =============
+
+/**
+ * Validate a gate config and return { analyze, enabled, thresholds }
+ */
+function createQualityAnalyzer(config = {}) {
+  const { error, value } = configSchema.validate(config, { abortEarly: false });
+
+  if (error) {
+    throw new Error(`Invalid QUALITY_CONFIG: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  const { enabled, ...thresholds } = value;
+
+  if (thresholds.minBrightness >= thresholds.maxBrightness) {
+    throw new Error('Invalid QUALITY_CONFIG: minBrightness must be below maxBrightness');
+  }
+
+  const checks = {
+    low_resolution: m => m.resolution < thresholds.minResolution,
+    too_dark: m => m.brightness < thresholds.minBrightness,
+    overexposed: m => m.brightness > thresholds.maxBrightness || m.clipped > thresholds.maxClipped,
+    low_contrast: m => m.contrast < thresholds.minContrast,
+    blurry: m => m.sharpness < thresholds.minSharpness,
+    subject_too_small: m => m.fill < thresholds.minFill
+  };
+
+  /**
+   * { ok, issues, measurements } for an uploaded image, issues in ISSUES order.
+   * Null when the gate is off or the image cannot be measured (the pipeline
+   * then proceeds as it would without the gate).
+   */
+  async function analyze(buffer) {
+    if (!enabled) return null;
+
+    try {
+      const measurements = await measureImage(buffer);
+      const issues = ISSUES.filter(issue => checks[issue](measurements));
+
+      return { ok: issues.length === 0, issues, measurements };
+    } catch (error) {
+      console.warn('Image quality could not be measured:', error.message);
+      return null;
+    }
+  }
+
+  return {
+    analyze,
+    enabled,
+    thresholds
+  };
+}
+
+module.exports = {
+  ISSUES,
+  DEFAULT_THRESHOLDS,
+  loadQualityConfig,
+  measureImage,
+  createQualityAnalyzer
+};
@@ -1,96 +1,506 @@
-// Disease information with detailed descriptions and treatments
-const diseaseInfo = {
-  'black spot': {
-    name: 'Black Spot Disease',
-    description: 'Black spot is a fungal disease that causes dark spots on leaves and fruits. It thrives in warm, humid conditions. Treatment: Remove affected leaves, improve air circulation, apply copper-based fungicides, and avoid overhead watering.'
-  },
-  'canker': {
-    name: 'Citrus Canker',
-    description: 'Citrus canker is a bacterial disease causing raised lesions on leaves, stems, and fruit. It spreads rapidly in wet conditions. Treatment: Remove and destroy infected plant parts, apply copper sprays, quarantine affected plants, and practice good sanitation.'
-  },
-  'greening': {
-    name: 'Citrus Greening (Huanglongbing)',
-    description: 'Citrus greening is a serious bacterial disease transmitted by psyllids. It causes yellowing of leaves, stunted growth, and bitter fruit. Treatment: Remove infected trees immediately, control psyllid populations with insecticides, and plant disease-free nursery stock.'
-  },
-  'healthy calamansi': {
-    name: 'Healthy Calamansi',
-    description: 'This calamansi appears healthy with no visible signs of disease. Continue regular care: proper watering, fertilization, pruning, and monitoring for early signs of pests or diseases to maintain plant health.'
-  },
-  'scab': {
-    name: 'Citrus Scab',
-    description: 'Citrus scab is a fungal disease causing raised, corky lesions on fruit and leaves. It affects young tissue during wet weather. Treatment: Apply copper fungicides during early growth stages, improve drainage, prune to increase air circulation, and remove infected fruit.'
-  },
-  'thrips': {
-    name: 'Thrips Damage',
-    description: 'Thrips are tiny insects that cause silvery streaks, distorted leaves, and scarred fruit. They thrive in hot, dry conditions. Treatment: Use insecticidal soaps or neem oil, introduce beneficial insects, maintain proper moisture levels, and remove heavily infested plant parts.'
+// Display names from the server-side knowledge base (GET /api/diseases), by class
+const diseaseNames = {};
+
+// Overlay colours per class; unknown classes get a stable colour from the fallback palette
+const CLASS_COLORS = {
+  'black spot': '#E53935',
+  'canker': '#FB8C00',
+  'greening': '#FDD835',
+  'healthy calamansi': '#43A047',
+  'scab': '#8E24AA',
+  'thrips': '#1E88E5'
+};
+
+const FALLBACK_COLORS = ['#00ACC1', '#D81B60', '#6D4C41', '#3949AB', '#7CB342', '#F4511E'];
+
+function colorForClass(className) {
+  const key = className.toLowerCase();
+  if (CLASS_COLORS[key]) return CLASS_COLORS[key];
+  
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
   }
+  return FALLBACK_COLORS[hash % FALLBACK_COLORS.length];
+}
+
+function displayName(className) {
+  return diseaseNames[className.toLowerCase()] || className;
+}
+
+async function loadDiseaseNames() {
+  try {
+    const response = await fetch(`${window.location.origin}/api/diseases`);
+    if (!response.ok) return;
+
+    const data = await response.json();
+    data.diseases.forEach(entry => {
+      diseaseNames[entry.class] = entry.name;
+    });
+  } catch (error) {
+    console.error('Failed to load disease names:', error);
+  }
+}
+
+async function fetchDiseaseInfo(className) {
+  try {
+    const response = await fetch(`${window.location.origin}/api/diseases/${encodeURIComponent(className)}`);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    console.error('Failed to load disease info:', error);
+    return null;
+  }
+}
+
+function levelLabel(level) {
+  return I18n.has(`level.${level}`) ? I18n.t(`level.${level}`) : level;
+}
+
+// Severity grade computed by the server from lesion coverage (absent on older results)
+function renderSeverity(severity) {
+  const row = document.getElementById('severityRow');
+  if (!row || !severity || !severity.level) return;
+
+  const levelEl = document.getElementById('severityLevel');
+  levelEl.textContent = I18n.has(`grade.${severity.level}`) ? I18n.t(`grade.${severity.level}`) : severity.level;
+  levelEl.dataset.level = severity.level;
+
+  document.getElementById('severityDetail').textContent = severity.level === 'none'
+    ? ''
+    : I18n.t('result.infectionDetail', {
+        percent: (severity.affectedRatio * 100).toFixed(1),
+        count: severity.lesionCount
+      });
+
+  row.hidden = false;
+}
+
+function fillList(id, items) {
+  const list = document.getElementById(id);
+  const section = list.closest('.disease-section');
+  list.innerHTML = '';
+
+  (items || []).forEach(text => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  });
+
+  section.hidden = !items || items.length === 0;
+}
+
+// Structured knowledge base fields: severity, cause, symptoms, treatment steps, prevention, images
+function renderDiseaseDetails(info) {
+  const details = document.getElementById('diseaseDetails');
+  if (!details || !info.severity) return;
+
+  const meta = [I18n.t('result.severity', { level: levelLabel(info.severity) })];
+  if (info.spreadRisk) meta.push(I18n.t('result.spreadRisk', { level: levelLabel(info.spreadRisk) }));
+  document.getElementById('diseaseMeta').textContent = meta.join(' · ');
+
+  const cause = document.getElementById('diseaseCause');
+  cause.textContent = info.cause || '';
+  cause.closest('.disease-section').hidden = !info.cause;
+
+  fillList('diseaseSymptoms', info.symptoms);
+  fillList('diseaseTreatment', info.treatment);
+  fillList('diseasePrevention', info.prevention);
+
+  const images = document.getElementById('diseaseImages');
+  images.innerHTML = '';
+  (info.referenceImages || []).forEach(image => {
+    const figure = document.createElement('figure');
+    const img = document.createElement('img');
+    img.src = image.url;
+    img.alt = image.caption || info.name;
+    img.loading = 'lazy';
+    figure.appendChild(img);
+
+    if (image.caption) {
+      const caption = document.createElement('figcaption');
+      caption.textContent = image.caption;
+      figure.appendChild(caption);
+    }
+
+    images.appendChild(figure);
+  });
+  images.closest('.disease-section').hidden = images.children.length === 0;
+
+  details.hidden = false;
+}
+
+// Overlay state for the result canvas
+const overlay = {
+  image: null,
+  predictions: [],
+  scaleX: 1,
+  scaleY: 1,
+  minConfidence: 0,
+  visible: true,
+  highlighted: null
 };
 
-// Function to draw image with bounding box
-function drawImageWithBoundingBox(imageSrc, boundingBox, confidence, diseaseClass, originalWidth, originalHeight) {
+function isPredictionShown(prediction) {
+  return overlay.visible && prediction.confidence >= overlay.minConfidence;
+}
+
+// Convert a center-based prediction box to scaled top-left canvas coordinates
+function canvasBox(prediction) {
+  return {
+    x: (prediction.x - prediction.width / 2) * overlay.scaleX,
+    y: (prediction.y - prediction.height / 2) * overlay.scaleY,
+    width: prediction.width * overlay.scaleX,
+    height: prediction.height * overlay.scaleY
+  };
+}
+
+function drawPredictions() {
   const canvas = document.getElementById('resultCanvas');
   const ctx = canvas.getContext('2d');
-  const img = new Image();
   
-  img.onload = function() {
-    // Set canvas size to match image
-    canvas.width = img.width;
-    canvas.height = img.height;
-    
-    // Draw the image
-    ctx.drawImage(img, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(overlay.image, 0, 0);
+  
+  const lineWidth = Math.max(2, Math.round(canvas.width / 300));
+  const fontSize = Math.max(12, Math.round(canvas.width / 50));
+  
+  overlay.predictions.forEach((prediction, index) => {
+    if (!isPredictionShown(prediction)) return;
     
-    // Calculate scaling factor (Roboflow coordinates are based on original image size)
-    const scaleX = img.width / originalWidth;
-    const scaleY = img.height / originalHeight;
+    const box = canvasBox(prediction);
+    const color = colorForClass(prediction.class);
+    const isHighlighted = overlay.highlighted === index;
+    const isDimmed = overlay.highlighted !== null && !isHighlighted;
     
-    // Convert center coordinates to top-left corner coordinates and scale
-    const x = (boundingBox.x - boundingBox.width / 2) * scaleX;
-    const y = (boundingBox.y - boundingBox.height / 2) * scaleY;
-    const width = boundingBox.width * scaleX;
-    const height = boundingBox.height * scaleY;
+    ctx.globalAlpha = isDimmed ? 0.35 : 1;
     
     // Draw bounding box
-    ctx.strokeStyle = '#00FF00'; // Green color
-    ctx.lineWidth = 3;
-    ctx.strokeRect(x, y, width, height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = isHighlighted ? lineWidth * 2 : lineWidth;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
     
-    // Draw semi-transparent background for label
-    ctx.fillStyle = 'rgba(0, 255, 0, 0.7)';
-    const labelText = `${diseaseClass} (${confidence}%)`;
-    ctx.font = 'bold 16px Arial';
+    // Draw label with background
+    const labelText = `${index + 1}. ${displayName(prediction.class)} (${prediction.confidence}%)`;
+    ctx.font = `bold ${fontSize}px Arial`;
     const textWidth = ctx.measureText(labelText).width;
-    ctx.fillRect(x, y - 25, textWidth + 10, 25);
+    const labelY = box.y > fontSize + 8 ? box.y - fontSize - 8 : box.y;
     
-    // Draw label text
+    ctx.fillStyle = color;
+    ctx.fillRect(box.x, labelY, textWidth + 10, fontSize + 8);
     ctx.fillStyle = '#000000';
-    ctx.fillText(labelText, x + 5, y - 7);
+    ctx.fillText(labelText, box.x + 5, labelY + fontSize + 2);
+  });
+  
+  ctx.globalAlpha = 1;
+}
+
+function renderLegend() {
+  const legend = document.getElementById('predictionLegend');
+  if (!legend) return;
+  
+  legend.innerHTML = '';
+  const classes = [...new Set(overlay.predictions.map(p => p.class.toLowerCase()))];
+  
+  classes.forEach(className => {
+    const item = document.createElement('span');
+    item.className = 'legend-item';
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.backgroundColor = colorForClass(className);
+    
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(displayName(className)));
+    legend.appendChild(item);
+  });
+}
+
+function renderPredictionList() {
+  const list = document.getElementById('predictionList');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  
+  overlay.predictions.forEach((prediction, index) => {
+    const item = document.createElement('li');
+    item.className = 'prediction-item';
+    item.tabIndex = 0;
+    item.dataset.index = index;
+    item.style.borderLeftColor = colorForClass(prediction.class);
+    item.textContent = `${index + 1}. ${displayName(prediction.class)} — ${prediction.confidence}%`;
+    
+    if (!isPredictionShown(prediction)) item.classList.add('filtered');
+    if (overlay.highlighted === index) item.classList.add('highlighted');
+    
+    item.addEventListener('mouseenter', () => highlightPrediction(index));
+    item.addEventListener('mouseleave', () => highlightPrediction(null));
+    item.addEventListener('focus', () => highlightPrediction(index));
+    item.addEventListener('blur', () => highlightPrediction(null));
+    item.addEventListener('click', () => {
+      highlightPrediction(overlay.highlighted === index ? null : index);
+    });
+    
+    list.appendChild(item);
+  });
+}
+
+function highlightPrediction(index) {
+  if (overlay.highlighted === index) return;
+  overlay.highlighted = index;
+  
+  document.querySelectorAll('#predictionList .prediction-item').forEach(item => {
+    item.classList.toggle('highlighted', Number(item.dataset.index) === index);
+  });
+  
+  drawPredictions();
+}
+
+// Smallest visible box under a canvas point, so nested lesions stay selectable
+function predictionAtPoint(canvasX, canvasY) {
+  let found = null;
+  let foundArea = Infinity;
+  
+  overlay.predictions.forEach((prediction, index) => {
+    if (!isPredictionShown(prediction)) return;
+    const box = canvasBox(prediction);
+    const inside = canvasX >= box.x && canvasX <= box.x + box.width &&
+                   canvasY >= box.y && canvasY <= box.y + box.height;
+    
+    if (inside && box.width * box.height < foundArea) {
+      found = index;
+      foundArea = box.width * box.height;
+    }
+  });
+  
+  return found;
+}
+
+function setupOverlayControls() {
+  const canvas = document.getElementById('resultCanvas');
+  const slider = document.getElementById('confidenceFilter');
+  const sliderValue = document.getElementById('confidenceFilterValue');
+  const toggle = document.getElementById('overlayToggle');
+  
+  const pointerToPrediction = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+    return predictionAtPoint(x, y);
+  };
+  
+  canvas.addEventListener('mousemove', (e) => highlightPrediction(pointerToPrediction(e)));
+  canvas.addEventListener('mouseleave', () => highlightPrediction(null));
+  canvas.addEventListener('click', (e) => highlightPrediction(pointerToPrediction(e)));
+  
+  if (slider) {
+    slider.addEventListener('input', () => {
+      overlay.minConfidence = Number(slider.value);
+      if (sliderValue) sliderValue.textContent = `${slider.value}%`;
+      overlay.highlighted = null;
+      renderPredictionList();
+      drawPredictions();
+    });
+  }
+  
+  if (toggle) {
+    toggle.addEventListener('change', () => {
+      overlay.visible = toggle.checked;
+      overlay.highlighted = null;
+      renderPredictionList();
+      drawPredictions();
+    });
+  }
+}
+
+// Function to draw image with every predicted lesion
+function drawImageWithPredictions(imageSrc, predictions, originalWidth, originalHeight) {
+  const canvas = document.getElementById('resultCanvas');
+  const img = new Image();
+  
+  img.onload = function() {
+    // Set canvas size to match image
+    canvas.width = img.width;
+    canvas.height = img.height;
+    
+    // Roboflow coordinates are based on the image size the model saw
+    overlay.image = img;
+    overlay.predictions = predictions;
+    overlay.scaleX = img.width / originalWidth;
+    overlay.scaleY = img.height / originalHeight;
+    
+    renderLegend();
+    renderPredictionList();
+    drawPredictions();
   };
   
   img.src = imageSrc;
 }
 
+// A detection response (or stored detection) in the sessionStorage format
+function toResultData(data, imageSrc) {
+  return {
+    id: data.id,
+    model1: {
+      class: data.model1.class,
+      confidence: data.model1.confidence.toString()
+    },
+    model2: {
+      class: data.model2.class,
+      confidence: data.model2.confidence.toString(),
+      boundingBox: data.model2.boundingBox
+    },
+    imageSrc,
+    imageWidth: data.imageWidth,
+    imageHeight: data.imageHeight,
+    allPredictions: data.allPredictions,
+    diseaseInfo: data.diseaseInfo,
+    severity: data.severity,
+    timestamp: data.timestamp
+  };
+}
+
+// Fetch a stored result by its share ID and convert it to the sessionStorage format
+async function fetchSharedResult(id) {
+  const response = await fetch(`${window.location.origin}/api/detections/${encodeURIComponent(id)}`);
+  
+  if (!response.ok) {
+    return null;
+  }
+  
+  const data = await response.json();
+  return toResultData(data, data.thumbnail);
+}
+
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// A result sent from the offline queue: moved to sessionStorage and the share URL, then dropped from the queue
+async function loadQueuedResult(queuedId) {
+  const entry = await OfflineQueue.get(Number(queuedId));
+  
+  if (!entry || entry.status !== 'done') {
+    return null;
+  }
+  
+  const result = toResultData(entry.result, await readAsDataUrl(entry.image));
+  
+  try {
+    sessionStorage.setItem('detectionResult', JSON.stringify(result));
+  } catch (error) {
+    console.warn('Result too large to keep for this session:', error);
+  }
+  
+  if (result.id) {
+    history.replaceState(null, '', `?id=${encodeURIComponent(result.id)}`);
+  }
+  
+  await OfflineQueue.remove(entry.id);
+  
+  try {
+    await DetectionHistory.add(result);
+  } catch (error) {
+    console.warn('Result not saved to history:', error);
+  }
+  
+  return result;
+}
+
+// A past result from the detection history, shown as it was saved
+async function loadHistoryResult(key) {
+  const entry = await DetectionHistory.get(Number(key));
+  return entry ? entry.result : null;
+}
+
+// Prefer the full-size copy in sessionStorage; fall back to the server for shared links
+async function loadResult() {
+  const params = new URLSearchParams(window.location.search);
+  const queuedId = params.get('queued');
+  const historyKey = params.get('history');
+  
+  if (queuedId) {
+    try {
+      return await loadQueuedResult(queuedId);
+    } catch (error) {
+      console.error('Failed to load queued result:', error);
+      return null;
+    }
+  }
+  
+  if (historyKey) {
+    try {
+      return await loadHistoryResult(historyKey);
+    } catch (error) {
+      console.error('Failed to load history entry:', error);
+      return null;
+    }
+  }
+  
+  const sharedId = params.get('id');
+  const stored = sessionStorage.getItem('detectionResult');
+  const sessionResult = stored ? JSON.parse(stored) : null;
+  
+  if (sessionResult && (!sharedId || sessionResult.id === sharedId)) {
+    return sessionResult;
+  }
+  
+  if (sharedId) {
+    try {
+      return await fetchSharedResult(sharedId);
+    } catch (error) {
+      console.error('Failed to load shared result:', error);
+    }
+  }
+  
+  return null;
+}
+
+function setupShareButton(id) {
+  const shareBtn = document.getElementById('shareBtn');
+  if (!shareBtn || !id) return;
+  
+  const shareUrl = `${window.location.origin}${window.location.pathname}?id=${encodeURIComponent(id)}`;
+  shareBtn.style.display = 'block';
+  
+  shareBtn.addEventListener('click', async function() {
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: document.title, url: shareUrl });
+        return;
+      }
+      await navigator.clipboard.writeText(shareUrl);
+      shareBtn.textContent = I18n.t('result.linkCopied');
+      setTimeout(() => { shareBtn.textContent = I18n.t('result.share'); }, 2000);
+    } catch (error) {
+      console.error('Share failed:', error);
+    }
+  });
+}
+
 // Load and display results
-window.addEventListener('DOMContentLoaded', function() {
+window.addEventListener('DOMContentLoaded', async function() {
   console.log('Result page loaded, checking for data...');
   
-  // Get results from sessionStorage
-  const resultData = sessionStorage.getItem('detectionResult');
+  const [result] = await Promise.all([loadResult(), loadDiseaseNames(), I18n.ready]);
   
-  if (!resultData) {
-    console.error('No result data found in sessionStorage');
-    alert('No detection results found. Redirecting to home page.');
+  if (!result) {
+    console.error('No result data found');
+    alert(I18n.t('result.notFound'));
     window.location.href = 'index.html';
     return;
   }
   
-  const result = JSON.parse(resultData);
   console.log('Full Result Data:', result);
   
   // Validate result structure
   if (!result.model1 || !result.model2) {
     console.error('Invalid result structure:', result);
-    alert('Invalid result data. Please try again.');
+    alert(I18n.t('result.invalid'));
     window.location.href = 'index.html';
     return;
   }
@@ -99,26 +509,30 @@ window.addEventListener('DOMContentLoaded', function() {
   const verificationBadge = document.getElementById('verificationBadge');
   if (verificationBadge) {
     verificationBadge.style.display = 'block';
-    verificationBadge.textContent = `✓ Verified as Calamansi (${result.model1.confidence}%)`;
+    verificationBadge.textContent = I18n.t('result.verified', { confidence: result.model1.confidence });
   }
   
-  // Get disease info
+  // Get disease info (embedded in new results in the current language, fetched otherwise)
   const classKey = result.model2.class.toLowerCase();
-  const info = diseaseInfo[classKey] || {
+  const embedded = result.diseaseInfo && result.diseaseInfo.lang === I18n.lang ? result.diseaseInfo : null;
+  const info = embedded || await fetchDiseaseInfo(classKey) || result.diseaseInfo || {
     name: result.model2.class,
-    description: 'Disease detected. Please consult with an agricultural expert for proper diagnosis and treatment.'
+    description: I18n.t('result.fallbackDescription')
   };
   
   console.log('Disease detected:', info.name);
   console.log('Confidence:', result.model2.confidence + '%');
   
-  // Draw image with bounding box
+  // Draw image with every detected lesion (older results only carry the top box)
+  const predictions = result.allPredictions && result.allPredictions.length > 0
+    ? result.allPredictions
+    : [{ class: result.model2.class, confidence: Number(result.model2.confidence), ...result.model2.boundingBox }];
+  
   if (result.imageSrc && result.model2.boundingBox) {
-    drawImageWithBoundingBox(
+    setupOverlayControls();
+    drawImageWithPredictions(
       result.imageSrc,
-      result.model2.boundingBox,
-      result.model2.confidence,
-      info.name,
+      predictions,
       result.imageWidth,
       result.imageHeight
     );
@@ -134,9 +548,8 @@ window.addEventListener('DOMContentLoaded', function() {
   if (diseaseNameEl) diseaseNameEl.textContent = info.name;
   if (confidenceEl) confidenceEl.textContent = result.model2.confidence + '%';
   if (descriptionEl) descriptionEl.textContent = info.description;
+  renderSeverity(result.severity);
+  renderDiseaseDetails(info);
   
-  // Log all predictions for debugging
-  if (result.allPredictions) {
-    console.log('All disease detections:', result.allPredictions);
-  }
+  setupShareButton(result.id);
 });
\ No newline at end of file
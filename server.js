@@ -6,11 +6,24 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const multer = require('multer');
 const Joi = require('joi');
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
-const sharp = require('sharp');
-const db = require('./db'); // Our SQLite database
+const db = require('./storage'); // SQLite or Postgres, selected by DB_BACKEND
+const { createInferenceProvider } = require('./inference');
+const { createDetectionPipeline, errorCode, RESULT_ID_PATTERN } = require('./detection');
+const { createJobQueue } = require('./jobs');
+const { createAuth } = require('./auth');
+const { createAllowlist, parseEntry, normalizeIP } = require('./allowlist');
+const { createResultCache } = require('./cache');
+const { createMetrics } = require('./metrics');
+const { createBudget, budgetMessageCode } = require('./budget');
+const { loadModelsConfig, createModelRegistry } = require('./models');
+const { createKnowledgeBase, diseaseSchema } = require('./diseases');
+const { loadSeverityConfig, createSeverityGrader } = require('./severity');
+const { loadQualityConfig, createQualityAnalyzer } = require('./quality');
+const { locationFields, geoQuerySchema, manualLocation, summarizeGrid } = require('./geo');
+const { createAlerting, channelsFromEnv } = require('./alerts');
+const i18n = require('./i18n');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,38 +32,212 @@ const PORT = process.env.PORT || 3000;
 const activeUploads = new Map();
 const MAX_CONCURRENT_UPLOADS = 10;
 const DAILY_API_LIMIT = parseInt(process.env.DAILY_API_LIMIT) || 5000;
+const MONTHLY_API_BUDGET = parseInt(process.env.MONTHLY_API_BUDGET) || null;
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 20;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 2;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const MAX_QUEUE_SIZE = parseInt(process.env.MAX_QUEUE_SIZE) || 50;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+// Longest side images are scaled to before inference; browsers resize to it before upload
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION) || 1024;
+const UPLOAD_JPEG_QUALITY = parseFloat(process.env.UPLOAD_JPEG_QUALITY) || 0.85;
+// 0 makes automatic abuse blocks permanent
+const AUTO_BLOCK_MINUTES = process.env.AUTO_BLOCK_MINUTES !== undefined
+  ? parseInt(process.env.AUTO_BLOCK_MINUTES) || 0
+  : 60;
+
+// ============= ADMIN AUTHENTICATION =============
+const auth = createAuth(process.env.ADMIN_TOKENS);
+
+// ============= RATE LIMIT ALLOWLIST =============
+const allowlist = createAllowlist({ db, config: process.env.RATE_LIMIT_ALLOWLIST });
+
+// ============= INFERENCE PROVIDER =============
+const inference = createInferenceProvider(process.env.INFERENCE_PROVIDER || 'roboflow', {
+  apiKey: process.env.ROBOFLOW_API_KEY,
+  verifierClass: process.env.MOCK_VERIFIER_CLASS,
+  diseaseClass: process.env.MOCK_DISEASE_CLASS,
+  partClass: process.env.MOCK_PART_CLASS,
+  latencyMs: parseInt(process.env.MOCK_LATENCY_MS) || 0
+});
+
+// ============= MODEL REGISTRY =============
+// MODELS_CONFIG, or MODEL_1_URL / MODEL_2_URL when unset (see models.js)
+const models = createModelRegistry(loadModelsConfig());
+
+// ============= RESULT CACHE =============
+// RESULT_CACHE_SIZE=0 disables caching
+const RESULT_CACHE_SIZE = process.env.RESULT_CACHE_SIZE !== undefined
+  ? parseInt(process.env.RESULT_CACHE_SIZE) || 0
+  : 500;
+
+const resultCache = RESULT_CACHE_SIZE > 0
+  ? createResultCache({
+      maxEntries: RESULT_CACHE_SIZE,
+      ttlMs: (parseInt(process.env.RESULT_CACHE_TTL_MINUTES) || 60) * 60 * 1000,
+      maxDistance: process.env.RESULT_CACHE_MAX_DISTANCE !== undefined
+        ? parseInt(process.env.RESULT_CACHE_MAX_DISTANCE) || 0
+        : 3
+    })
+  : null;
+
+// ============= API BUDGET =============
+const budget = createBudget({
+  db,
+  dailyLimit: DAILY_API_LIMIT,
+  monthlyBudget: MONTHLY_API_BUDGET,
+  thresholds: {
+    gated: parseFloat(process.env.BUDGET_GATED_AT),
+    cache_only: parseFloat(process.env.BUDGET_CACHE_ONLY_AT),
+    reject: parseFloat(process.env.BUDGET_REJECT_AT)
+  }
+});
+
+// ============= DISEASE KNOWLEDGE BASE =============
+const knowledgeBase = createKnowledgeBase({ db });
+
+// ============= SEVERITY GRADING =============
+// SEVERITY_CONFIG, or the default cut-offs when unset (see severity.js)
+const severityGrader = createSeverityGrader(loadSeverityConfig());
+
+// ============= IMAGE QUALITY GATE =============
+// QUALITY_CONFIG, or the default thresholds when unset (see quality.js)
+const qualityAnalyzer = createQualityAnalyzer(loadQualityConfig());
+
+// ============= SPIKE ALERTS =============
+const alerting = createAlerting({
+  db,
+  channels: channelsFromEnv(),
+  options: {
+    intervalMinutes: parseInt(process.env.ALERT_INTERVAL_MINUTES),
+    windowHours: parseFloat(process.env.ALERT_WINDOW_HOURS),
+    baselineWindows: parseInt(process.env.ALERT_BASELINE_WINDOWS),
+    minCount: parseInt(process.env.ALERT_MIN_COUNT),
+    pValue: parseFloat(process.env.ALERT_P_VALUE),
+    cooldownMinutes: parseInt(process.env.ALERT_COOLDOWN_MINUTES),
+    regionCellSize: parseFloat(process.env.ALERT_REGION_CELL_SIZE)
+  }
+});
 
-// Circuit breaker for Roboflow API
-let apiFailureCount = 0;
-let circuitOpen = false;
-let lastFailureTime = 0;
+// ============= METRICS =============
+const metrics = createMetrics({
+  activeUploads,
+  getCircuitState: () => pipeline.getCircuitState()
+});
+
+const pipeline = createDetectionPipeline({
+  db,
+  inference,
+  models,
+  cache: resultCache,
+  metrics,
+  budget,
+  breakerOptions: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    cooldownMs: (parseInt(process.env.CIRCUIT_COOLDOWN_SECONDS) || 60) * 1000,
+    halfOpenProbes: parseInt(process.env.CIRCUIT_HALF_OPEN_PROBES) || 1
+  },
+  retryOptions: {
+    // 0 disables retries
+    retries: process.env.MODEL_RETRIES !== undefined ? parseInt(process.env.MODEL_RETRIES) || 0 : 2,
+    baseDelayMs: parseInt(process.env.MODEL_RETRY_BASE_MS) || 250
+  },
+  knowledgeBase,
+  severity: severityGrader,
+  quality: qualityAnalyzer,
+  imageMaxDimension: IMAGE_MAX_DIMENSION,
+  // Capture times without a time zone tag are read in this offset (phones record local time)
+  exifTimezone: process.env.EXIF_TIMEZONE || '+08:00',
+  mode: process.env.PIPELINE_MODE || 'parallel',
+  adaptiveOptions: {
+    threshold: parseFloat(process.env.ADAPTIVE_GATE_THRESHOLD) || 0.3,
+    windowSize: parseInt(process.env.ADAPTIVE_WINDOW) || 50
+  }
+});
+
+const jobQueue = createJobQueue({
+  db,
+  pipeline,
+  activeUploads,
+  maxConcurrent: MAX_CONCURRENT_UPLOADS,
+  concurrency: JOB_CONCURRENCY,
+  maxQueueSize: MAX_QUEUE_SIZE
+});
 
 // ============= ENVIRONMENT CHECK =============
 console.log('=== Environment Configuration ===');
 console.log('NODE_ENV:', process.env.NODE_ENV || 'development');
 console.log('PORT:', PORT);
+console.log('DB_BACKEND:', db.backendName);
+console.log('INFERENCE_PROVIDER:', inference.name);
+console.log('PIPELINE_MODE:', pipeline.getModeState().mode);
+console.log('MODELS:', models.models.map(model => `${model.id} (${model.role})`).join(', '));
 console.log('ROBOFLOW_API_KEY:', process.env.ROBOFLOW_API_KEY ? '✓ Set' : '✗ NOT SET');
 console.log('DAILY_API_LIMIT:', DAILY_API_LIMIT);
+console.log('MONTHLY_API_BUDGET:', MONTHLY_API_BUDGET || 'not set');
+console.log('ADMIN_TOKENS:', auth.enabled ? '✓ Set' : '✗ NOT SET (admin endpoints disabled)');
+console.log('AUTO_BLOCK_MINUTES:', AUTO_BLOCK_MINUTES || 'permanent');
+console.log('RATE_LIMIT_ALLOWLIST:', allowlist.getConfigEntries().length, 'entries');
+console.log('RESULT_CACHE_SIZE:', RESULT_CACHE_SIZE || 'disabled');
+console.log('QUALITY GATE:', qualityAnalyzer.enabled ? '✓ Enabled' : 'disabled');
+console.log('ALERT CHANNELS:', alerting.describe().channels.join(', ') || 'none (alerts are only stored)');
 console.log('================================\n');
 
 // ============= CLEANUP OLD RECORDS ON STARTUP =============
-db.cleanOldRecords(90); // Keep 90 days of logs
-db.backup(); // Create startup backup
+const dbReady = db.initializeDatabase()
+  .then(() => db.cleanOldRecords(90)) // Keep 90 days of logs
+  .then(() => db.backup()) // Create startup backup
+  .then(() => allowlist.reload()) // Load stored allowlist entries
+  .then(() => knowledgeBase.seed()) // Default disease entries on first run
+  .then(() => jobQueue.resume()) // Pick up jobs left by a previous process
+  .catch(error => console.error('Database startup tasks failed:', error.message));
+
+// Look for disease spikes on a schedule once storage is ready
+dbReady.then(() => alerting.start());
 
 // Log system health every 5 minutes
 setInterval(() => {
   const memUsage = process.memoryUsage().heapUsed / 1024 / 1024;
-  db.logHealth(memUsage, activeUploads.size, apiFailureCount);
+  const failures = Object.values(pipeline.getCircuitState()).reduce((sum, breaker) => sum + breaker.failures, 0);
+  db.logHealth(memUsage, activeUploads.size, failures);
 }, 5 * 60 * 1000);
 
+// ============= CLIENT IP =============
+
+// One form per client address, so logs, rate limits and admin blocks agree
+app.use((req, res, next) => {
+  Object.defineProperty(req, 'ip', { value: normalizeIP(req.ip), configurable: true });
+  next();
+});
+
+// ============= LOCALIZATION =============
+// req.lang from ?lang=, the lang cookie or Accept-Language; req.message(code) builds error bodies in it
+app.use(i18n.middleware);
+
 // ============= SECURITY HEADERS =============
+
+// Image hosts besides this app: knowledge base reference images and the admin outbreak map tiles
+const MAP_TILE_ORIGIN = 'https://tile.openstreetmap.org';
+const REFERENCE_IMAGE_ORIGINS = (process.env.REFERENCE_IMAGE_ORIGINS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    try {
+      return new URL(entry).origin;
+    } catch (error) {
+      throw new Error(`Invalid REFERENCE_IMAGE_ORIGINS entry: ${entry}`);
+    }
+  });
+
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'"],
       scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "blob:"],
+      imgSrc: ["'self'", "data:", "blob:", MAP_TILE_ORIGIN, ...REFERENCE_IMAGE_ORIGINS],
     }
   },
   hsts: {
@@ -79,8 +266,8 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 // ============= LOGGING =============
@@ -106,10 +293,20 @@ app.use(morgan('combined', { stream: logStream }));
 app.use(morgan('dev'));
 
 // ============= RATE LIMITING =============
+
+// Count rejections per limiter, then respond like express-rate-limit's default handler
+// (in the client's language when the limiter has a message code)
+function limitHandler(limiter, code = null) {
+  return (req, res, next, options) => {
+    metrics.recordRateLimitRejection(limiter);
+    res.status(options.statusCode).send(code ? req.message(code) : options.message);
+  };
+}
+
 const globalLimiter = rateLimit({
   windowMs: 1 * 60 * 1000,
   max: process.env.GLOBAL_RATE_LIMIT || 100,
-  message: { error: 'Too many requests from all users. Please try again later.' },
+  handler: limitHandler('global', 'too_many_requests_global'),
   standardHeaders: true,
   legacyHeaders: false
 });
@@ -117,6 +314,7 @@ const globalLimiter = rateLimit({
 const ipLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: process.env.IP_RATE_LIMIT || 20,
+  handler: limitHandler('ip', 'too_many_requests'),
   standardHeaders: true,
   legacyHeaders: false
 });
@@ -125,7 +323,19 @@ const detectionLimiter = rateLimit({
   windowMs: 5 * 60 * 1000,
   max: process.env.DETECTION_RATE_LIMIT || 10,
   skipSuccessfulRequests: false,
-  keyGenerator: (req) => req.ip
+  keyGenerator: (req) => req.ip,
+  handler: limitHandler('detection', 'too_many_requests')
+});
+
+// Failed admin logins only, to slow down token guessing
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: process.env.ADMIN_RATE_LIMIT || 20,
+  skipSuccessfulRequests: true,
+  message: { error: 'Too many failed authentication attempts. Please try again later.' },
+  handler: limitHandler('admin'),
+  standardHeaders: true,
+  legacyHeaders: false
 });
 
 app.use(globalLimiter);
@@ -134,9 +344,7 @@ app.use(globalLimiter);
 const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-  
-  if (allowedTypes.includes(file.mimetype)) {
+  if (ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only JPEG, PNG, and WebP are allowed.'), false);
@@ -146,16 +354,54 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024,
+    fileSize: MAX_FILE_SIZE,
     files: 1
   },
   fileFilter: fileFilter
 });
 
+// Batch uploads keep going past a bad file and report it as a per-image failure
+const batchFileFilter = (req, file, cb) => {
+  fileFilter(req, file, (error, accepted) => {
+    if (error) {
+      req.rejectedFiles = (req.rejectedFiles || []).concat(file);
+      return cb(null, false);
+    }
+    cb(null, accepted);
+  });
+};
+
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_BATCH_SIZE
+  },
+  fileFilter: batchFileFilter
+});
+
 // ============= INPUT VALIDATION SCHEMAS =============
 const detectionSchema = Joi.object({
   confidence1: Joi.number().min(0).max(1).optional(),
-  confidence2: Joi.number().min(0).max(1).optional()
+  confidence2: Joi.number().min(0).max(1).optional(),
+  ...locationFields // opt-in manual location
+}).and('latitude', 'longitude');
+
+const blockSchema = Joi.object({
+  ip: Joi.string().ip({ cidr: 'forbidden' }).required(),
+  reason: Joi.string().trim().max(200).optional(),
+  minutes: Joi.number().integer().min(1).max(365 * 24 * 60).optional() // omit for a permanent block
+});
+
+const alertQuerySchema = Joi.object({
+  hours: Joi.number().integer().min(1).max(24 * 365).default(24 * 7),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  disease: Joi.string().trim().lowercase().max(100).optional()
+});
+
+const allowlistSchema = Joi.object({
+  entry: Joi.string().trim().required(),
+  note: Joi.string().trim().max(200).optional()
 });
 
 // ============= MIDDLEWARE =============
@@ -177,173 +423,519 @@ app.use((req, res, next) => {
 
 // ============= HELPER FUNCTIONS =============
 
-async function optimizeImage(buffer, maxWidth = 1024) {
-  try {
-    const optimized = await sharp(buffer)
-      .resize(maxWidth, maxWidth, {
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .jpeg({ quality: 85, progressive: true })
-      .toBuffer();
-    
-    return optimized;
-  } catch (error) {
-    console.warn('Image optimization failed, using original:', error.message);
-    return buffer;
+// Message codes for the storage layer's rate limit reasons (which stay English in the logs)
+const RATE_LIMIT_CODES = {
+  'IP blocked due to abuse': 'ip_blocked_abuse',
+  'IP blocked due to excessive requests': 'ip_blocked_excessive',
+  'Rate limit exceeded': 'rate_limit_exceeded'
+};
+
+/**
+ * Database rate limit for a client, skipped for allowlisted IPs.
+ * Refusals carry the message `code` for their reason.
+ */
+async function checkClientRateLimit(ip) {
+  if (allowlist.isAllowed(ip)) {
+    return { allowed: true, allowlisted: true };
   }
+  
+  const result = await db.checkRateLimit(ip, 60, 20, AUTO_BLOCK_MINUTES);
+  if (!result.allowed) {
+    metrics.recordRateLimitRejection(/blocked/i.test(result.reason) ? 'ip_block' : 'database');
+    result.code = RATE_LIMIT_CODES[result.reason] || 'rate_limit_exceeded';
+  }
+  
+  return result;
 }
 
-async function callRoboflowAPI(modelUrl, base64Image, timeout = 20000) {
-  // Check circuit breaker
-  if (circuitOpen) {
-    const timeSinceFailure = Date.now() - lastFailureTime;
-    if (timeSinceFailure < 60000) { // 1 minute cooldown
-      throw new Error('Service temporarily unavailable - too many failures');
-    }
-    // Try to close circuit
-    circuitOpen = false;
-    apiFailureCount = 0;
-    console.log('🔄 Circuit breaker attempting to close...');
+/**
+ * A pipeline body in the client's language: the error message by its code,
+ * and the embedded disease guidance looked up again if it is in another language
+ */
+async function localizeBody(body, lang) {
+  const localized = i18n.localizeError(body, lang);
+  
+  if (localized && localized.diseaseInfo && localized.diseaseInfo.lang !== lang && localized.model2) {
+    return { ...localized, diseaseInfo: await knowledgeBase.get(localized.model2.class, lang) };
   }
   
-  const apiKey = process.env.ROBOFLOW_API_KEY;
+  return localized;
+}
+
+/**
+ * Aggregate per-image batch results into a survey summary
+ */
+function summarizeBatch(results) {
+  const succeeded = results.filter(r => r.success);
+  const diseaseCounts = {};
+  
+  succeeded.forEach(r => {
+    const disease = r.model2.class;
+    diseaseCounts[disease] = (diseaseCounts[disease] || 0) + 1;
+  });
   
-  if (!apiKey) {
-    throw new Error('API key not configured');
+  const healthy = succeeded.filter(r => r.model2.class.includes('healthy')).length;
+  
+  return {
+    total: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    diseaseCounts,
+    healthy,
+    // Share of successfully analyzed images that are healthy
+    healthyShare: succeeded.length > 0
+      ? parseFloat((healthy / succeeded.length).toFixed(4))
+      : null,
+    failures: results
+      .filter(r => !r.success)
+      .map(r => ({
+        index: r.index,
+        filename: r.filename,
+        reason: r.error,
+        type: r.type || null
+      }))
+  };
+}
+
+// ============= ROUTES =============
+
+// Public liveness check: degraded while any model circuit breaker is not closed.
+// Per-model breaker state is in /api/admin/health and /metrics.
+app.get('/api/health', (req, res) => {
+  const degraded = Object.values(pipeline.getCircuitState()).some(breaker => breaker.state !== 'closed');
+
+  res.json({ 
+    status: degraded ? 'degraded' : 'ok', 
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Authenticated principal (lets admin pages check a token and role)
+app.get('/api/admin/me', adminLimiter, auth.requireRole('viewer'), (req, res) => {
+  res.json(req.admin);
+});
+
+// Detailed health check (admin)
+app.get('/api/admin/health', adminLimiter, auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const dbInfo = await db.getDatabaseInfo();
+    const budgetStatus = await budget.getStatus();
+    
+    res.json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      config: {
+        inferenceProvider: inference.name,
+        hasApiKey: !!process.env.ROBOFLOW_API_KEY,
+        models: models.describe(),
+        quality: qualityAnalyzer.enabled ? qualityAnalyzer.thresholds : null,
+        alerts: alerting.describe()
+      },
+      system: {
+        activeUploads: activeUploads.size,
+        maxConcurrent: MAX_CONCURRENT_UPLOADS,
+        circuitBreakers: pipeline.getCircuitState(),
+        pipeline: pipeline.getModeState(),
+        jobs: jobQueue.getStats(),
+        resultCache: resultCache ? resultCache.getStats() : null
+      },
+      database: dbInfo,
+      apiUsage: {
+        today: budgetStatus.daily.used,
+        limit: DAILY_API_LIMIT,
+        remaining: budgetStatus.daily.remaining
+      },
+      budget: budgetStatus
+    });
+  } catch (error) {
+    console.error('Failed to build health report:', error);
+    res.status(500).json(req.message('unexpected_error'));
   }
+});
 
-  if (!modelUrl) {
-    throw new Error('Model URL not configured');
+// Stats endpoint (for admin dashboard)
+app.get('/api/stats', adminLimiter, auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    const stats = await db.getStats(hours);
+    
+    if (!stats) {
+      return res.status(500).json({ error: 'Failed to retrieve stats' });
+    }
+    
+    res.json({
+      ...stats,
+      hours,
+      // In-memory counters since this process started; summary.cache_hits covers the time range
+      cache: resultCache ? resultCache.getStats() : null,
+      pipelineMode: pipeline.getModeState(),
+      quota: {
+        limit: DAILY_API_LIMIT,
+        byHour: await db.getAPIUsageByHour(),
+        budget: await budget.getStatus()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to retrieve stats' });
   }
+});
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+// Prometheus scrape endpoint (viewer token, e.g. `authorization` in the scrape config)
+app.get('/metrics', adminLimiter, auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
 
+// Active IP blocks (admin)
+app.get('/api/admin/blocks', adminLimiter, auth.requireRole('viewer'), async (req, res) => {
   try {
-    const response = await axios.post(
-      `${modelUrl}?api_key=${apiKey}`,
-      base64Image,
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Accept-Encoding': 'gzip, deflate'
-        },
-        signal: controller.signal,
-        timeout: timeout,
-        validateStatus: function (status) {
-          return status < 600;
-        }
-      }
-    );
+    res.json({ blocks: await db.getBlockedIPs() });
+  } catch (error) {
+    console.error('Failed to list IP blocks:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
 
-    clearTimeout(timeoutId);
+// Block an IP, for `minutes` or permanently (admin)
+app.post('/api/admin/blocks', adminLimiter, auth.requireRole('operator'), async (req, res) => {
+  try {
+    const { error, value } = blockSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        type: 'validation_error'
+      });
+    }
+    
+    const ip = normalizeIP(value.ip);
+    const block = await db.blockIP(ip, {
+      reason: value.reason || null,
+      minutes: value.minutes || null,
+      blockedBy: req.admin.name
+    });
+    
+    if (!block) {
+      return res.status(500).json({ error: 'Failed to block IP' });
+    }
+    
+    // Allowlisted IPs skip the database rate limit, so the block has no effect
+    res.status(201).json({ ...block, allowlisted: allowlist.isAllowed(ip) });
+  } catch (error) {
+    console.error('Failed to block IP:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
 
-    if (response.status !== 200) {
-      throw new Error(`HTTP ${response.status}: ${JSON.stringify(response.data)}`);
+// Lift a block (admin)
+app.delete('/api/admin/blocks/:ip', adminLimiter, auth.requireRole('operator'), async (req, res) => {
+  try {
+    const ip = normalizeIP(req.params.ip);
+    const unblocked = await db.unblockIP(ip);
+    
+    if (!unblocked) {
+      return res.status(404).json({ error: 'IP is not blocked' });
+    }
+    
+    console.log(`🔓 ${req.admin.name} unblocked IP: ${ip}`);
+    res.json({ ip, unblocked: true });
+  } catch (error) {
+    console.error('Failed to unblock IP:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
+
+// Rate limit allowlist (admin); config entries come from RATE_LIMIT_ALLOWLIST
+app.get('/api/admin/allowlist', adminLimiter, auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const stored = await db.getAllowlist();
+    
+    res.json({
+      entries: [
+        ...allowlist.getConfigEntries().map(entry => ({ entry, source: 'config' })),
+        ...stored.map(row => ({ ...row, source: 'database' }))
+      ]
+    });
+  } catch (error) {
+    console.error('Failed to list allowlist:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
+
+app.post('/api/admin/allowlist', adminLimiter, auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = allowlistSchema.validate(req.body);
+    if (error || !parseEntry(value.entry)) {
+      return res.status(400).json({
+        error: error ? error.details[0].message : 'entry must be an IP address or CIDR range',
+        type: 'validation_error'
+      });
     }
     
-    // Success - reset failure count
-    apiFailureCount = 0;
+    const saved = await db.addAllowlistEntry(value.entry, {
+      note: value.note || null,
+      addedBy: req.admin.name
+    });
+    
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to update allowlist' });
+    }
+    
+    await allowlist.reload();
+    console.log(`✅ ${req.admin.name} allowlisted ${value.entry}`);
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Failed to update allowlist:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
+
+// CIDR entries need their slash URL-encoded, e.g. /api/admin/allowlist/10.0.0.0%2F8
+app.delete('/api/admin/allowlist/:entry', adminLimiter, auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await db.removeAllowlistEntry(req.params.entry);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Allowlist entry not found' });
+    }
     
-    return response.data;
+    await allowlist.reload();
+    console.log(`🗑️ ${req.admin.name} removed ${req.params.entry} from the allowlist`);
+    res.json({ entry: req.params.entry, removed: true });
+  } catch (error) {
+    console.error('Failed to remove allowlist entry:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
+
+// ============= CLIENT CONFIG =============
+
+// Upload settings the browser applies before sending an image (see app.js)
+app.get('/api/config', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({
+    upload: {
+      maxDimension: IMAGE_MAX_DIMENSION,
+      jpegQuality: UPLOAD_JPEG_QUALITY,
+      maxFileSize: MAX_FILE_SIZE,
+      allowedTypes: ALLOWED_IMAGE_TYPES,
+      // Short side below which the quality gate refuses an image outright
+      minDimension: qualityAnalyzer.enabled ? qualityAnalyzer.thresholds.minResolution : null
+    }
+  });
+});
+
+// ============= UI TRANSLATIONS =============
+
+// Frontend message catalog in the negotiated language (?lang= to pick one)
+app.get('/api/i18n', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({
+    lang: req.lang,
+    languages: i18n.LANGUAGES,
+    messages: i18n.uiMessages(req.lang)
+  });
+});
+
+// ============= DISEASE KNOWLEDGE BASE =============
+
+app.get('/api/diseases', async (req, res) => {
+  try {
+    const diseases = await knowledgeBase.list(req.lang);
     
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ lang: req.lang, diseases });
   } catch (error) {
-    clearTimeout(timeoutId);
+    console.error('Failed to list diseases:', error);
+    res.status(500).json(req.message('disease_retrieve_failed'));
+  }
+});
+
+app.get('/api/diseases/:class', async (req, res) => {
+  try {
+    const entry = await knowledgeBase.get(req.params.class, req.lang);
     
-    // Track failures for circuit breaker
-    apiFailureCount++;
-    lastFailureTime = Date.now();
+    if (!entry) {
+      return res.status(404).json(req.message('disease_not_found'));
+    }
     
-    if (apiFailureCount >= 5) {
-      circuitOpen = true;
-      console.error('🚨 Circuit breaker opened after 5 consecutive API failures');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(entry);
+  } catch (error) {
+    console.error('Failed to get disease:', error);
+    res.status(500).json(req.message('disease_retrieve_failed'));
+  }
+});
+
+// Stored entry with every translation, for editing
+app.get('/api/admin/diseases/:class', adminLimiter, auth.requireRole('admin'), async (req, res) => {
+  try {
+    const entry = await knowledgeBase.getRaw(req.params.class);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Disease not found' });
     }
     
-    if (error.code === 'ECONNABORTED' || error.name === 'AbortError') {
-      throw new Error('Request timeout');
+    res.set('Cache-Control', 'no-store');
+    res.json(entry);
+  } catch (error) {
+    console.error('Failed to get disease:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
+
+// Create or replace an entry (admin); classes with spaces are URL-encoded, e.g. black%20spot
+app.put('/api/admin/diseases/:class', adminLimiter, auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = diseaseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        type: 'validation_error'
+      });
     }
     
-    if (error.code === 'ENOTFOUND') {
-      throw new Error('DNS lookup failed');
+    if (!req.params.class.trim() || req.params.class.length > 100) {
+      return res.status(400).json({ error: 'Invalid disease class', type: 'validation_error' });
     }
     
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error('Connection refused');
+    // The Content-Security-Policy only lets browsers load images from these hosts
+    const blockedImage = value.referenceImages.find(image => !REFERENCE_IMAGE_ORIGINS.includes(new URL(image.url).origin));
+    if (blockedImage) {
+      return res.status(400).json({
+        error: `Reference image host ${new URL(blockedImage.url).origin} is not in REFERENCE_IMAGE_ORIGINS`,
+        type: 'validation_error'
+      });
     }
     
-    if (error.response) {
-      const status = error.response.status;
-      if (status === 429) throw new Error('API rate limit exceeded');
-      if (status === 401 || status === 403) throw new Error('Authentication failed');
-      if (status === 400) throw new Error('Invalid image data');
-      throw new Error(`API request failed with status ${status}`);
+    const saved = await knowledgeBase.save(req.params.class, value, req.admin.name);
+    
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to save disease' });
     }
     
-    throw new Error('Network error - ' + error.message);
+    console.log(`📚 ${req.admin.name} updated disease entry: ${saved.class}`);
+    res.json(saved);
+  } catch (error) {
+    console.error('Failed to save disease:', error);
+    res.status(500).json(req.message('unexpected_error'));
   }
-}
+});
 
-function sanitizeError(error) {
-  const safeErrors = {
-    'Request timeout': 'The request took too long. Please try again.',
-    'API rate limit exceeded': 'Service limit reached. Please try again in a moment.',
-    'Authentication failed': 'Service temporarily unavailable.',
-    'Invalid image data': 'Invalid image format. Please try a different image.',
-    'DNS lookup failed': 'Cannot reach detection service.',
-    'Connection refused': 'Detection service not responding.',
-    'API key not configured': 'Service configuration error.',
-    'Model URL not configured': 'Service configuration error.',
-    'Service temporarily unavailable - too many failures': 'Service temporarily unavailable. Please try again in a minute.'
-  };
+app.delete('/api/admin/diseases/:class', adminLimiter, auth.requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await knowledgeBase.remove(req.params.class);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Disease not found' });
+    }
+    
+    console.log(`🗑️ ${req.admin.name} removed disease entry: ${req.params.class}`);
+    res.json({ class: req.params.class, removed: true });
+  } catch (error) {
+    console.error('Failed to remove disease:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
 
-  for (const [key, value] of Object.entries(safeErrors)) {
-    if (error.message.includes(key)) {
-      return value;
+// Disease spike alert history (admin)
+app.get('/api/admin/alerts', adminLimiter, auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const { error, value } = alertQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        type: 'validation_error'
+      });
     }
+    
+    const alerts = await db.getAlerts({
+      since: Date.now() - value.hours * 60 * 60 * 1000,
+      limit: value.limit,
+      disease: value.disease || null
+    });
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({ alerts, config: alerting.describe() });
+  } catch (error) {
+    console.error('Failed to list alerts:', error);
+    res.status(500).json(req.message('unexpected_error'));
   }
+});
 
-  return 'An error occurred during processing.';
-}
+// Run the spike analysis now instead of waiting for the schedule (admin)
+app.post('/api/admin/alerts/run', adminLimiter, auth.requireRole('operator'), async (req, res) => {
+  try {
+    const alerts = await alerting.runOnce();
+    console.log(`🚨 ${req.admin.name} ran the spike analysis: ${alerts.length} new alerts`);
+    res.json({ alerts });
+  } catch (error) {
+    console.error('Spike analysis failed:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
 
-// ============= ROUTES =============
+// Send a sample alert to every channel, e.g. a local webhook receiver (admin)
+app.post('/api/admin/alerts/test', adminLimiter, auth.requireRole('operator'), async (req, res) => {
+  try {
+    const deliveries = await alerting.sendTest();
+    console.log(`🚨 ${req.admin.name} sent a test alert to ${deliveries.length} channels`);
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Test alert failed:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
+});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  const dbInfo = db.getDatabaseInfo();
-  const apiUsage = db.getAPIUsageToday();
-  
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    config: {
-      hasApiKey: !!process.env.ROBOFLOW_API_KEY,
-      hasModel1Url: !!process.env.MODEL_1_URL,
-      hasModel2Url: !!process.env.MODEL_2_URL
-    },
-    system: {
-      activeUploads: activeUploads.size,
-      maxConcurrent: MAX_CONCURRENT_UPLOADS,
-      circuitBreakerOpen: circuitOpen,
-      apiFailures: apiFailureCount
-    },
-    database: dbInfo,
-    apiUsage: {
-      today: apiUsage.total_calls,
-      limit: DAILY_API_LIMIT,
-      remaining: DAILY_API_LIMIT - apiUsage.total_calls
+// Located detections per disease and grid cell, for outbreak maps (registered before /:id)
+app.get('/api/detections/geo', adminLimiter, auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const { error, value } = geoQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        type: 'validation_error'
+      });
     }
-  });
+    
+    const rows = await db.getDetectionGrid(value);
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      hours: value.hours,
+      cellSize: value.cellSize,
+      disease: value.disease || null,
+      ...summarizeGrid(rows, value.cellSize)
+    });
+  } catch (error) {
+    console.error('Failed to build detection map:', error);
+    res.status(500).json(req.message('unexpected_error'));
+  }
 });
 
-// Stats endpoint (for admin dashboard)
-app.get('/api/stats', (req, res) => {
+// Shared detection result
+app.get('/api/detections/:id', async (req, res) => {
+  if (!RESULT_ID_PATTERN.test(req.params.id)) {
+    return res.status(404).json(req.message('result_not_found'));
+  }
+  
   try {
-    const hours = parseInt(req.query.hours) || 24;
-    const stats = db.getStats(hours);
-    res.json(stats);
+    const result = await db.getResult(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json(req.message('result_not_found'));
+    }
+    
+    res.set('Cache-Control', 'private, max-age=300');
+    res.json({
+      ...result,
+      diseaseInfo: result.model2 ? await knowledgeBase.get(result.model2.class, req.lang) : null
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to retrieve stats' });
+    res.status(500).json(req.message('result_retrieve_failed'));
   }
 });
 
@@ -353,217 +945,377 @@ app.post('/api/detect',
   detectionLimiter,
   upload.single('image'),
   async (req, res) => {
-    const startTime = Date.now();
     const uploadId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     try {
       // CHECK 1: Concurrent upload limit
       if (activeUploads.size >= MAX_CONCURRENT_UPLOADS) {
         console.warn(`[${req.ip}] Rejected - server at capacity (${activeUploads.size}/${MAX_CONCURRENT_UPLOADS})`);
+        metrics.recordRateLimitRejection('capacity');
         return res.status(503).json({ 
-          error: 'Server is busy processing other requests. Please try again in a moment.',
+          ...req.message('server_busy'),
           type: 'capacity_error'
         });
       }
       
       activeUploads.set(uploadId, true);
       
-      // CHECK 2: Daily API limit
-      const apiUsage = db.getAPIUsageToday();
-      if (apiUsage.total_calls >= DAILY_API_LIMIT) {
-        console.error(`Daily API limit reached: ${apiUsage.total_calls}/${DAILY_API_LIMIT}`);
+      // CHECK 2: API budget (cache-only levels are left to the pipeline)
+      const budgetStatus = await budget.getStatus();
+      if (budgetStatus.level === 'reject') {
+        console.error(`API budget exhausted (${budgetStatus.limitedBy}): ${(budgetStatus.ratio * 100).toFixed(1)}% used`);
+        metrics.recordRateLimitRejection('api_budget');
         return res.status(503).json({ 
-          error: 'Daily service limit reached. Please try again tomorrow.',
+          ...req.message(budgetMessageCode(budgetStatus)),
           type: 'api_limit_error'
         });
       }
       
       // CHECK 3: Database rate limiting (more sophisticated than express-rate-limit)
-      const rateLimitCheck = db.checkRateLimit(req.ip, 60, 20);
+      const rateLimitCheck = await checkClientRateLimit(req.ip);
       if (!rateLimitCheck.allowed) {
-        db.logDetection(req.ip, null, null, null, false, rateLimitCheck.reason, req.get('user-agent'));
+        await db.logDetection(req.ip, null, null, null, false, rateLimitCheck.reason, req.get('user-agent'));
         return res.status(429).json({ 
-          error: rateLimitCheck.reason,
+          ...req.message(rateLimitCheck.code),
           type: 'rate_limit_error'
         });
       }
       
       // CHECK 4: File validation
       if (!req.file) {
-        return res.status(400).json({ 
-          error: 'No image file provided' 
-        });
+        return res.status(400).json(req.message('no_image'));
       }
 
       console.log(`\n[${uploadId}] Processing from ${req.ip}: ${req.file.originalname} (${(req.file.size / 1024).toFixed(2)} KB)`);
 
       // Validate request body
-      const { error: validationError } = detectionSchema.validate(req.body);
+      const { error: validationError, value: fields } = detectionSchema.validate(req.body);
       if (validationError) {
-        return res.status(400).json({ 
-          error: 'Invalid request parameters' 
-        });
+        return res.status(400).json(req.message('invalid_parameters'));
       }
 
-      // Optimize image
-      const optimizationStart = Date.now();
-      const optimizedBuffer = await optimizeImage(req.file.buffer);
-      const base64Image = optimizedBuffer.toString('base64');
-      console.log(`[${uploadId}] Optimized in ${Date.now() - optimizationStart}ms (${(optimizedBuffer.length / 1024).toFixed(2)} KB)`);
+      const { status, body } = await pipeline.runDetection(req.file, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        label: uploadId,
+        lang: req.lang,
+        location: manualLocation(fields)
+      });
+      
+      res.status(status).json(i18n.localizeError(body, req.lang));
 
-      // Get model URLs
-      const model1Url = process.env.MODEL_1_URL;
-      const model2Url = process.env.MODEL_2_URL;
+    } catch (error) {
+      console.error(`[${uploadId}] Detection error:`, error.message);
+      res.status(500).json({ 
+        ...req.message(errorCode(error)),
+        type: 'server_error'
+      });
+    } finally {
+      // Always remove from active uploads
+      activeUploads.delete(uploadId);
+    }
+  }
+);
 
-      if (!model1Url || !model2Url) {
-        console.error('Model URLs not configured');
+// Asynchronous detection: enqueue and return a job ID instead of waiting
+app.post('/api/jobs',
+  ipLimiter,
+  detectionLimiter,
+  upload.single('image'),
+  async (req, res) => {
+    try {
+      // CHECK 1: API budget (cache-only levels are left to the pipeline)
+      const budgetStatus = await budget.getStatus();
+      if (budgetStatus.level === 'reject') {
+        console.error(`API budget exhausted (${budgetStatus.limitedBy}): ${(budgetStatus.ratio * 100).toFixed(1)}% used`);
+        metrics.recordRateLimitRejection('api_budget');
         return res.status(503).json({ 
-          error: 'Service temporarily unavailable' 
+          ...req.message(budgetMessageCode(budgetStatus)),
+          type: 'api_limit_error'
         });
       }
-
-      // Call both models in parallel
-      console.log(`[${uploadId}] Calling both models in parallel...`);
-      const apiCallStart = Date.now();
       
-      const [model1Data, model2Data] = await Promise.all([
-        callRoboflowAPI(model1Url, base64Image),
-        callRoboflowAPI(model2Url, base64Image)
-      ]);
+      // CHECK 2: Database rate limiting
+      const rateLimitCheck = await checkClientRateLimit(req.ip);
+      if (!rateLimitCheck.allowed) {
+        await db.logDetection(req.ip, null, null, null, false, rateLimitCheck.reason, req.get('user-agent'));
+        return res.status(429).json({ 
+          ...req.message(rateLimitCheck.code),
+          type: 'rate_limit_error'
+        });
+      }
       
-      console.log(`[${uploadId}] API calls completed in ${Date.now() - apiCallStart}ms`);
-
-      // Validate Model 1 results
-      if (!model1Data.predictions || model1Data.predictions.length === 0) {
-        db.logDetection(req.ip, null, null, Date.now() - startTime, false, 'No predictions from model 1', req.get('user-agent'));
-        return res.status(400).json({ 
-          error: 'Unable to analyze the image. Please try another image with better lighting.' 
+      // CHECK 3: File validation
+      if (!req.file) {
+        return res.status(400).json(req.message('no_image'));
+      }
+      
+      const { error: validationError, value: fields } = detectionSchema.validate(req.body);
+      if (validationError) {
+        return res.status(400).json(req.message('invalid_parameters'));
+      }
+      
+      const job = await jobQueue.submit(req.file, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        location: manualLocation(fields)
+      });
+      
+      if (!job) {
+        console.warn(`[${req.ip}] Rejected - job queue full (${MAX_QUEUE_SIZE})`);
+        metrics.recordRateLimitRejection('job_queue');
+        return res.status(503).json({ 
+          ...req.message('queue_full'),
+          type: 'queue_full_error'
         });
       }
+      
+      res.status(202).json({
+        jobId: job.id,
+        status: 'queued',
+        position: job.position,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+      });
+      
+    } catch (error) {
+      console.error('Job submission error:', error.message);
+      res.status(500).json({ 
+        ...req.message(errorCode(error)),
+        type: 'server_error'
+      });
+    }
+  }
+);
+
+// Poll a detection job
+app.get('/api/jobs/:id', async (req, res) => {
+  if (!RESULT_ID_PATTERN.test(req.params.id)) {
+    return res.status(404).json(req.message('job_not_found'));
+  }
+  
+  try {
+    const job = await jobQueue.get(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json(req.message('job_not_found'));
+    }
+    
+    if (job.result) {
+      job.result = { ...job.result, body: await localizeBody(job.result.body, req.lang) };
+    }
+    
+    res.set('Cache-Control', 'no-store');
+    res.json(job);
+  } catch (error) {
+    res.status(500).json(req.message('job_retrieve_failed'));
+  }
+});
 
-      // Get top prediction from Model 1
-      const topPrediction = model1Data.predictions.reduce((max, pred) => 
-        pred.confidence > max.confidence ? pred : max
-      , model1Data.predictions[0]);
-
-      const predictedClass = topPrediction.class.toLowerCase();
-      const confidence1 = topPrediction.confidence;
-
-      // Validate calamansi detection
-      const threshold1 = parseFloat(process.env.MODEL_1_THRESHOLD) || 0.50;
-      const isNotCalamansi = predictedClass.includes('not') || 
-                             predictedClass === 'not calamansi' || 
-                             predictedClass === 'not-calamansi' ||
-                             predictedClass === 'not_calamansi';
-
-      if (isNotCalamansi && confidence1 > 0.70) {
-        db.logDetection(req.ip, null, confidence1, Date.now() - startTime, false, 'Not calamansi detected', req.get('user-agent'));
-        return res.status(400).json({
-          error: `This does not appear to be a calamansi (${(confidence1 * 100).toFixed(2)}% confidence).`,
-          type: 'validation_error'
+// Subscribe to detection job progress over Server-Sent Events
+app.get('/api/jobs/:id/events', async (req, res) => {
+  if (!RESULT_ID_PATTERN.test(req.params.id)) {
+    return res.status(404).json(req.message('job_not_found'));
+  }
+  
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  let closed = false;
+  
+  function cleanup() {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  
+  // A failure after the stream opened can only end it
+  function abort(error) {
+    console.error('Job event stream error:', error);
+    cleanup();
+    
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json(req.message('job_retrieve_failed'));
+    }
+  }
+  
+  const send = async (event) => {
+    if (closed) return;
+    
+    const name = event.status === 'completed' || event.status === 'failed' ? event.status : 'progress';
+    
+    if (name === 'progress') {
+      res.write(`event: ${name}\ndata: ${JSON.stringify(event)}\n\n`);
+      return;
+    }
+    
+    // Close first so nothing else is sent while the outcome is localized
+    cleanup();
+    const result = event.result ? { ...event.result, body: await localizeBody(event.result.body, req.lang) } : event.result;
+    res.write(`event: ${name}\ndata: ${JSON.stringify({ ...event, result })}\n\n`);
+    res.end();
+  };
+  
+  const deliver = (event) => send(event).catch(abort);
+  
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json(req.message('job_not_found'));
+    }
+    
+    // Long-lived stream: lift the 30s request timeout
+    req.setTimeout(0);
+    res.setTimeout(0);
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    unsubscribe = jobQueue.subscribe(job.id, deliver);
+    req.on('close', cleanup);
+    
+    // Current state first (re-read after subscribing so the outcome is never missed)
+    const current = await jobQueue.get(job.id);
+    if (!current) {
+      await deliver({ status: 'failed', stage: 'failed', result: { status: 404, body: i18n.message('job_not_found') } });
+      return;
+    }
+    
+    await deliver({ status: current.status, stage: current.stage, position: current.position, result: current.result });
+  } catch (error) {
+    abort(error);
+  }
+});
+
+// Batch detection endpoint (orchard surveys)
+app.post('/api/detect/batch',
+  ipLimiter,
+  detectionLimiter,
+  batchUpload.array('images', MAX_BATCH_SIZE),
+  async (req, res) => {
+    const batchId = `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const files = req.files || [];
+    const rejectedFiles = req.rejectedFiles || [];
+    
+    try {
+      // CHECK 1: Concurrent upload limit (a batch occupies one slot)
+      if (activeUploads.size >= MAX_CONCURRENT_UPLOADS) {
+        console.warn(`[${req.ip}] Rejected batch - server at capacity (${activeUploads.size}/${MAX_CONCURRENT_UPLOADS})`);
+        metrics.recordRateLimitRejection('capacity');
+        return res.status(503).json({ 
+          ...req.message('server_busy'),
+          type: 'capacity_error'
         });
       }
-
-      if (!isNotCalamansi && confidence1 < threshold1) {
-        db.logDetection(req.ip, predictedClass, confidence1, Date.now() - startTime, false, 'Low confidence', req.get('user-agent'));
-        return res.status(400).json({
-          error: `Low confidence verification (${(confidence1 * 100).toFixed(2)}%). Please upload a clearer image.`,
-          type: 'validation_error'
+      
+      activeUploads.set(batchId, true);
+      
+      if (files.length === 0 && rejectedFiles.length === 0) {
+        return res.status(400).json(req.message('no_images'));
+      }
+      
+      // A manual location applies to every image of the batch
+      const { error: validationError, value: fields } = detectionSchema.validate(req.body);
+      if (validationError) {
+        return res.status(400).json(req.message('invalid_parameters'));
+      }
+      const location = manualLocation(fields);
+      
+      // CHECK 2: Remaining API budget must cover every image (one call per model each)
+      const budgetStatus = await budget.getStatus();
+      const batchCalls = files.length * models.callsPerImage;
+      const monthlyShort = budgetStatus.monthly.remaining !== null && batchCalls > budgetStatus.monthly.remaining;
+      if (budgetStatus.level === 'reject' || batchCalls > budgetStatus.daily.remaining || monthlyShort) {
+        console.error(`API budget would be exceeded by batch: ${budgetStatus.daily.used}+${batchCalls}/${DAILY_API_LIMIT}`);
+        metrics.recordRateLimitRejection('api_budget');
+        return res.status(503).json({ 
+          ...req.message(monthlyShort ? 'budget_batch_monthly' : 'budget_batch_daily'),
+          type: 'api_limit_error'
         });
       }
-
-      // Validate Model 2 results
-      if (!model2Data.predictions || model2Data.predictions.length === 0) {
-        db.logDetection(req.ip, predictedClass, confidence1, Date.now() - startTime, false, 'No disease predictions', req.get('user-agent'));
-        return res.status(400).json({ 
-          error: 'No clear disease signs detected. Please ensure the affected area is visible.' 
+      
+      // CHECK 3: Database rate limiting, with room for the whole batch
+      const rateLimitCheck = await checkClientRateLimit(req.ip);
+      if (!rateLimitCheck.allowed) {
+        await db.logDetection(req.ip, null, null, null, false, rateLimitCheck.reason, req.get('user-agent'));
+        return res.status(429).json({ 
+          ...req.message(rateLimitCheck.code),
+          type: 'rate_limit_error'
         });
       }
-
-      // Get top disease prediction
-      const topDiseasePrediction = model2Data.predictions.reduce((max, pred) => 
-        pred.confidence > max.confidence ? pred : max
-      , model2Data.predictions[0]);
-
-      const threshold2 = parseFloat(process.env.MODEL_2_THRESHOLD) || 0.50;
       
-      if (topDiseasePrediction.confidence < threshold2) {
-        db.logDetection(req.ip, topDiseasePrediction.class, topDiseasePrediction.confidence, Date.now() - startTime, false, 'Low disease confidence', req.get('user-agent'));
-        return res.status(400).json({
-          error: `Low confidence detection (${(topDiseasePrediction.confidence * 100).toFixed(2)}%). Please upload a clearer image.`,
-          type: 'validation_error'
+      if (rateLimitCheck.remaining !== undefined && files.length > rateLimitCheck.remaining) {
+        metrics.recordRateLimitRejection('database');
+        return res.status(429).json({ 
+          ...req.message('batch_exceeds_hourly', { count: files.length, remaining: rateLimitCheck.remaining }),
+          type: 'rate_limit_error'
         });
       }
 
-      // Prepare response
-      const processingTime = Date.now() - startTime;
-      const responseData = {
-        model1: {
-          class: predictedClass,
-          confidence: parseFloat((confidence1 * 100).toFixed(2))
-        },
-        model2: {
-          class: topDiseasePrediction.class.toLowerCase(),
-          confidence: parseFloat((topDiseasePrediction.confidence * 100).toFixed(2)),
-          boundingBox: {
-            x: topDiseasePrediction.x,
-            y: topDiseasePrediction.y,
-            width: topDiseasePrediction.width,
-            height: topDiseasePrediction.height
-          }
-        },
-        imageData: `data:${req.file.mimetype};base64,${base64Image}`,
-        imageWidth: model2Data.image.width,
-        imageHeight: model2Data.image.height,
-        allPredictions: model2Data.predictions.slice(0, 5).map(p => ({
-          class: p.class,
-          confidence: parseFloat((p.confidence * 100).toFixed(2)),
-          x: p.x,
-          y: p.y,
-          width: p.width,
-          height: p.height
-        })),
-        timestamp: new Date().toISOString(),
-        processingTime
-      };
-
-      // Log successful detection
-      db.logDetection(
-        req.ip, 
-        topDiseasePrediction.class, 
-        topDiseasePrediction.confidence, 
-        processingTime, 
-        true, 
-        null, 
-        req.get('user-agent')
-      );
+      console.log(`\n[${batchId}] Processing ${files.length} images from ${req.ip}`);
 
-      console.log(`[${uploadId}] ✓ Detection completed in ${processingTime}ms\n`);
+      // Run images through the pipeline a few at a time
+      const results = new Array(files.length);
+      let next = 0;
       
-      res.json(responseData);
-
-    } catch (error) {
-      console.error(`[${uploadId}] Detection error:`, error.message);
+      async function worker() {
+        while (next < files.length) {
+          const index = next++;
+          const { status, body } = await pipeline.runDetection(files[index], {
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            label: `${batchId}#${index}`,
+            lang: req.lang,
+            location
+          });
+          
+          // Full-size image data is omitted; each success is available via its share ID
+          const { imageData, ...result } = i18n.localizeError(body, req.lang);
+          results[index] = {
+            index,
+            filename: files[index].originalname,
+            success: status === 200,
+            status,
+            ...result
+          };
+        }
+      }
       
-      // Log failed detection
-      db.logDetection(
-        req.ip, 
-        null, 
-        null, 
-        Date.now() - startTime, 
-        false, 
-        error.message, 
-        req.get('user-agent')
+      await Promise.all(
+        Array.from({ length: Math.min(BATCH_CONCURRENCY, files.length) }, worker)
       );
       
-      const sanitizedError = sanitizeError(error);
+      const rejected = rejectedFiles.map(file => ({
+        index: null,
+        filename: file.originalname,
+        success: false,
+        status: 400,
+        ...req.message('invalid_file_type')
+      }));
+      
+      const summary = summarizeBatch(results.concat(rejected));
+      console.log(`[${batchId}] ✓ Batch completed: ${summary.succeeded}/${summary.total} succeeded\n`);
+      
+      res.json({
+        summary,
+        results: results.concat(rejected)
+      });
+
+    } catch (error) {
+      console.error(`[${batchId}] Batch error:`, error.message);
       res.status(500).json({ 
-        error: sanitizedError,
+        ...req.message(errorCode(error)),
         type: 'server_error'
       });
     } finally {
-      // Always remove from active uploads
-      activeUploads.delete(uploadId);
+      activeUploads.delete(batchId);
     }
   }
 );
@@ -571,33 +1323,29 @@ app.post('/api/detect',
 // ============= ERROR HANDLERS =============
 
 app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+  res.status(404).json(req.message('endpoint_not_found'));
 });
 
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
   
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(400).json({ 
-      error: 'File size exceeds 10MB limit' 
-    });
+    return res.status(400).json(req.message('file_too_large'));
+  }
+  
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return res.status(400).json(req.message('too_many_files_batch', { max: MAX_BATCH_SIZE }));
   }
   
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-    return res.status(400).json({ 
-      error: 'Too many files uploaded' 
-    });
+    return res.status(400).json(req.message('too_many_files'));
   }
   
   if (err.message === 'Invalid file type. Only JPEG, PNG, and WebP are allowed.') {
-    return res.status(400).json({ 
-      error: err.message 
-    });
+    return res.status(400).json(req.message('invalid_file_type'));
   }
 
-  res.status(500).json({ 
-    error: 'An unexpected error occurred' 
-  });
+  res.status(500).json(req.message('unexpected_error'));
 });
 
 // ============= GRACEFUL SHUTDOWN =============
@@ -605,18 +1353,19 @@ let server;
 
 function gracefulShutdown(signal) {
   console.log(`\n${signal} received, closing server gracefully...`);
+  alerting.stop();
   
   // Stop accepting new connections
   server.close(() => {
     console.log('Server closed');
     
-    // Create final backup
-    db.backup();
-    
-    // Close database
-    console.log('Database closed');
-    
-    process.exit(0);
+    // Create final backup, then close database
+    db.backup()
+      .then(() => db.close())
+      .then(() => {
+        console.log('Database closed');
+        process.exit(0);
+      });
   });
   
   // Force close after 10 seconds
@@ -631,8 +1380,10 @@ if (process.env.NODE_ENV !== 'production') {
   server = app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`⚡ Features: Parallel API, Image optimization, SQLite tracking, Circuit breaker`);
-    console.log(`💾 Database: ${db.getDatabaseInfo().path}\n`);
+    console.log(`⚡ Features: Parallel API, Image optimization, ${db.backendName} tracking, Circuit breaker`);
+    dbReady
+      .then(() => db.getDatabaseInfo())
+      .then(info => console.log(`💾 Database: ${info ? info.path || info.type : db.backendName}\n`));
   });
 } else {
   const https = require('https');
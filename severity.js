@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+// ============= SEVERITY GRADING =============
+//
+// Grades how far a disease has spread from its lesion boxes: the share of the
+// image they cover (overlaps counted once) decides the level.
+//
+//   none     - healthy, or no lesions of the diagnosed class
+//   trace    - lesions below the `mild` cut-off
+//   mild     - affected ratio >= mild
+//   moderate - affected ratio >= moderate
+//   severe   - affected ratio >= severe
+//
+// SEVERITY_CONFIG holds JSON (or a path to a JSON file) with the cut-offs as
+// shares of the image, overridable per disease class:
+//
+//   {
+//     "default": { "mild": 0.05, "moderate": 0.15, "severe": 0.3 },
+//     "diseases": { "greening": { "mild": 0.02, "moderate": 0.08, "severe": 0.2 } }
+//   }
+
+const LEVELS = ['none', 'trace', 'mild', 'moderate', 'severe'];
+
+const DEFAULT_CUTOFFS = {
+  mild: 0.05,
+  moderate: 0.15,
+  severe: 0.3
+};
+
+const cutoffsSchema = Joi.object({
+  mild: Joi.number().min(0).max(1).required(),
+  moderate: Joi.number().min(0).max(1).required(),
+  severe: Joi.number().min(0).max(1).required()
+});
+
+const configSchema = Joi.object({
+  default: cutoffsSchema.default(DEFAULT_CUTOFFS),
+  diseases: Joi.object().pattern(Joi.string(), cutoffsSchema).default({})
+});
+
+/**
+ * Grading config from SEVERITY_CONFIG, or the default cut-offs when unset
+ */
+function loadSeverityConfig(env = process.env) {
+  const raw = (env.SEVERITY_CONFIG || '').trim();
+  if (!raw) return {};
+
+  const text = raw.startsWith('{') ? raw : fs.readFileSync(path.resolve(raw), 'utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid SEVERITY_CONFIG: ${error.message}`);
+  }
+}
+
+// ============= LESION GEOMETRY =============
+
+// Center-based prediction box to edges clipped to the image
+function clipBox(prediction, width, height) {
+  return {
+    left: Math.max(0, prediction.x - prediction.width / 2),
+    right: Math.min(width, prediction.x + prediction.width / 2),
+    top: Math.max(0, prediction.y - prediction.height / 2),
+    bottom: Math.min(height, prediction.y + prediction.height / 2)
+  };
+}
+
+/**
+ * Area covered by the union of boxes ({ left, right, top, bottom }), overlaps counted once
+ */
+function unionArea(boxes) {
+  const xs = [...new Set(boxes.flatMap(box => [box.left, box.right]))].sort((a, b) => a - b);
+  let area = 0;
+
+  // Sweep vertical strips between consecutive box edges, merging the y-intervals in each
+  for (let i = 0; i < xs.length - 1; i++) {
+    const intervals = boxes
+      .filter(box => box.left <= xs[i] && box.right >= xs[i + 1])
+      .map(box => [box.top, box.bottom])
+      .sort((a, b) => a[0] - b[0]);
+
+    let covered = 0;
+    let end = -Infinity;
+    intervals.forEach(([top, bottom]) => {
+      if (bottom <= end) return;
+      covered += bottom - Math.max(top, end);
+      end = bottom;
+    });
+
+    area += covered * (xs[i + 1] - xs[i]);
+  }
+
+  return area;
+}
+
+// ============= GRADER =============
+
+/**
+ * Validate a grading config and return { grade, cutoffsFor }
+ */
+function createSeverityGrader(config = {}) {
+  const { error, value } = configSchema.validate(config, { abortEarly: false });
+
+  if (error) {
+    throw new Error(`Invalid SEVERITY_CONFIG: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  const diseases = new Map(Object.entries(value.diseases).map(([className, cutoffs]) => [className.toLowerCase(), cutoffs]));
+
+  [['default', value.default], ...diseases.entries()].forEach(([name, cutoffs]) => {
+    if (!(cutoffs.mild <= cutoffs.moderate && cutoffs.moderate <= cutoffs.severe)) {
+      throw new Error(`Invalid SEVERITY_CONFIG: cut-offs for "${name}" must satisfy mild <= moderate <= severe`);
+    }
+  });
+
+  function cutoffsFor(className) {
+    return diseases.get(String(className).toLowerCase()) || value.default;
+  }
+
+  /**
+   * Severity of a diagnosis from its predictions (center-based boxes in the
+   * coordinates of a width x height image). Only boxes of the diagnosed class
+   * at or above minConfidence count as lesions. Returns
+   * { level, lesionCount, affectedRatio, cutoffs }, or null without image dimensions.
+   */
+  function grade({ className, predictions, width, height, minConfidence = 0 }) {
+    if (!width || !height) return null;
+
+    const cutoffs = cutoffsFor(className);
+    const key = String(className).toLowerCase();
+
+    if (key.includes('healthy')) {
+      return { level: 'none', lesionCount: 0, affectedRatio: 0, cutoffs };
+    }
+
+    const boxes = predictions
+      .filter(pred => String(pred.class).toLowerCase() === key && pred.confidence >= minConfidence)
+      .map(pred => clipBox(pred, width, height))
+      .filter(box => box.right > box.left && box.bottom > box.top);
+
+    const affectedRatio = Math.min(1, unionArea(boxes) / (width * height));
+    let level = 'none';
+
+    if (boxes.length > 0) {
+      if (affectedRatio >= cutoffs.severe) level = 'severe';
+      else if (affectedRatio >= cutoffs.moderate) level = 'moderate';
+      else if (affectedRatio >= cutoffs.mild) level = 'mild';
+      else level = 'trace';
+    }
+
+    return {
+      level,
+      lesionCount: boxes.length,
+      affectedRatio: parseFloat(affectedRatio.toFixed(4)),
+      cutoffs
+    };
+  }
+
+  return {
+    grade,
+    cutoffsFor
+  };
+}
+
+module.exports = {
+  LEVELS,
+  DEFAULT_CUTOFFS,
+  loadSeverityConfig,
+  unionArea,
+  createSeverityGrader
+};
@@ -0,0 +1,75 @@
+// ============= STORAGE BACKEND SELECTION =============
+//
+// server.js talks to storage only through this module. DB_BACKEND picks the
+// implementation; both expose the same async contract with identical semantics:
+//
+//   initializeDatabase()                        - create tables/indexes
+//   logDetection(ip, disease, confidence, processingTime, success, errorMessage, userAgent, details)
+//                                               - record an attempt; details: { cached, pipelineMode, savedCalls,
+//                                                 severity: { level, affectedRatio, lesionCount },
+//                                                 location: { latitude, longitude, source }, capturedAt, qualityIssue }
+//   recordModelCall({ model, role, outcome, errorClass, latencyMs })
+//                                               - record one outbound model call and add it to
+//                                                 today's api_calls (model_1 = verifiers, model_2 = disease
+//                                                 models, total = every call)
+//   saveResult(id, data)                        - store a shareable detection result
+//   getResult(id)                               - stored result, or null
+//   createJob({ id, ip, userAgent, filename, mimetype, image, location })
+//                                               - enqueue a detection job
+//   getJob(id)                                  - job row with parsed result and location, or null
+//   updateJobStage(id, stage)                   - mark running at a pipeline stage
+//   completeJob(id, status, result)             - finish ('completed'/'failed'), drop image
+//   getPendingJobs()                            - IDs of queued/interrupted jobs, oldest first
+//   checkRateLimit(ip, windowMinutes, maxRequests, blockMinutes)
+//                                               - { allowed, reason?, count?, remaining?, blockedUntil? };
+//                                                 auto-blocks at 2x the limit, expired blocks lift
+//   blockIP(ip, { reason, minutes, blockedBy }) - block row; minutes null = permanent
+//   unblockIP(ip)                               - false if the IP was not blocked
+//   getBlockedIPs()                             - active blocks, newest first
+//   addAllowlistEntry(entry, { note, addedBy }) - upsert an IP/CIDR entry
+//   removeAllowlistEntry(entry)                 - false if the entry did not exist
+//   getAllowlist()                              - [{ entry, note, added_by, timestamp }]
+//   seedDiseases({ class: entry })              - fill an empty knowledge base; number inserted
+//   getDisease(class)                           - { class, ...entry, updated_by, updated_at }, or null
+//   getDiseases()                               - every knowledge base entry, by class
+//   saveDisease(class, entry, updatedBy)        - create or replace an entry; the saved row
+//   deleteDisease(class)                        - false if the entry did not exist
+//   getAPIUsageToday()                          - { model_1_calls, model_2_calls, total_calls }
+//   getAPIUsageByHour()                         - [{ hour, calls }] for today, hour = epoch ms
+//   getAPIUsageByDay(fromDate, toDate)          - api_calls rows between UTC dates, inclusive
+//   getStats(hours)                             - { summary, topDiseases, recentErrors, hourly, modelCalls,
+//                                                   pipeline, quality: [{ issue, rejected, rate }], apiUsage }
+//   getDetectionGrid({ hours, cellSize, disease })
+//                                               - [{ disease, lat_cell, lon_cell, count, last_seen }] for located
+//                                                 successful detections, cell = floor(coordinate / cellSize)
+//   getDetectionCounts({ since, bucketMs, cellSize })
+//                                               - [{ disease, bucket, lat_cell, lon_cell, count }] for successful
+//                                                 detections, bucket = floor((timestamp - since) / bucketMs),
+//                                                 cells null without a location or cellSize
+//   saveAlert(alert)                            - store a spike alert (see alerts.js); its id, or null
+//   updateAlertDeliveries(id, deliveries)       - [{ channel, ok, error? }] for a stored alert
+//   getAlerts({ since, limit, disease })        - [{ id, timestamp, ...alert, deliveries }], newest first
+//   logHealth(memoryUsage, activeConnections, errorCount)
+//   cleanOldRecords(daysToKeep)                 - { deleted, deletedHealth, deletedResults, deletedJobs, deletedModelCalls }
+//   backup()                                    - backup path, or null when not applicable
+//   getDatabaseInfo()                           - { type, size, path, tables }
+//   close()
+//
+// Timestamps are epoch milliseconds and "today" is the UTC date in both backends.
+
+const backends = {
+  sqlite: './db',
+  postgres: './db-postgres'
+};
+
+const backendName = process.env.DB_BACKEND || 'sqlite';
+
+if (!backends[backendName]) {
+  throw new Error(`Unknown DB_BACKEND: ${backendName} (expected one of: ${Object.keys(backends).join(', ')})`);
+}
+
+// Required lazily so the unused backend's driver is never loaded
+module.exports = {
+  ...require(backends[backendName]),
+  backendName
+};
@@ -0,0 +1,160 @@
+// ============= SERVICE WORKER =============
+//
+// Makes the detector usable in the field without a signal:
+// - the app shell is cached on install and served stale-while-revalidate
+// - upload settings, translations and the disease guidance are fetched
+//   network-first and fall back to the copy cached on install or last visit
+// - photos queued offline (offline-queue.js) are sent on Background Sync, with
+//   a notification for each result
+
+importScripts('offline-queue.js');
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `cali-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `cali-data-${CACHE_VERSION}`;
+
+// Precached on install; large assets such as bg-img.png are cached when first used
+const SHELL_FILES = [
+  'index.html',
+  'result.html',
+  'history.html',
+  'style.css',
+  'locale.js',
+  'offline-queue.js',
+  'detection-history.js',
+  'app.js',
+  'result.js',
+  'history.js',
+  'manifest.webmanifest',
+  'logo.png',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+// API reads the pages can work from while offline
+const DATA_PATHS = ['/api/config', '/api/i18n', '/api/diseases'];
+
+function isDataRequest(url) {
+  return DATA_PATHS.includes(url.pathname) || url.pathname.startsWith('/api/diseases/');
+}
+
+// Guidance for every disease in the knowledge base, so results can be explained offline
+async function cacheGuidance() {
+  const cache = await caches.open(DATA_CACHE);
+  await cache.addAll(DATA_PATHS);
+
+  const { diseases } = await (await cache.match('/api/diseases')).json();
+  await cache.addAll(diseases.map(entry => `/api/diseases/${encodeURIComponent(entry.class)}`));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+
+    // The shell is enough to install; guidance is cached again as pages use it
+    await cacheGuidance().catch(error => console.warn('Disease guidance not cached:', error));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name !== SHELL_CACHE && name !== DATA_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request, cacheName, key = request, fallback = null) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(key, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key) || (fallback && await cache.match(fallback));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const update = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    update.catch(() => {});
+    return cached;
+  }
+
+  return update;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    // Pages are cached without their query (result.html?id=...); unknown pages fall back to the upload page
+    const page = url.pathname === '/' ? '/index.html' : url.pathname;
+    event.respondWith(networkFirst(request, SHELL_CACHE, page, '/index.html'));
+  } else if (isDataRequest(url)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (!url.pathname.startsWith('/api/')) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
+
+// ============= QUEUED UPLOADS =============
+
+async function broadcast(message) {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage(message));
+}
+
+async function announce(entry) {
+  await broadcast({ type: 'queue-updated' });
+
+  if (self.Notification && Notification.permission === 'granted' && entry.notice) {
+    const { title, options } = OfflineQueue.notification(entry);
+    await self.registration.showNotification(title, options);
+  }
+}
+
+// A rejection leaves the rest pending and lets the browser retry the sync later
+self.addEventListener('sync', event => {
+  if (event.tag === OfflineQueue.SYNC_TAG) {
+    event.waitUntil(OfflineQueue.sync(announce));
+  }
+});
+
+// Pages ask directly in browsers without Background Sync
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'sync-queue') {
+    event.waitUntil(OfflineQueue.sync(announce).catch(error => {
+      console.warn('Queued uploads not sent:', error);
+    }));
+  }
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.registration.scope).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    const open = windows.find(client => client.url === url);
+    return open ? open.focus() : self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,289 @@
+// Disease spike alerts (alerts.js): spike statistics, cooldowns and signed
+// webhook delivery, including to the local receiver (alert-receiver.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { poissonTail, findSpikes, createWebhookChannel, createAlerting } = require('../alerts');
+
+const SECRET = 'test-webhook-secret';
+
+// Five quiet windows before the current one (bucket 5): a canker spike in one
+// grid cell, steady scab and healthy counts
+const BASELINE_WINDOWS = 5;
+const ROWS = [
+  ...[0, 1, 2, 3, 4].map(bucket => ({ disease: 'Canker', bucket, lat_cell: 134, lon_cell: 1211, count: 1 })),
+  { disease: 'Canker', bucket: 5, lat_cell: 134, lon_cell: 1211, count: 9 },
+  { disease: 'Canker', bucket: 5, lat_cell: null, lon_cell: null, count: 1 },
+  ...[0, 1, 2, 3, 4, 5].map(bucket => ({ disease: 'scab', bucket, lat_cell: null, lon_cell: null, count: 4 })),
+  { disease: 'healthy', bucket: 5, lat_cell: null, lon_cell: null, count: 50 }
+];
+const OPTIONS = { baselineWindows: BASELINE_WINDOWS, minCount: 5, pValue: 0.01, minExpected: 0.5, regionCellSize: 0.1 };
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Alert storage as the storage contract describes it, in memory
+function createStore(rows) {
+  const alerts = [];
+
+  return {
+    alerts,
+    getDetectionCounts: async () => rows,
+    getAlerts: async ({ since }) => alerts.filter(alert => alert.timestamp >= since),
+    saveAlert: async (alert) => {
+      alerts.push({ ...alert, id: alerts.length + 1, timestamp: Date.now(), deliveries: null });
+      return alerts.length;
+    },
+    updateAlertDeliveries: async (id, deliveries) => {
+      alerts[id - 1].deliveries = deliveries;
+    }
+  };
+}
+
+// HTTP server keeping every request's headers and raw body
+function startRecorder() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(204).end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/alerts` }));
+  });
+}
+
+describe('poissonTail', () => {
+  it('is 1 for counts of zero or less', () => {
+    assert.equal(poissonTail(0, 2), 1);
+    assert.equal(poissonTail(-3, 2), 1);
+  });
+
+  it('matches the Poisson upper tail', () => {
+    assert.ok(Math.abs(poissonTail(1, 2) - (1 - Math.exp(-2))) < 1e-12);
+
+    // P(X >= 5) for a rate of 1: 1 - e^-1 (1 + 1 + 1/2 + 1/6 + 1/24)
+    assert.ok(Math.abs(poissonTail(5, 1) - 0.0036598468) < 1e-9);
+  });
+
+  it('shrinks as the count grows', () => {
+    const tails = [1, 3, 6, 10, 20].map(count => poissonTail(count, 2));
+    tails.slice(1).forEach((tail, index) => assert.ok(tail < tails[index]));
+    assert.ok(poissonTail(200, 2) > 0);
+  });
+});
+
+describe('findSpikes', () => {
+  it('finds spikes per disease and per region, most significant first', () => {
+    const spikes = findSpikes(ROWS, OPTIONS);
+
+    assert.deepEqual(spikes.map(spike => spike.key), ['canker', 'canker@134:1211']);
+
+    const [overall, regional] = spikes;
+    assert.equal(regional.disease, 'canker');
+    assert.equal(regional.count, 9);
+    assert.equal(regional.expected, 1);
+    assert.equal(regional.pValue, poissonTail(9, 1));
+    assert.equal(regional.zScore, 8);
+    assert.deepEqual(regional.baseline, { windows: BASELINE_WINDOWS, mean: 1, max: 1 });
+    assert.deepEqual(regional.region, {
+      latCell: 134,
+      lonCell: 1211,
+      cellSize: 0.1,
+      center: { latitude: 13.45, longitude: 121.15 },
+      bounds: { south: 13.4, west: 121.1, north: 13.5, east: 121.2 }
+    });
+
+    assert.equal(overall.count, 10);
+    assert.equal(overall.region, null);
+    assert.ok(overall.pValue < regional.pValue);
+  });
+
+  it('ignores healthy classes, steady diseases and buckets outside the windows', () => {
+    const spikes = findSpikes([
+      ...ROWS,
+      { disease: 'greening', bucket: 6, lat_cell: null, lon_cell: null, count: 40 },
+      { disease: 'greening', bucket: -1, lat_cell: null, lon_cell: null, count: 40 }
+    ], OPTIONS);
+
+    assert.ok(spikes.every(spike => spike.disease === 'canker'));
+  });
+
+  it('needs minCount detections and a rare enough count', () => {
+    const rows = [{ disease: 'scab', bucket: 5, lat_cell: null, lon_cell: null, count: 4 }];
+
+    assert.deepEqual(findSpikes(rows, OPTIONS), []);
+    assert.equal(findSpikes(rows, { ...OPTIONS, minCount: 4 }).length, 1);
+    assert.deepEqual(findSpikes(rows, { ...OPTIONS, minCount: 4, minExpected: 3 }), []);
+  });
+
+  it('skips regions when regionCellSize is 0', () => {
+    assert.deepEqual(findSpikes(ROWS, { ...OPTIONS, regionCellSize: 0 }).map(spike => spike.key), ['canker']);
+  });
+});
+
+describe('createAlerting', () => {
+  let recorder;
+
+  before(async () => {
+    recorder = await startRecorder();
+  });
+
+  after(() => {
+    recorder.server.close();
+  });
+
+  it('stores, sends and records the delivery of each spike', async () => {
+    const store = createStore(ROWS);
+    const channel = createWebhookChannel({ url: recorder.url, secret: SECRET });
+    const alerting = createAlerting({ db: store, channels: [channel], options: { ...OPTIONS, windowHours: 6 } });
+    recorder.requests.length = 0;
+
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    const created = await alerting.runOnce(now);
+
+    assert.deepEqual(created.map(alert => alert.key), ['canker', 'canker@134:1211']);
+    assert.deepEqual(created[0].window, { start: '2026-03-01T06:00:00.000Z', end: '2026-03-01T12:00:00.000Z', hours: 6 });
+    assert.deepEqual(created[0].deliveries, [{ channel: channel.name, ok: true }]);
+    assert.deepEqual(store.alerts.map(alert => [alert.id, alert.key]), [[1, 'canker'], [2, 'canker@134:1211']]);
+    assert.deepEqual(store.alerts[0].deliveries, [{ channel: channel.name, ok: true }]);
+
+    assert.equal(recorder.requests.length, 2);
+    const [{ headers, body }] = recorder.requests;
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-alert-signature'], sign(body));
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.type, 'disease_spike');
+    assert.equal(payload.alert.key, 'canker');
+    assert.equal(payload.alert.count, 10);
+    assert.deepEqual(payload.alert.window, created[0].window);
+  });
+
+  it('does not raise a disease and region again until the cooldown has passed', async () => {
+    const store = createStore(ROWS);
+    const alerting = createAlerting({ db: store, options: { ...OPTIONS, cooldownMinutes: 60 } });
+
+    assert.equal((await alerting.runOnce()).length, 2);
+    assert.deepEqual(await alerting.runOnce(), []);
+
+    store.alerts[1].timestamp -= 61 * 60 * 1000;
+    assert.deepEqual((await alerting.runOnce()).map(alert => alert.key), ['canker@134:1211']);
+    assert.equal((await alerting.runOnce(Date.now() + 61 * 60 * 1000)).length, 2);
+  });
+
+  it('records failed deliveries without failing the run', async () => {
+    const store = createStore(ROWS);
+    const failing = { name: 'broken', send: async () => { throw new Error('unreachable'); } };
+    const alerting = createAlerting({ db: store, channels: [failing], options: OPTIONS });
+
+    const created = await alerting.runOnce();
+
+    assert.equal(created.length, 2);
+    assert.deepEqual(store.alerts[0].deliveries, [{ channel: 'broken', ok: false, error: 'unreachable' }]);
+  });
+
+  it('sends unsigned webhooks without a secret', async () => {
+    const alerting = createAlerting({
+      db: createStore([]),
+      channels: [createWebhookChannel({ url: recorder.url })],
+      options: OPTIONS
+    });
+    recorder.requests.length = 0;
+
+    const deliveries = await alerting.sendTest();
+
+    assert.equal(deliveries[0].ok, true);
+    assert.equal(recorder.requests[0].headers['x-alert-signature'], undefined);
+    assert.equal(JSON.parse(recorder.requests[0].body).alert.test, true);
+  });
+});
+
+describe('local alert receiver', () => {
+  let receiver;
+  let output = '';
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const url = `http://127.0.0.1:${port}/alerts`;
+
+  before(async () => {
+    receiver = spawn(process.execPath, [path.join(__dirname, '..', 'alert-receiver.js')], {
+      env: { ...process.env, ALERT_RECEIVER_PORT: String(port), ALERT_WEBHOOK_SECRET: SECRET },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    receiver.stdout.on('data', chunk => { output += chunk; });
+    receiver.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error(`Receiver did not start: ${output}`)), 10000);
+      receiver.stdout.on('data', () => {
+        if (output.includes('listening')) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+      receiver.on('exit', code => reject(new Error(`Receiver exited with ${code}: ${output}`)));
+    });
+  });
+
+  after(() => {
+    receiver.kill();
+  });
+
+  // Receiver output comes through a pipe and can trail the delivery
+  async function waitForOutput(pattern) {
+    for (let waited = 0; !pattern.test(output); waited += 20) {
+      if (waited > 5000) assert.fail(`Receiver output did not match ${pattern}: ${output}`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  it('accepts a signed test alert', async () => {
+    const alerting = createAlerting({
+      db: createStore([]),
+      channels: [createWebhookChannel({ url, secret: SECRET })],
+      options: OPTIONS
+    });
+
+    const deliveries = await alerting.sendTest();
+
+    assert.deepEqual(deliveries, [{ channel: `webhook:127.0.0.1:${port}`, ok: true }]);
+    await waitForOutput(/disease_spike \(test\) ✓ signed/);
+  });
+
+  it('accepts signed spike alerts from a run', async () => {
+    const alerting = createAlerting({
+      db: createStore(ROWS),
+      channels: [createWebhookChannel({ url, secret: SECRET })],
+      options: OPTIONS
+    });
+
+    const created = await alerting.runOnce();
+
+    assert.equal(created.length, 2);
+    created.forEach(alert => assert.deepEqual(alert.deliveries, [{ channel: `webhook:127.0.0.1:${port}`, ok: true }]));
+    await waitForOutput(/"key": "canker@134:1211"/);
+  });
+
+  it('rejects alerts signed with another secret', async () => {
+    const alerting = createAlerting({
+      db: createStore([]),
+      channels: [createWebhookChannel({ url, secret: 'another-secret' })],
+      options: OPTIONS
+    });
+
+    const [delivery] = await alerting.sendTest();
+
+    assert.equal(delivery.ok, false);
+    assert.match(delivery.error, /401/);
+    await waitForOutput(/invalid signature/);
+  });
+});
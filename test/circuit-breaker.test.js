@@ -0,0 +1,175 @@
+// Circuit breaker states and retries with backoff (circuit-breaker.js)
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CIRCUIT_OPEN_MESSAGE, createCircuitBreaker, isRetryable, backoffDelay, withRetry } = require('../circuit-breaker');
+
+const COOLDOWN_MS = 30;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const ok = () => Promise.resolve('ok');
+const fail = () => Promise.reject(new Error('HTTP 503'));
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+async function failTimes(breaker, count) {
+  for (let i = 0; i < count; i++) {
+    await assert.rejects(breaker.execute(fail), /HTTP 503/);
+  }
+}
+
+function rejectsOpen(promise) {
+  return assert.rejects(promise, error => error.circuitOpen === true && error.message === CIRCUIT_OPEN_MESSAGE);
+}
+
+describe('createCircuitBreaker', () => {
+  const options = { name: 'model2', failureThreshold: 3, cooldownMs: COOLDOWN_MS };
+
+  it('opens after failureThreshold consecutive failures', async () => {
+    const breaker = createCircuitBreaker(options);
+
+    await failTimes(breaker, 2);
+    assert.deepEqual(breaker.getState(), { state: 'closed', failures: 2, openedAt: null, retryAt: null });
+
+    await failTimes(breaker, 1);
+    const { state, failures, openedAt, retryAt } = breaker.getState();
+    assert.equal(state, 'open');
+    assert.equal(failures, 3);
+    assert.equal(retryAt, openedAt + COOLDOWN_MS);
+
+    let called = false;
+    await rejectsOpen(breaker.execute(() => { called = true; return ok(); }));
+    assert.equal(called, false);
+  });
+
+  it('resets the failure count on a success while closed', async () => {
+    const breaker = createCircuitBreaker(options);
+
+    await failTimes(breaker, 2);
+    assert.equal(await breaker.execute(ok), 'ok');
+    await failTimes(breaker, 2);
+
+    assert.equal(breaker.getState().state, 'closed');
+  });
+
+  it('lets one probe through at a time once the cooldown has passed', async () => {
+    const breaker = createCircuitBreaker(options);
+    await failTimes(breaker, 3);
+    await sleep(COOLDOWN_MS + 10);
+
+    const probe = deferred();
+    const probing = breaker.execute(() => probe.promise);
+    assert.equal(breaker.getState().state, 'half_open');
+
+    await rejectsOpen(breaker.execute(ok));
+
+    probe.resolve('probed');
+    assert.equal(await probing, 'probed');
+  });
+
+  it('closes when the probe succeeds', async () => {
+    const breaker = createCircuitBreaker(options);
+    await failTimes(breaker, 3);
+    await sleep(COOLDOWN_MS + 10);
+
+    assert.equal(await breaker.execute(ok), 'ok');
+    assert.deepEqual(breaker.getState(), { state: 'closed', failures: 0, openedAt: null, retryAt: null });
+    assert.equal(await breaker.execute(ok), 'ok');
+  });
+
+  it('re-opens for another cooldown when the probe fails', async () => {
+    const breaker = createCircuitBreaker(options);
+    await failTimes(breaker, 3);
+    const firstOpened = breaker.getState().openedAt;
+    await sleep(COOLDOWN_MS + 10);
+
+    await failTimes(breaker, 1);
+    const { state, openedAt } = breaker.getState();
+    assert.equal(state, 'open');
+    assert.ok(openedAt > firstOpened);
+    await rejectsOpen(breaker.execute(ok));
+
+    await sleep(COOLDOWN_MS + 10);
+    assert.equal(await breaker.execute(ok), 'ok');
+    assert.equal(breaker.getState().state, 'closed');
+  });
+
+  it('allows halfOpenProbes probes at once', async () => {
+    const breaker = createCircuitBreaker({ ...options, halfOpenProbes: 2 });
+    await failTimes(breaker, 3);
+    await sleep(COOLDOWN_MS + 10);
+
+    const probes = [deferred(), deferred()];
+    const running = probes.map(probe => breaker.execute(() => probe.promise));
+    await rejectsOpen(breaker.execute(ok));
+
+    probes.forEach(probe => probe.resolve('ok'));
+    await Promise.all(running);
+    assert.equal(breaker.getState().state, 'closed');
+  });
+});
+
+describe('retries', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('retries only transient failures', () => {
+    assert.equal(isRetryable(new Error('HTTP 503')), true);
+    assert.equal(isRetryable(new Error('Request failed with status 502')), true);
+    assert.equal(isRetryable(new Error('HTTP 400')), false);
+    assert.equal(isRetryable(Object.assign(new Error(CIRCUIT_OPEN_MESSAGE), { circuitOpen: true })), false);
+    assert.equal(isRetryable(null), false);
+  });
+
+  it('jitters the backoff up to an exponential ceiling', () => {
+    mock.method(Math, 'random', () => 1);
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(attempt => backoffDelay(attempt)), [250, 500, 1000, 2000, 4000, 4000]);
+    assert.equal(backoffDelay(3, { baseDelayMs: 10, maxDelayMs: 25 }), 25);
+
+    Math.random.mock.mockImplementation(() => 0.5);
+    assert.equal(backoffDelay(3), 500);
+
+    Math.random.mock.mockImplementation(() => 0);
+    assert.equal(backoffDelay(6), 0);
+  });
+
+  it('retries with backoff until the call succeeds', async () => {
+    const retries = [];
+    const attempts = [];
+
+    const result = await withRetry(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 2) throw new Error('HTTP 503');
+      return 'ok';
+    }, {
+      retries: 2,
+      baseDelayMs: 1,
+      maxDelayMs: 2,
+      onRetry: (error, attempt, delayMs) => retries.push({ attempt, delayMs })
+    });
+
+    assert.equal(result, 'ok');
+    assert.deepEqual(attempts, [0, 1, 2]);
+    assert.deepEqual(retries.map(retry => retry.attempt), [1, 2]);
+    retries.forEach(({ attempt, delayMs }) => assert.ok(delayMs >= 0 && delayMs <= Math.min(2, 2 ** (attempt - 1))));
+  });
+
+  it('gives up after the last retry and on errors not worth retrying', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(() => { calls++; return fail(); }, { retries: 2, baseDelayMs: 1 }), /HTTP 503/);
+    assert.equal(calls, 3);
+
+    calls = 0;
+    await assert.rejects(withRetry(() => { calls++; return Promise.reject(new Error('HTTP 404')); }, { retries: 2 }), /HTTP 404/);
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,220 @@
+// EXIF location and capture time parsing (exif.js) on hand-built TIFF blocks
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { parseExif, readCaptureMetadata } = require('../exif');
+
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+
+const ascii = (tag, text) => ({ tag, type: ASCII, value: text });
+// Degrees, minutes and seconds as RATIONAL [numerator, denominator] pairs
+const dms = (tag, degrees, minutes, seconds) => ({ tag, type: RATIONAL, value: [[degrees, 1], [minutes, 1], [Math.round(seconds * 100), 100]] });
+
+function gpsEntries({ lat = [14, 35, 45.6], latRef = 'N', lon = [121, 2, 3.6], lonRef = 'E' } = {}) {
+  return [
+    ascii(0x0001, latRef),
+    dms(0x0002, ...lat),
+    ascii(0x0003, lonRef),
+    dms(0x0004, ...lon)
+  ];
+}
+
+/**
+ * TIFF block with IFD0 and optional Exif and GPS IFDs: a header, the IFDs one
+ * after another, then the values that do not fit in their entry
+ */
+function buildTiff({ little = true, ifd0 = [], exif = null, gps = null }) {
+  const ifds = [ifd0.slice()];
+  if (exif) ifds.push(exif);
+  if (gps) ifds.push(gps);
+
+  const ifdSize = entries => 2 + entries.length * 12 + 4;
+  // Pointer entries are filled in once the IFD offsets are known
+  if (exif) ifds[0].push({ tag: 0x8769, type: LONG, value: [0], pointsTo: 1 });
+  if (gps) ifds[0].push({ tag: 0x8825, type: LONG, value: [0], pointsTo: ifds.length - 1 });
+
+  const offsets = [];
+  let position = 8;
+  ifds.forEach(entries => {
+    offsets.push(position);
+    position += ifdSize(entries);
+  });
+
+  const encoded = ifds.map(entries => entries.map(entry => ({
+    ...entry,
+    bytes: encode(entry.pointsTo !== undefined ? { ...entry, value: [offsets[entry.pointsTo]] } : entry, little)
+  })));
+  const dataSize = encoded.flat().reduce((sum, entry) => sum + (entry.bytes.length > 4 ? entry.bytes.length : 0), 0);
+
+  const tiff = Buffer.alloc(position + dataSize);
+  const w16 = (value, offset) => (little ? tiff.writeUInt16LE(value, offset) : tiff.writeUInt16BE(value, offset));
+  const w32 = (value, offset) => (little ? tiff.writeUInt32LE(value, offset) : tiff.writeUInt32BE(value, offset));
+
+  tiff.write(little ? 'II' : 'MM', 0, 'latin1');
+  w16(42, 2);
+  w32(8, 4);
+
+  let dataOffset = position;
+  encoded.forEach((entries, index) => {
+    const start = offsets[index];
+    w16(entries.length, start);
+
+    entries.forEach((entry, i) => {
+      const at = start + 2 + i * 12;
+      w16(entry.tag, at);
+      w16(entry.type, at + 2);
+      w32(entry.type === ASCII ? entry.bytes.length : entry.value.length, at + 4);
+
+      if (entry.bytes.length <= 4) {
+        entry.bytes.copy(tiff, at + 8);
+      } else {
+        w32(dataOffset, at + 8);
+        entry.bytes.copy(tiff, dataOffset);
+        dataOffset += entry.bytes.length;
+      }
+    });
+  });
+
+  return tiff;
+}
+
+function encode({ type, value }, little) {
+  if (type === ASCII) return Buffer.from(`${value}\0`, 'latin1');
+
+  const size = { [SHORT]: 2, [LONG]: 4, [RATIONAL]: 8 }[type];
+  const bytes = Buffer.alloc(size * value.length);
+
+  value.forEach((item, i) => {
+    const parts = type === RATIONAL ? item : [item];
+    parts.forEach((part, j) => {
+      const offset = i * size + j * 4;
+      if (type === SHORT) {
+        little ? bytes.writeUInt16LE(part, offset) : bytes.writeUInt16BE(part, offset);
+      } else {
+        little ? bytes.writeUInt32LE(part, offset) : bytes.writeUInt32BE(part, offset);
+      }
+    });
+  });
+
+  return bytes;
+}
+
+// Start of an IFD's index-th 12-byte entry; its value or value offset is 8 bytes in
+const entryOffset = (ifdOffset, index) => ifdOffset + 2 + index * 12;
+
+const CAPTURED = ascii(0x9003, '2026:03:01 09:30:00');
+
+describe('parseExif', () => {
+  it('reads the GPS position and capture time in little-endian (II) order', () => {
+    const tiff = buildTiff({ exif: [CAPTURED], gps: gpsEntries() });
+
+    assert.deepEqual(parseExif(tiff, { defaultOffset: '+08:00' }), {
+      location: { latitude: 14.596, longitude: 121.034333, source: 'exif' },
+      capturedAt: Date.parse('2026-03-01T09:30:00+08:00')
+    });
+  });
+
+  it('reads big-endian (MM) blocks and skips the Exif\\0\\0 prefix', () => {
+    const tiff = buildTiff({ little: false, exif: [CAPTURED], gps: gpsEntries() });
+    const withPrefix = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+
+    assert.deepEqual(parseExif(withPrefix, { defaultOffset: '+08:00' }), {
+      location: { latitude: 14.596, longitude: 121.034333, source: 'exif' },
+      capturedAt: Date.parse('2026-03-01T09:30:00+08:00')
+    });
+  });
+
+  it('makes southern latitudes and western longitudes negative', () => {
+    const tiff = buildTiff({ gps: gpsEntries({ latRef: 'S', lonRef: 'W' }) });
+
+    assert.deepEqual(parseExif(tiff).location, { latitude: -14.596, longitude: -121.034333, source: 'exif' });
+  });
+
+  it('treats 0,0 as no fix', () => {
+    const tiff = buildTiff({ gps: gpsEntries({ lat: [0, 0, 0], lon: [0, 0, 0] }) });
+
+    assert.equal(parseExif(tiff).location, null);
+  });
+
+  it('drops positions out of range and GPS IFDs without both coordinates', () => {
+    assert.equal(parseExif(buildTiff({ gps: gpsEntries({ lat: [95, 0, 0] }) })).location, null);
+    assert.equal(parseExif(buildTiff({ gps: gpsEntries().slice(0, 2) })).location, null);
+  });
+
+  it('prefers OffsetTimeOriginal over the default offset', () => {
+    const tiff = buildTiff({ exif: [CAPTURED, ascii(0x9011, '+02:00')] });
+
+    assert.equal(parseExif(tiff, { defaultOffset: '+08:00' }).capturedAt, Date.parse('2026-03-01T09:30:00+02:00'));
+  });
+
+  it('uses the default offset when OffsetTimeOriginal is malformed', () => {
+    const tiff = buildTiff({ exif: [CAPTURED, ascii(0x9011, 'local')] });
+
+    assert.equal(parseExif(tiff, { defaultOffset: '-05:00' }).capturedAt, Date.parse('2026-03-01T09:30:00-05:00'));
+  });
+
+  it('falls back to the IFD0 DateTime', () => {
+    const tiff = buildTiff({ ifd0: [ascii(0x0132, '2025:12:31 23:59:59')] });
+
+    assert.equal(parseExif(tiff).capturedAt, Date.parse('2025-12-31T23:59:59Z'));
+  });
+
+  it('ignores capture times in the future and unparseable ones', () => {
+    const nextYear = new Date().getUTCFullYear() + 1;
+    const future = buildTiff({ exif: [ascii(0x9003, `${nextYear}:06:01 12:00:00`)] });
+    const garbled = buildTiff({ exif: [ascii(0x9003, '0000:00:00 00:00:00')] });
+
+    assert.equal(parseExif(future).capturedAt, null);
+    assert.equal(parseExif(garbled).capturedAt, null);
+  });
+
+  it('gives nulls for a truncated IFD', () => {
+    const tiff = buildTiff({ exif: [CAPTURED], gps: gpsEntries() });
+    const gpsIFD = tiff.readUInt32LE(entryOffset(8, 1) + 8);
+
+    // Cut inside the GPS IFD's entries, and right after the header
+    assert.deepEqual(parseExif(tiff.subarray(0, gpsIFD + 2 + 12 + 6)), { location: null, capturedAt: null });
+    assert.deepEqual(parseExif(tiff.subarray(0, 9)), { location: null, capturedAt: null });
+  });
+
+  it('gives nulls for value and IFD offsets beyond the block', () => {
+    const tiff = buildTiff({ exif: [CAPTURED], gps: gpsEntries() });
+    const gpsIFD = tiff.readUInt32LE(entryOffset(8, 1) + 8);
+
+    const badLatitude = Buffer.from(tiff);
+    badLatitude.writeUInt32LE(0xfffffff0, entryOffset(gpsIFD, 1) + 8);
+    assert.equal(parseExif(badLatitude).location, null);
+
+    const badPointers = Buffer.from(tiff);
+    badPointers.writeUInt32LE(0xfffffff0, entryOffset(8, 0) + 8);
+    badPointers.writeUInt32LE(tiff.length, entryOffset(8, 1) + 8);
+    assert.deepEqual(parseExif(badPointers), { location: null, capturedAt: null });
+  });
+
+  it('rejects blocks that are not TIFF', () => {
+    assert.throws(() => parseExif(Buffer.from('JUNKJUNK')), /Not a TIFF header/);
+    assert.throws(() => parseExif(Buffer.from('II')), /Not a TIFF header/);
+  });
+});
+
+describe('readCaptureMetadata', () => {
+  it('gives nulls for images without EXIF and unreadable uploads', async () => {
+    const plain = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#888' } }).jpeg().toBuffer();
+
+    assert.deepEqual(await readCaptureMetadata(plain), { location: null, capturedAt: null });
+    assert.deepEqual(await readCaptureMetadata(Buffer.from('not an image')), { location: null, capturedAt: null });
+  });
+
+  it('reads the capture time sharp finds in a JPEG', async () => {
+    const jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#888' } })
+      .withExif({ IFD0: { DateTime: '2026:03:01 09:30:00' } })
+      .jpeg()
+      .toBuffer();
+
+    assert.equal((await readCaptureMetadata(jpeg, { defaultOffset: '+08:00' })).capturedAt, Date.parse('2026-03-01T09:30:00+08:00'));
+  });
+});
@@ -0,0 +1,243 @@
+// Model registry and ensemble combination (models.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModelsConfig, combineResults, createModelRegistry } = require('../models');
+const { createSeverityGrader } = require('../severity');
+
+// Registry with one verifier and the given disease models
+function diseaseModels(...models) {
+  const registry = createModelRegistry({
+    models: [
+      { id: 'verifier', role: 'verifier' },
+      ...models.map((model, index) => ({ id: `disease${index + 1}`, role: 'disease', ...model }))
+    ]
+  });
+  return registry.byRole('disease');
+}
+
+const box = (className, confidence, x, y, size = 40) => ({ class: className, confidence, x, y, width: size, height: size });
+
+describe('combineResults duplicate boxes', () => {
+  it('keeps one box for a lesion that two members report', () => {
+    const [first, second] = diseaseModels({}, {});
+    const combined = combineResults([
+      { model: first, data: { predictions: [box('canker', 0.9, 100, 100), box('canker', 0.7, 300, 300)] } },
+      { model: second, data: { predictions: [box('canker', 0.8, 102, 98), box('canker', 0.6, 301, 302)] } }
+    ]);
+
+    assert.deepEqual(combined.predictions, [box('canker', 0.9, 100, 100), box('canker', 0.7, 300, 300)]);
+    assert.deepEqual(combined.prediction, box('canker', 0.9, 100, 100));
+  });
+
+  it('keeps overlapping boxes of different classes and boxes that barely overlap', () => {
+    const [first, second] = diseaseModels({}, {});
+    const combined = combineResults([
+      { model: first, data: { predictions: [box('canker', 0.9, 100, 100)] } },
+      { model: second, data: { predictions: [box('scab', 0.8, 100, 100), box('canker', 0.7, 130, 100)] } }
+    ]);
+
+    assert.equal(combined.predictions.length, 3);
+  });
+
+  it('grades severity from each lesion once', () => {
+    const [first, second, third] = diseaseModels({}, {}, {});
+    const lesion = box('canker', 0.9, 100, 100);
+    const combined = combineResults([first, second, third].map(model => ({ model, data: { predictions: [lesion] } })));
+
+    const grade = createSeverityGrader().grade({
+      className: combined.class,
+      predictions: combined.predictions,
+      width: 1000,
+      height: 1000
+    });
+
+    assert.equal(grade.lesionCount, 1);
+  });
+});
+
+// One result per model: its top predictions, as class/confidence pairs
+function results(models, ...predictionLists) {
+  return models.map((model, index) => ({
+    model,
+    data: { predictions: predictionLists[index].map(([className, confidence]) => ({ class: className, confidence })) }
+  }));
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('combineResults average', () => {
+  it('ranks classes by their weighted mean confidence over all members', () => {
+    const models = diseaseModels({ threshold: 0.4 }, { threshold: 0.6 });
+    const combined = combineResults(results(models,
+      [['canker', 0.9], ['scab', 0.3]],
+      [['scab', 0.8], ['canker', 0.5], ['canker', 0.6]]
+    ), 'average');
+
+    assert.equal(combined.class, 'canker');
+    close(combined.confidence, (0.9 + 0.6) / 2);
+    close(combined.threshold, 0.5);
+    assert.equal(combined.agreement, 1);
+    assert.deepEqual(combined.members, [
+      { id: 'disease1', class: 'canker', confidence: 90, weight: 1 },
+      { id: 'disease2', class: 'scab', confidence: 80, weight: 1 }
+    ]);
+    assert.deepEqual(combined.prediction, { class: 'canker', confidence: 0.9 });
+  });
+
+  it('weights members and counts a member without predictions as zero', () => {
+    const models = diseaseModels({ weight: 2, threshold: 0.3 }, { threshold: 0.6 }, { threshold: 0.9 });
+    const combined = combineResults(results(models,
+      [['scab', 0.6]],
+      [['canker', 0.9]],
+      []
+    ), 'average');
+
+    assert.equal(combined.class, 'scab');
+    close(combined.confidence, (2 * 0.6) / 4);
+    close(combined.threshold, (2 * 0.3 + 0.6 + 0.9) / 4);
+    close(combined.agreement, 0.5);
+    assert.deepEqual(combined.members[2], { id: 'disease3', class: null, confidence: null, weight: 1 });
+  });
+
+  it('keeps the first member\'s class on a tie', () => {
+    const models = diseaseModels({}, {});
+    const combined = combineResults(results(models,
+      [['canker', 0.8]],
+      [['scab', 0.8]]
+    ), 'average');
+
+    assert.equal(combined.class, 'canker');
+    close(combined.confidence, 0.4);
+    close(combined.agreement, 0.5);
+  });
+
+  it('maps raw class names case-insensitively before combining', () => {
+    const models = diseaseModels({ classMap: { 'Citrus-Canker': 'canker' } }, {});
+    const combined = combineResults(results(models,
+      [['CITRUS-CANKER', 0.8]],
+      [['canker', 0.6]]
+    ), 'average');
+
+    assert.equal(combined.class, 'canker');
+    close(combined.confidence, 0.7);
+    assert.deepEqual(combined.predictions.map(pred => pred.class), ['canker', 'canker']);
+  });
+
+  it('is null when no member has predictions', () => {
+    const models = diseaseModels({}, {});
+    assert.equal(combineResults(results(models, [], []), 'average'), null);
+    assert.equal(combineResults(results(models, [], []), 'vote'), null);
+  });
+});
+
+describe('combineResults vote', () => {
+  it('gives each member\'s top class its weight, the majority winning over confidence', () => {
+    const models = diseaseModels({}, {}, {});
+    const combined = combineResults(results(models,
+      [['scab', 0.6], ['canker', 0.5]],
+      [['scab', 0.7]],
+      [['canker', 0.99]]
+    ), 'vote');
+
+    assert.equal(combined.class, 'scab');
+    close(combined.confidence, 0.65);
+    close(combined.agreement, 2 / 3);
+  });
+
+  it('lets a heavier member outvote two lighter ones', () => {
+    const models = diseaseModels({ weight: 3 }, {}, {});
+    const combined = combineResults(results(models,
+      [['canker', 0.6]],
+      [['scab', 0.9]],
+      [['scab', 0.9]]
+    ), 'vote');
+
+    assert.equal(combined.class, 'canker');
+    close(combined.agreement, 0.6);
+  });
+
+  it('breaks a tie by confidence', () => {
+    const models = diseaseModels({}, {});
+    const combined = combineResults(results(models,
+      [['scab', 0.7]],
+      [['canker', 0.8]]
+    ), 'vote');
+
+    assert.equal(combined.class, 'canker');
+    close(combined.confidence, 0.8);
+    close(combined.agreement, 0.5);
+  });
+
+  it('skips a member without predictions but keeps it in the agreement', () => {
+    const models = diseaseModels({ threshold: 0.2 }, { threshold: 0.8 });
+    const combined = combineResults(results(models,
+      [['canker', 0.7]],
+      []
+    ), 'vote');
+
+    assert.equal(combined.class, 'canker');
+    close(combined.confidence, 0.7);
+    close(combined.agreement, 0.5);
+    close(combined.threshold, 0.5);
+  });
+});
+
+describe('createModelRegistry', () => {
+  const verifier = { id: 'model1', role: 'verifier', url: 'https://example.org/verify' };
+  const disease = { id: 'model2', role: 'disease', url: 'https://example.org/disease' };
+
+  it('fills defaults and groups models by role', () => {
+    const registry = createModelRegistry({
+      models: [verifier, disease, { id: 'pests', role: 'pest' }],
+      ensemble: { disease: 'vote' }
+    });
+
+    assert.equal(registry.callsPerImage, 3);
+    assert.deepEqual(registry.byRole('pest').map(model => model.id), ['pests']);
+    assert.equal(registry.strategyFor('disease'), 'vote');
+    assert.equal(registry.strategyFor('verifier'), 'average');
+    assert.deepEqual(registry.describe()[2], {
+      id: 'pests',
+      role: 'pest',
+      threshold: 0.5,
+      weight: 1,
+      strategy: 'average',
+      hasUrl: false
+    });
+  });
+
+  it('rejects invalid configs', () => {
+    const invalid = [
+      { models: [verifier] },
+      { models: [disease] },
+      { models: [verifier, disease, { ...disease }] },
+      { models: [verifier, { ...disease, weight: 0 }] },
+      { models: [verifier, { ...disease, threshold: 1.5 }] },
+      { models: [verifier, { ...disease, role: 'leaf' }] },
+      { models: [verifier, { ...disease, id: 'has space' }] },
+      { models: [verifier, disease], ensemble: { disease: 'median' } },
+      { models: [] },
+      {}
+    ];
+
+    invalid.forEach(config => assert.throws(() => createModelRegistry(config), /Invalid MODELS_CONFIG/, JSON.stringify(config)));
+  });
+});
+
+describe('loadModelsConfig', () => {
+  it('builds the two-model setup from the legacy variables', () => {
+    const config = loadModelsConfig({ MODEL_1_URL: 'https://example.org/1', MODEL_2_URL: 'https://example.org/2', MODEL_2_THRESHOLD: '0.7' });
+
+    assert.deepEqual(config.models.map(model => [model.id, model.role, model.threshold]), [
+      ['model1', 'verifier', 0.5],
+      ['model2', 'disease', 0.7]
+    ]);
+    assert.equal(createModelRegistry(config).callsPerImage, 2);
+  });
+
+  it('parses inline JSON and reports invalid JSON', () => {
+    assert.deepEqual(loadModelsConfig({ MODELS_CONFIG: ' {"models": []} ' }), { models: [] });
+    assert.throws(() => loadModelsConfig({ MODELS_CONFIG: '{"models": [' }), /Invalid MODELS_CONFIG/);
+  });
+});
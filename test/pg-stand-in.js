@@ -0,0 +1,34 @@
+// In-memory Postgres (pg-mem) behind the `sql` tag of @vercel/postgres, so
+// db-postgres.js runs unchanged without a database server.
+// Require this before db-postgres.js.
+
+const { newDb } = require('pg-mem');
+
+const db = newDb();
+
+// Server functions pg-mem does not provide
+db.public.registerFunction({ name: 'current_database', returns: 'text', implementation: () => 'test' });
+db.public.registerFunction({ name: 'pg_database_size', args: ['text'], returns: 'int', implementation: () => 0 });
+db.public.registerFunction({ name: 'floor', args: ['float'], returns: 'float', implementation: Math.floor });
+
+const { Pool } = db.adapters.createPg();
+const pool = new Pool();
+
+// Tagged template to a parameterized query, as @vercel/postgres does
+function sql(strings, ...values) {
+  const text = strings.reduce((query, part, i) => `${query}$${i}${part}`);
+  return pool.query(text, values);
+}
+
+sql.query = (text, values) => pool.query(text, values);
+sql.end = () => pool.end();
+
+const modulePath = require.resolve('@vercel/postgres');
+require.cache[modulePath] = {
+  id: modulePath,
+  filename: modulePath,
+  loaded: true,
+  exports: { sql }
+};
+
+module.exports = { db, sql };
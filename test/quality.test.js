@@ -0,0 +1,80 @@
+// Image quality gate measurements and checks (quality.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { DEFAULT_THRESHOLDS, measureImage, createQualityAnalyzer } = require('../quality');
+
+const SIZE = 256;
+
+// Black and white squares of the given size, as a greyscale PNG
+function checkerboard(square = 16) {
+  const pixels = Buffer.alloc(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      pixels[y * SIZE + x] = (Math.floor(x / square) + Math.floor(y / square)) % 2 ? 255 : 0;
+    }
+  }
+  return sharp(pixels, { raw: { width: SIZE, height: SIZE, channels: 1 } }).png().toBuffer();
+}
+
+const blurred = async (sigma) => sharp(await checkerboard()).blur(sigma).png().toBuffer();
+
+const flat = (grey) => sharp({ create: { width: SIZE, height: SIZE, channels: 3, background: { r: grey, g: grey, b: grey } } }).png().toBuffer();
+
+describe('measureImage', () => {
+  it('keeps the full edge response of a sharp image', async () => {
+    const measurements = await measureImage(await checkerboard());
+
+    // Responses clipped to 8 bits could not vary by more than 127.5^2
+    assert.ok(measurements.sharpness > 127.5 ** 2, `sharpness ${measurements.sharpness}`);
+    assert.equal(measurements.brightness, 127.5);
+    assert.equal(measurements.fill, 1);
+    assert.equal(measurements.resolution, SIZE);
+  });
+
+  it('measures less sharpness the more an image is blurred', async () => {
+    const sharpness = [];
+    for (const image of [await checkerboard(), await blurred(2), await blurred(4), await blurred(9)]) {
+      sharpness.push((await measureImage(image)).sharpness);
+    }
+
+    sharpness.slice(1).forEach((value, index) => assert.ok(value < sharpness[index], sharpness.join(' > ')));
+  });
+
+  it('measures no edges on a uniform image', async () => {
+    const measurements = await measureImage(await flat(128));
+
+    assert.equal(measurements.sharpness, 0);
+    assert.equal(measurements.contrast, 0);
+  });
+});
+
+describe('createQualityAnalyzer', () => {
+  it('passes the sharp checkerboard and flags its blurred copy', async () => {
+    const analyzer = createQualityAnalyzer();
+
+    assert.deepEqual((await analyzer.analyze(await checkerboard())).issues, []);
+
+    const result = await analyzer.analyze(await blurred(9));
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.issues, ['blurry']);
+    assert.ok(result.measurements.sharpness < DEFAULT_THRESHOLDS.minSharpness);
+  });
+
+  it('reports issues in ISSUES order', async () => {
+    const result = await createQualityAnalyzer({ minResolution: 300 }).analyze(await flat(10));
+
+    assert.deepEqual(result.issues, ['low_resolution', 'too_dark', 'low_contrast', 'blurry']);
+  });
+
+  it('is null when disabled or when the upload cannot be read', async () => {
+    assert.equal(await createQualityAnalyzer({ enabled: false }).analyze(await checkerboard()), null);
+    assert.equal(await createQualityAnalyzer().analyze(Buffer.from('not an image')), null);
+  });
+
+  it('rejects invalid thresholds', () => {
+    assert.throws(() => createQualityAnalyzer({ minBrightness: 200, maxBrightness: 100 }), /minBrightness must be below maxBrightness/);
+    assert.throws(() => createQualityAnalyzer({ maxClipped: 2 }), /Invalid QUALITY_CONFIG/);
+  });
+});
@@ -0,0 +1,152 @@
+// Severity grading from lesion boxes (severity.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CUTOFFS, loadSeverityConfig, unionArea, createSeverityGrader } = require('../severity');
+
+// 100 x 100 image: a box's area divided by 10000 is its share of the image
+const SIZE = 100;
+
+// Center-based prediction box with its top-left corner at (left, top)
+const lesion = (left, top, width, height, confidence = 0.9, className = 'canker') => ({
+  class: className,
+  confidence,
+  x: left + width / 2,
+  y: top + height / 2,
+  width,
+  height
+});
+
+function grade(predictions, options = {}) {
+  return createSeverityGrader(options.config).grade({
+    className: 'canker',
+    predictions,
+    width: SIZE,
+    height: SIZE,
+    ...options
+  });
+}
+
+describe('unionArea', () => {
+  it('adds disjoint boxes and counts overlaps once', () => {
+    const a = { left: 0, right: 10, top: 0, bottom: 10 };
+    const b = { left: 5, right: 15, top: 5, bottom: 15 };
+    const c = { left: 20, right: 30, top: 0, bottom: 10 };
+
+    assert.equal(unionArea([]), 0);
+    assert.equal(unionArea([a, c]), 200);
+    assert.equal(unionArea([a, b]), 175);
+    assert.equal(unionArea([a, a, a]), 100);
+    assert.equal(unionArea([a, { left: 2, right: 8, top: 2, bottom: 8 }]), 100);
+  });
+
+  it('merges boxes that only touch', () => {
+    const left = { left: 0, right: 10, top: 0, bottom: 10 };
+    const right = { left: 10, right: 20, top: 0, bottom: 10 };
+    const below = { left: 0, right: 10, top: 10, bottom: 20 };
+
+    assert.equal(unionArea([left, right, below]), 300);
+  });
+});
+
+describe('createSeverityGrader grade', () => {
+  it('grades overlapping lesions by the area of their union', () => {
+    const result = grade([lesion(0, 0, 20, 20), lesion(10, 10, 20, 20)]);
+
+    assert.deepEqual(result, { level: 'mild', lesionCount: 2, affectedRatio: 0.07, cutoffs: DEFAULT_CUTOFFS });
+  });
+
+  it('clips boxes at the image edges and drops boxes outside it', () => {
+    const result = grade([
+      lesion(-20, -20, 40, 40),
+      lesion(90, 50, 40, 10),
+      lesion(120, 120, 10, 10)
+    ]);
+
+    assert.equal(result.lesionCount, 2);
+    assert.equal(result.affectedRatio, 0.05);
+
+    assert.equal(grade([lesion(-50, -50, 300, 300)]).affectedRatio, 1);
+  });
+
+  it('counts only boxes of the diagnosed class at or above minConfidence', () => {
+    const predictions = [
+      lesion(0, 0, 50, 10, 0.8),
+      lesion(0, 20, 50, 10, 0.3),
+      lesion(0, 40, 50, 10, 0.9, 'scab'),
+      lesion(0, 60, 50, 10, 0.5, 'CANKER')
+    ];
+
+    assert.equal(grade(predictions).lesionCount, 3);
+    assert.deepEqual(grade(predictions, { minConfidence: 0.5 }), {
+      level: 'mild',
+      lesionCount: 2,
+      affectedRatio: 0.1,
+      cutoffs: DEFAULT_CUTOFFS
+    });
+    assert.equal(grade(predictions, { minConfidence: 0.95 }).level, 'none');
+  });
+
+  it('reaches each level at its cut-off', () => {
+    // Boxes 100 wide, so the height in pixels is the affected share in percent
+    const levelAt = (height) => grade([lesion(0, 0, SIZE, height)]).level;
+
+    assert.equal(grade([]).level, 'none');
+    assert.equal(levelAt(4.99), 'trace');
+    assert.equal(levelAt(5), 'mild');
+    assert.equal(levelAt(14.99), 'mild');
+    assert.equal(levelAt(15), 'moderate');
+    assert.equal(levelAt(29.99), 'moderate');
+    assert.equal(levelAt(30), 'severe');
+    assert.equal(levelAt(SIZE), 'severe');
+  });
+
+  it('reports healthy diagnoses as none whatever the boxes', () => {
+    const result = grade([lesion(0, 0, 50, 50, 0.9, 'healthy')], { className: 'Leaf-Healthy' });
+
+    assert.deepEqual(result, { level: 'none', lesionCount: 0, affectedRatio: 0, cutoffs: DEFAULT_CUTOFFS });
+  });
+
+  it('is null without image dimensions', () => {
+    assert.equal(grade([lesion(0, 0, 10, 10)], { width: 0 }), null);
+    assert.equal(grade([lesion(0, 0, 10, 10)], { height: undefined }), null);
+  });
+});
+
+describe('createSeverityGrader config', () => {
+  const greening = { mild: 0.01, moderate: 0.02, severe: 0.04 };
+
+  it('uses per-disease cut-offs, matching the class case-insensitively', () => {
+    const grader = createSeverityGrader({ diseases: { Greening: greening } });
+
+    assert.deepEqual(grader.cutoffsFor('greening'), greening);
+    assert.deepEqual(grader.cutoffsFor('canker'), DEFAULT_CUTOFFS);
+    assert.equal(grader.grade({ className: 'GREENING', predictions: [lesion(0, 0, 50, 10, 0.9, 'greening')], width: SIZE, height: SIZE }).level, 'severe');
+  });
+
+  it('rejects cut-offs out of order or out of range', () => {
+    const invalid = [
+      { default: { mild: 0.2, moderate: 0.1, severe: 0.3 } },
+      { default: { mild: 0.05, moderate: 0.4, severe: 0.3 } },
+      { diseases: { greening: { ...greening, mild: 0.03 } } },
+      { default: { mild: 0.05, moderate: 0.15, severe: 1.5 } },
+      { default: { mild: 0.05, moderate: 0.15 } },
+      { levels: {} }
+    ];
+
+    invalid.forEach(config => assert.throws(() => createSeverityGrader(config), /Invalid SEVERITY_CONFIG/, JSON.stringify(config)));
+    assert.throws(() => createSeverityGrader(invalid[2]), /cut-offs for "greening" must satisfy mild <= moderate <= severe/);
+  });
+
+  it('accepts equal cut-offs', () => {
+    const grader = createSeverityGrader({ default: { mild: 0.1, moderate: 0.1, severe: 0.1 } });
+
+    assert.equal(grader.grade({ className: 'canker', predictions: [lesion(0, 0, SIZE, 10)], width: SIZE, height: SIZE }).level, 'severe');
+  });
+
+  it('loads inline JSON and reports invalid JSON', () => {
+    assert.deepEqual(loadSeverityConfig({}), {});
+    assert.deepEqual(loadSeverityConfig({ SEVERITY_CONFIG: ' {"diseases": {}} ' }), { diseases: {} });
+    assert.throws(() => loadSeverityConfig({ SEVERITY_CONFIG: '{"default":' }), /Invalid SEVERITY_CONFIG/);
+  });
+});
@@ -0,0 +1,411 @@
+// Conformance suite for the storage contract (see storage.js). Every backend
+// runs the same cases and must give the same answers.
+//
+// storageContract(name, { load, insertLegacyBlock })
+//   load()                  - the initialized backend module
+//   insertLegacyBlock(ip)   - write a blocked rate_limits row without block
+//                             metadata, as versions before the block columns did
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HOUR = 60 * 60 * 1000;
+const TABLES = ['detections', 'api_calls', 'rate_limits', 'health_logs', 'results', 'jobs', 'ip_allowlist', 'model_calls', 'diseases', 'alerts'];
+
+// The backends log every block and cleanup to stdout, which the Node 20 test
+// runner can fail to parse in a test file's output; errors still go to stderr
+console.log = () => {};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const today = () => new Date().toISOString().split('T')[0];
+
+function storageContract(name, { load, insertLegacyBlock }) {
+  describe(`storage contract: ${name}`, () => {
+    let store;
+
+    before(async () => {
+      store = await load();
+      assert.ok(await store.initializeDatabase());
+    });
+
+    after(async () => {
+      await store.close();
+    });
+
+    describe('results', () => {
+      it('stores and returns a result by share ID', async () => {
+        const data = { id: 'r1', model2: { class: 'canker', confidence: 91.5 }, allPredictions: [{ x: 1 }] };
+        assert.equal(await store.saveResult('r1', data), true);
+        assert.deepEqual(await store.getResult('r1'), data);
+      });
+
+      it('refuses a duplicate ID and returns null for unknown ones', async () => {
+        await store.saveResult('r2', { a: 1 });
+        assert.equal(await store.saveResult('r2', { a: 2 }), false);
+        assert.deepEqual(await store.getResult('r2'), { a: 1 });
+        assert.equal(await store.getResult('missing'), null);
+      });
+    });
+
+    describe('jobs', () => {
+      it('runs a job from queued to completed', async () => {
+        const location = { latitude: 13.4, longitude: 121.2 };
+        assert.equal(await store.createJob({
+          id: 'j1', ip: '10.0.0.1', userAgent: 'ua', filename: 'leaf.jpg', mimetype: 'image/jpeg', image: 'AAAA', location
+        }), true);
+
+        const queued = await store.getJob('j1');
+        assert.equal(queued.status, 'queued');
+        assert.equal(queued.stage, 'queued');
+        assert.equal(queued.image, 'AAAA');
+        assert.deepEqual(queued.location, location);
+        assert.equal(queued.result, null);
+        assert.equal(typeof queued.timestamp, 'number');
+        assert.equal(typeof queued.updated_at, 'number');
+        assert.ok((await store.getPendingJobs()).includes('j1'));
+
+        await store.updateJobStage('j1', 'verifying');
+        const running = await store.getJob('j1');
+        assert.equal(running.status, 'running');
+        assert.equal(running.stage, 'verifying');
+
+        await store.completeJob('j1', 'completed', { status: 200, body: { id: 'r1' } });
+        const done = await store.getJob('j1');
+        assert.equal(done.status, 'completed');
+        assert.equal(done.stage, 'completed');
+        assert.equal(done.image, null);
+        assert.deepEqual(done.result, { status: 200, body: { id: 'r1' } });
+        assert.ok(!(await store.getPendingJobs()).includes('j1'));
+      });
+
+      it('lists pending jobs oldest first', async () => {
+        await store.createJob({ id: 'j2', ip: '10.0.0.1', image: 'A' });
+        await sleep(5);
+        await store.createJob({ id: 'j3', ip: '10.0.0.1', image: 'B' });
+        await store.updateJobStage('j3', 'optimizing');
+
+        const pending = await store.getPendingJobs();
+        assert.ok(pending.indexOf('j2') < pending.indexOf('j3'));
+        assert.equal((await store.getJob('j2')).location, null);
+        assert.equal(await store.getJob('missing'), null);
+      });
+    });
+
+    describe('rate limits and blocks', () => {
+      it('counts successful detections and auto-blocks at twice the limit', async () => {
+        const ip = '10.1.0.1';
+        assert.deepEqual(await store.checkRateLimit(ip, 60, 3, 30), { allowed: true, count: 0, remaining: 3 });
+
+        await store.logDetection(ip, null, null, 10, false, 'Not calamansi detected', 'ua');
+        for (let i = 0; i < 3; i++) await store.logDetection(ip, 'canker', 0.9, 10, true, null, 'ua');
+        assert.deepEqual(await store.checkRateLimit(ip, 60, 3, 30), { allowed: false, reason: 'Rate limit exceeded', count: 3 });
+
+        for (let i = 0; i < 3; i++) await store.logDetection(ip, 'canker', 0.9, 10, true, null, 'ua');
+        assert.deepEqual(await store.checkRateLimit(ip, 60, 3, 30), { allowed: false, reason: 'IP blocked due to excessive requests' });
+
+        const blocked = await store.checkRateLimit(ip, 60, 3, 30);
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.reason, 'IP blocked due to abuse');
+        assert.ok(blocked.blockedUntil > Date.now() + 29 * 60 * 1000);
+
+        const entry = (await store.getBlockedIPs()).find(row => row.ip === ip);
+        assert.equal(entry.blocked_by, 'auto');
+        assert.equal(entry.block_reason, 'Excessive requests (6 in 60 min)');
+      });
+
+      it('blocks manually, lists newest first and unblocks', async () => {
+        const first = await store.blockIP('10.2.0.1', { reason: 'spam', minutes: 30, blockedBy: 'ops' });
+        assert.equal(first.ip, '10.2.0.1');
+        assert.equal(first.block_reason, 'spam');
+        assert.equal(first.blocked_by, 'ops');
+        assert.equal(first.blocked_until, first.blocked_at + 30 * 60 * 1000);
+
+        await sleep(5);
+        const permanent = await store.blockIP('10.2.0.2', { blockedBy: 'ops' });
+        assert.equal(permanent.blocked_until, null);
+
+        const blocks = await store.getBlockedIPs();
+        const ips = blocks.map(row => row.ip);
+        assert.ok(ips.indexOf('10.2.0.2') < ips.indexOf('10.2.0.1'));
+
+        const row = blocks.find(block => block.ip === '10.2.0.1');
+        assert.deepEqual(Object.keys(row).sort(), ['block_reason', 'blocked_at', 'blocked_by', 'blocked_until', 'ip', 'last_request', 'request_count']);
+        assert.equal(typeof row.blocked_at, 'number');
+        assert.equal(typeof row.blocked_until, 'number');
+        assert.equal(typeof row.request_count, 'number');
+        assert.equal(typeof row.last_request, 'number');
+
+        assert.equal((await store.checkRateLimit('10.2.0.2', 60, 20)).reason, 'IP blocked due to abuse');
+        assert.equal(await store.unblockIP('10.2.0.2'), true);
+        assert.equal(await store.unblockIP('10.2.0.2'), false);
+        assert.equal((await store.checkRateLimit('10.2.0.2', 60, 20)).allowed, true);
+      });
+
+      it('lifts expired blocks', async () => {
+        await store.blockIP('10.3.0.1', { minutes: -1 });
+        assert.ok(!(await store.getBlockedIPs()).some(row => row.ip === '10.3.0.1'));
+        assert.equal((await store.checkRateLimit('10.3.0.1', 60, 20)).allowed, true);
+        assert.equal(await store.unblockIP('10.3.0.1'), false);
+      });
+
+      it('lists blocks without a block time last', async () => {
+        await insertLegacyBlock('10.4.0.1');
+        await store.blockIP('10.4.0.2', { minutes: 30 });
+
+        const blocks = await store.getBlockedIPs();
+        const legacy = blocks.find(row => row.ip === '10.4.0.1');
+        assert.equal(legacy.blocked_at, null);
+        assert.equal(legacy.blocked_until, null);
+        assert.equal(blocks[blocks.length - 1].ip, '10.4.0.1');
+        assert.equal(blocks[0].ip, '10.4.0.2');
+      });
+    });
+
+    describe('allowlist', () => {
+      it('upserts, lists oldest first and removes entries', async () => {
+        const added = await store.addAllowlistEntry('10.20.0.0/16', { note: 'coop', addedBy: 'root' });
+        assert.equal(added.entry, '10.20.0.0/16');
+        await sleep(5);
+        await store.addAllowlistEntry('203.0.113.7');
+        await sleep(5);
+        await store.addAllowlistEntry('10.20.0.0/16', { note: 'cooperative', addedBy: 'ops' });
+
+        const list = await store.getAllowlist();
+        assert.deepEqual(list.map(row => row.entry), ['203.0.113.7', '10.20.0.0/16']);
+        assert.deepEqual(Object.keys(list[1]).sort(), ['added_by', 'entry', 'note', 'timestamp']);
+        assert.equal(list[1].note, 'cooperative');
+        assert.equal(list[1].added_by, 'ops');
+        assert.equal(typeof list[1].timestamp, 'number');
+
+        assert.equal(await store.removeAllowlistEntry('203.0.113.7'), true);
+        assert.equal(await store.removeAllowlistEntry('203.0.113.7'), false);
+        assert.deepEqual((await store.getAllowlist()).map(row => row.entry), ['10.20.0.0/16']);
+      });
+    });
+
+    describe('disease knowledge base', () => {
+      it('seeds only an empty table', async () => {
+        assert.equal(await store.seedDiseases({ scab: { name: 'Scab' }, canker: { name: 'Canker', severity: 'high' } }), 2);
+        assert.equal(await store.seedDiseases({ thrips: { name: 'Thrips' } }), 0);
+        assert.equal(await store.getDisease('thrips'), null);
+      });
+
+      it('gets, saves, lists by class and deletes entries', async () => {
+        const canker = await store.getDisease('canker');
+        assert.equal(canker.class, 'canker');
+        assert.equal(canker.name, 'Canker');
+        assert.equal(canker.severity, 'high');
+        assert.equal(canker.updated_by, null);
+        assert.equal(typeof canker.updated_at, 'number');
+
+        const saved = await store.saveDisease('canker', { name: 'Citrus Canker' }, 'ops');
+        assert.equal(saved.name, 'Citrus Canker');
+        assert.equal(saved.updated_by, 'ops');
+        const stored = await store.getDisease('canker');
+        assert.equal(stored.severity, undefined);
+        assert.equal(stored.updated_by, 'ops');
+
+        await store.saveDisease('anthracnose', { name: 'Anthracnose' }, 'ops');
+        assert.deepEqual((await store.getDiseases()).map(entry => entry.class), ['anthracnose', 'canker', 'scab']);
+
+        assert.equal(await store.deleteDisease('anthracnose'), true);
+        assert.equal(await store.deleteDisease('anthracnose'), false);
+      });
+    });
+
+    describe('model calls and API usage', () => {
+      it('adds verifier calls to model 1, disease calls to model 2 and every call to the total', async () => {
+        const before = await store.getAPIUsageToday();
+
+        await store.recordModelCall({ model: 'model1', role: 'verifier', outcome: 'success', latencyMs: 100 });
+        await store.recordModelCall({ model: 'model2', role: 'disease', outcome: 'success', latencyMs: 200 });
+        await store.recordModelCall({ model: 'model2', role: 'disease', outcome: 'error', errorClass: 'timeout', latencyMs: 400 });
+        await store.recordModelCall({ model: 'pests', role: 'pest', outcome: 'success', latencyMs: 150 });
+
+        const usage = await store.getAPIUsageToday();
+        assert.deepEqual(usage, {
+          model_1_calls: before.model_1_calls + 1,
+          model_2_calls: before.model_2_calls + 2,
+          total_calls: before.total_calls + 4
+        });
+
+        assert.deepEqual(await store.getAPIUsageByDay(today(), today()), [{ date: today(), ...usage }]);
+        assert.deepEqual(await store.getAPIUsageByDay('2000-01-01', '2000-01-31'), []);
+
+        const hours = await store.getAPIUsageByHour();
+        const currentHour = Math.floor(Date.now() / HOUR) * HOUR;
+        assert.equal(hours[hours.length - 1].hour, currentHour);
+        assert.equal(hours.reduce((sum, row) => sum + row.calls, 0), usage.total_calls);
+      });
+
+      it('reports calls per model, role and outcome in the stats', async () => {
+        const { modelCalls } = await store.getStats(1);
+        const errors = modelCalls.find(row => row.model === 'model2' && row.outcome === 'error');
+
+        assert.deepEqual(errors, {
+          model: 'model2',
+          role: 'disease',
+          outcome: 'error',
+          error_class: 'timeout',
+          calls: 1,
+          avg_latency_ms: 400
+        });
+      });
+    });
+
+    describe('detection stats', () => {
+      it('summarizes detections, pipeline modes and quality rejections', async () => {
+        const before = (await store.getStats(1)).summary;
+        const ip = '10.5.0.1';
+
+        await store.logDetection(ip, 'greening', 0.8, 100, true, null, 'ua', { pipelineMode: 'gated-test' });
+        await store.logDetection(ip, 'greening', 0.9, 300, true, null, 'ua', { cached: true, pipelineMode: 'gated-test', savedCalls: 1 });
+        await store.logDetection(ip, null, null, 20, false, 'The photo is too dark', 'ua', { qualityIssue: 'too_dark' });
+
+        const stats = await store.getStats(1);
+        assert.deepEqual(
+          Object.keys(stats).sort(),
+          ['apiUsage', 'hourly', 'modelCalls', 'pipeline', 'quality', 'recentErrors', 'summary', 'topDiseases']
+        );
+
+        const { summary } = stats;
+        assert.equal(summary.total_detections, before.total_detections + 3);
+        assert.equal(summary.successful, before.successful + 2);
+        assert.equal(summary.failed, before.failed + 1);
+        assert.equal(summary.cache_hits, before.cache_hits + 1);
+        assert.equal(summary.saved_calls, before.saved_calls + 1);
+        assert.equal(summary.quality_rejected, before.quality_rejected + 1);
+        assert.equal(typeof summary.avg_processing_time, 'number');
+
+        assert.deepEqual(stats.pipeline.find(row => row.mode === 'gated-test'), { mode: 'gated-test', detections: 2, saved_calls: 1 });
+        assert.deepEqual(stats.quality, [{
+          issue: 'too_dark',
+          rejected: 1,
+          rate: parseFloat((1 / summary.total_detections).toFixed(4))
+        }]);
+        assert.deepEqual(stats.topDiseases.find(row => row.disease === 'greening'), { disease: 'greening', count: 2 });
+
+        assert.equal(stats.recentErrors[0].error_message, 'The photo is too dark');
+        assert.equal(stats.recentErrors[0].ip, ip);
+        assert.equal(typeof stats.recentErrors[0].timestamp, 'number');
+
+        const hour = stats.hourly[stats.hourly.length - 1];
+        assert.equal(hour.hour, Math.floor(Date.now() / HOUR) * HOUR);
+        assert.equal(stats.hourly.reduce((sum, row) => sum + row.total, 0), summary.total_detections);
+        assert.deepEqual(stats.apiUsage, await store.getAPIUsageToday());
+      });
+    });
+
+    describe('detection locations', () => {
+      before(async () => {
+        const located = (latitude, longitude) => ({ location: { latitude, longitude, source: 'manual' } });
+
+        await store.logDetection('10.6.0.1', 'geo-canker', 0.9, 10, true, null, 'ua', located(13.41, 121.18));
+        await store.logDetection('10.6.0.1', 'geo-canker', 0.9, 10, true, null, 'ua', located(13.44, 121.12));
+        await store.logDetection('10.6.0.1', 'geo-canker', 0.9, 10, true, null, 'ua', located(-13.41, -121.18));
+        await store.logDetection('10.6.0.1', 'geo-canker', 0.9, 10, true, null, 'ua');
+        await store.logDetection('10.6.0.1', 'geo-scab', 0.9, 10, true, null, 'ua', located(13.41, 121.18));
+        await store.logDetection('10.6.0.1', 'geo-scab', 0.9, 10, false, 'failed', 'ua', located(13.41, 121.18));
+      });
+
+      it('groups located detections into grid cells', async () => {
+        const grid = (await store.getDetectionGrid({ hours: 1, cellSize: 0.1 }))
+          .filter(row => row.disease.startsWith('geo-'));
+        const cell = (disease, lat) => grid.find(row => row.disease === disease && row.lat_cell === lat);
+
+        assert.equal(grid.length, 3);
+        assert.deepEqual(
+          { ...cell('geo-canker', 134), last_seen: 0 },
+          { disease: 'geo-canker', lat_cell: 134, lon_cell: 1211, count: 2, last_seen: 0 }
+        );
+        assert.equal(cell('geo-canker', -135).lon_cell, -1212);
+        assert.equal(typeof cell('geo-canker', 134).last_seen, 'number');
+        assert.equal(grid[0].count, 2);
+
+        const scab = await store.getDetectionGrid({ hours: 1, cellSize: 0.1, disease: 'geo-scab' });
+        assert.deepEqual(scab.map(row => [row.lat_cell, row.lon_cell, row.count]), [[134, 1211, 1]]);
+      });
+
+      it('counts detections per time bucket and cell', async () => {
+        const since = Date.now() - 3 * HOUR + 60 * 1000;
+        const rows = (await store.getDetectionCounts({ since, bucketMs: HOUR, cellSize: 0.1 }))
+          .filter(row => row.disease === 'geo-canker')
+          .sort((a, b) => (a.lat_cell ?? 1e9) - (b.lat_cell ?? 1e9));
+
+        assert.deepEqual(rows, [
+          { disease: 'geo-canker', bucket: 2, lat_cell: -135, lon_cell: -1212, count: 1 },
+          { disease: 'geo-canker', bucket: 2, lat_cell: 134, lon_cell: 1211, count: 2 },
+          { disease: 'geo-canker', bucket: 2, lat_cell: null, lon_cell: null, count: 1 }
+        ]);
+      });
+
+      it('counts without cells when cellSize is null', async () => {
+        const rows = (await store.getDetectionCounts({ since: Date.now() - HOUR, bucketMs: 2 * HOUR }))
+          .filter(row => row.disease.startsWith('geo-'))
+          .sort((a, b) => a.disease.localeCompare(b.disease));
+
+        assert.deepEqual(rows, [
+          { disease: 'geo-canker', bucket: 0, lat_cell: null, lon_cell: null, count: 4 },
+          { disease: 'geo-scab', bucket: 0, lat_cell: null, lon_cell: null, count: 1 }
+        ]);
+      });
+    });
+
+    describe('alerts', () => {
+      it('stores alerts with their deliveries and lists them newest first', async () => {
+        const first = await store.saveAlert({ key: 'canker|all', disease: 'canker', count: 9, pValue: 0.001, expected: 2.5 });
+        await sleep(5);
+        const second = await store.saveAlert({ key: 'scab|all', disease: 'scab', count: 6, pValue: 0.004, expected: 1 });
+        assert.equal(typeof first, 'number');
+        assert.ok(second > first);
+
+        await store.updateAlertDeliveries(first, [{ channel: 'webhook', ok: true }]);
+
+        const alerts = await store.getAlerts({ since: Date.now() - HOUR });
+        assert.deepEqual(alerts.map(alert => alert.id), [second, first]);
+        assert.deepEqual(
+          { ...alerts[1], timestamp: 0 },
+          {
+            id: first,
+            timestamp: 0,
+            key: 'canker|all',
+            disease: 'canker',
+            count: 9,
+            pValue: 0.001,
+            expected: 2.5,
+            deliveries: [{ channel: 'webhook', ok: true }]
+          }
+        );
+        assert.equal(typeof alerts[1].timestamp, 'number');
+        assert.equal(alerts[0].deliveries, null);
+
+        assert.deepEqual((await store.getAlerts({ disease: 'canker' })).map(alert => alert.id), [first]);
+        assert.equal((await store.getAlerts({ limit: 1 })).length, 1);
+        assert.deepEqual(await store.getAlerts({ since: Date.now() + HOUR }), []);
+      });
+    });
+
+    describe('maintenance', () => {
+      it('reports table counts', async () => {
+        await store.logHealth(123.4, 2, 0);
+
+        const info = await store.getDatabaseInfo();
+        assert.equal(info.type, name);
+        assert.equal(typeof info.size, 'number');
+        assert.deepEqual(Object.keys(info.tables).sort(), [...TABLES].sort());
+        Object.values(info.tables).forEach(count => assert.equal(typeof count, 'number'));
+        assert.equal(info.tables.health_logs, 1);
+        assert.equal(info.tables.alerts, 2);
+      });
+
+      it('keeps recent records when cleaning', async () => {
+        const cleaned = await store.cleanOldRecords(90);
+        assert.deepEqual(cleaned, { deleted: 0, deletedHealth: 0, deletedResults: 0, deletedJobs: 0, deletedModelCalls: 0 });
+        assert.ok(await store.getResult('r1'));
+        assert.equal((await store.getDatabaseInfo()).tables.health_logs, 1);
+      });
+    });
+  });
+}
+
+module.exports = { storageContract };
@@ -0,0 +1,12 @@
+// Storage contract against the Postgres backend (db-postgres.js), on pg-mem
+
+const { sql } = require('./pg-stand-in');
+const { storageContract } = require('./storage-contract');
+
+storageContract('postgres', {
+  load: () => require('../db-postgres'),
+
+  insertLegacyBlock: async (ip) => {
+    await sql`INSERT INTO rate_limits (ip, request_count, first_request, last_request, blocked) VALUES (${ip}, 5, 0, 0, true)`;
+  }
+});
@@ -0,0 +1,21 @@
+// Storage contract against the SQLite backend (db.js), on a throwaway database file
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { storageContract } = require('./storage-contract');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calamansi-sqlite-'));
+process.env.SQLITE_PATH = path.join(dir, 'usage.db');
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+storageContract('sqlite', {
+  load: () => require('../db'),
+
+  insertLegacyBlock: (ip) => {
+    const Database = require('better-sqlite3');
+    const db = new Database(process.env.SQLITE_PATH);
+    db.prepare('INSERT INTO rate_limits (ip, request_count, first_request, last_request, blocked) VALUES (?, 5, 0, 0, 1)').run(ip);
+    db.close();
+  }
+});